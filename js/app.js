@@ -1,179 +1,2142 @@
-import { GrayScaleFilter } from './grayScaleFilter.js';
-import { ChannelFilter } from './channelFilter.js';
-import { ChannelThresholdFilter } from './channelThresholdFilter.js';
-import { YCbCrFilter } from './yCbCrFilter.js';
-import { YCbCrThresholdFilter } from './yCbCrThresholdFilter.js';
-import { RgbHsvFilter } from './rgbHsvFilter.js';
-import { RgbHsvThresholdFilter } from './rgbHsvThresholdFilter.js';
-import { FaceDetectionFilter } from './faceDetectionFilter.js';
 import { MaskFaceFilter } from './maskFaceFilter.js';
-import { WebcamRepeatFilter } from './webcamRepeatFilter.js';
-import { CANVAS_WIDTH, CANVAS_HEIGHT } from './constants.js';
+import { FilterPipeline, SOURCE_INPUT } from './filterPipeline.js';
+import { FilterGrid } from './filterGrid.js';
+import { filterRegistry } from './filterRegistry.js';
+import { FrameLoop } from './frameLoop.js';
+import { PerformanceMonitor } from './performanceMonitor.js';
+import { WorkerBackend } from './workerBackend.js';
+import { CameraManager } from './cameraManager.js';
+import { WebcamSource, createFileSource, enableFileDrop } from './inputSources.js';
+import { buildContactSheet, exportSnapshot, snapshotName, downloadBlob } from './snapshotExport.js';
+import { CanvasRecorder } from './canvasRecorder.js';
+import { RangeSlider } from './rangeSlider.js';
+import { ThresholdFilter } from './thresholdFilter.js';
+import { HistogramPanel } from './histogramPanel.js';
+import { computeChannelHistograms } from './thresholding.js';
+import { COLOR_SPACES } from './colorSpaces.js';
+import { CONVOLUTION_PRESETS, parseKernel } from './convolution.js';
+import { FACE_TARGETS, findFaceAt, resolveFaceEffects, selectFaces } from './faceTargets.js';
+import { FACE_PARTS, eyeLine, overlayPlacement } from './faceLandmarks.js';
+import { FaceStore } from './faceStore.js';
+import { FACE_DETECTORS, MODEL_STATUS } from './faceDetectionFilter.js';
+import {
+  CANVAS_WIDTH,
+  CANVAS_HEIGHT,
+  DEFAULT_FIT_MODE,
+  DEFAULT_TARGET_FPS,
+  DEFAULT_RECORDING_DURATION,
+  DEFAULT_FAIL_SAFE_DELAY,
+  DEFAULT_OVERLAY_SCALE,
+  DEFAULT_ENROLMENT_FRAMES,
+  ENROLMENT_TIMEOUT,
+  FACE_DETECTION_MODEL_URL,
+  LOCAL_FACE_MODEL_URL,
+  FACE_MODEL_STORAGE_KEY,
+  STATS_REFRESH_INTERVAL
+} from './constants.js';
 
 /**
- * Main application class for processing webcam images with various filters
+ * Main application class for processing webcam images, image files and video files with various filters
  */
 export class ImageProcessorApp {
   /**
    * Initializes the application by setting up DOM elements, filters, and event listeners
+   * @param {Object} [options]
+   * @param {number} [options.width=CANVAS_WIDTH] - Default processing width of the filters
+   * @param {number} [options.height=CANVAS_HEIGHT] - Default processing height of the filters
+   * @param {string} [options.fit=DEFAULT_FIT_MODE] - How camera frames of another aspect ratio are fitted
+   * Filters registered with their own resolution override these defaults.
    */
-  constructor() {
+  constructor({ width = CANVAS_WIDTH, height = CANVAS_HEIGHT, fit = DEFAULT_FIT_MODE } = {}) {
+    this.resolution = { width, height, fit };
     this.initializeElements();
     this.initializeFilters();
+    this.initializeLiveMode();
+    this.initializeRecording();
     this.setupEventListeners();
   }
 
   /**
-   * Initializes webcam video element and sets dimensions
+   * Initializes webcam video element, sets dimensions and creates the camera manager.
+   * The webcam is the input source until a file is opened.
    * @private
    */
   initializeElements() {
     this.webcamVideo = document.getElementById('webcam');
-    this.webcamVideo.width = CANVAS_WIDTH;
-    this.webcamVideo.height = CANVAS_HEIGHT;
+    this.webcamVideo.width = this.resolution.width;
+    this.webcamVideo.height = this.resolution.height;
+
+    this.camera = new CameraManager(this.webcamVideo);
+    this.cameraSelect = document.getElementById('cameraSelect');
+    this.facingModeSelect = document.getElementById('facingMode');
+
+    this.webcamSource = new WebcamSource(this.webcamVideo);
+    this.source = this.webcamSource;
+    this.sourceTitle = document.getElementById('sourceTitle');
+    this.videoControls = document.getElementById('videoControls');
+    this.videoSeek = document.getElementById('videoSeek');
+    this.videoTime = document.getElementById('videoTime');
+  }
+
+  /**
+   * Initializes all image processing filters from the filter registry, creating a grid cell for each,
+   * and keeps the pipeline in sync with later registrations
+   * @private
+   */
+  initializeFilters() {
+    this.pipeline = new FilterPipeline();
+    this.grid = new FilterGrid(document.querySelector('.grid'), {
+      onToggle: (id, enabled) => this.setFilterEnabled(id, enabled),
+      onRemove: (id) => filterRegistry.unregister(id),
+      onExport: (id) => this.exportFilter(id)
+    });
+
+    // Filters by node id, plus the face mask which is applied on key press rather than per frame
+    this.filters = {};
+    filterRegistry.getAll().forEach(definition => this.createFilter(definition));
+    this.pipeline.getOrder();
+    if (this.filters.faceDetection) {
+      const { width, height } = this.filters.faceDetection;
+      this.filters.maskFace = new MaskFaceFilter(this.filters.faceDetection.canvas);
+      this.filters.maskFace.setResolution({ width, height });
+    }
+
+    filterRegistry.addEventListener('register', (e) => this.addFilter(e.detail));
+    filterRegistry.addEventListener('unregister', (e) => {
+      if (!this.removeFilter(e.detail.id)) e.preventDefault();
+    });
+  }
+
+  /**
+   * Creates the grid cell, filter instance and pipeline node for a registry definition
+   * @private
+   * @param {Object} definition - A definition from the filter registry
+   */
+  createFilter({ id, FilterClass, title, input, args, params, enabled, resolution }) {
+    const canvas = this.grid.addCell(id, title, enabled);
+    const filter = new FilterClass(canvas, ...args);
+    filter.setResolution({ ...this.resolution, ...resolution });
+    this.pipeline.addNode({ id, filter, inputs: input, params, enabled });
+    this.filters[id] = filter;
+  }
+
+  /**
+   * Adds a filter registered after start-up. The filter is rolled back if its inputs do not exist
+   * or it would create a cycle.
+   * @param {Object} definition - A definition from the filter registry
+   */
+  addFilter(definition) {
+    this.createFilter(definition);
+    try {
+      this.pipeline.getOrder();
+    } catch (error) {
+      console.error(`Could not add filter ${definition.id}:`, error);
+      this.pipeline.removeNode(definition.id);
+      this.grid.removeCell(definition.id);
+      delete this.filters[definition.id];
+    }
+    this.populateFilterSelectors();
+  }
+
+  /**
+   * Removes a filter, its pipeline node and its grid cell. Filters are removed through the registry
+   * (filterRegistry.unregister), which calls this and keeps the filter registered if it is refused.
+   * @param {string} id - The filter id
+   * @returns {boolean} False if the filter is the input of another filter and was kept
+   */
+  removeFilter(id) {
+    if (!this.pipeline.getNode(id)) return true;
+    try {
+      this.pipeline.removeNode(id);
+    } catch (error) {
+      alert(error.message);
+      return false;
+    }
+    if (this.recordingTarget === id) {
+      this.recorder.stop();
+    }
+    this.grid.removeCell(id);
+    delete this.filters[id];
+    if (id === 'faceDetection') {
+      delete this.filters.maskFace;
+    }
+    this.populateFilterSelectors();
+    return true;
+  }
+
+  /**
+   * Changes how frames of another aspect ratio are fitted, for every filter that uses the app default
+   * @param {string} fit - One of FIT_MODES
+   */
+  setFitMode(fit) {
+    const previous = this.resolution.fit;
+    this.resolution.fit = fit;
+    Object.values(this.filters).forEach(filter => {
+      if (filter.fit === previous) filter.setResolution({ fit });
+    });
+  }
+
+  /**
+   * Enables or disables a filter at runtime
+   * @param {string} id - The filter id
+   * @param {boolean} enabled - Whether the filter should run
+   */
+  setFilterEnabled(id, enabled) {
+    this.pipeline.setEnabled(id, enabled);
+    this.grid.setCellEnabled(id, enabled);
+  }
+
+  /**
+   * Initializes the live processing loop and the performance monitor used for its readouts
+   * @private
+   */
+  initializeLiveMode() {
+    this.performanceMonitor = new PerformanceMonitor();
+    this.frameLoop = new FrameLoop(
+      this.source.getElement(),
+      () => this.processImage({ awaitDetection: false }),
+      { targetFps: DEFAULT_TARGET_FPS }
+    );
+    this.statsElement = document.getElementById('liveStats');
+    this.lastStatsRender = 0;
+    this.workerBackend = null;
+  }
+
+  /**
+   * Initializes the canvas recorder and fills the recording target and codec choices
+   * @private
+   */
+  initializeRecording() {
+    this.recorder = new CanvasRecorder();
+    // 'grid' or a filter id while recording, null otherwise
+    this.recordingTarget = null;
+    // Contact sheet redrawn after every frame while the whole grid is recorded
+    this.recordingSheet = null;
+    this.recordTargetSelect = document.getElementById('recordTarget');
+    this.populateRecordTargets();
+
+    const codecSelect = document.getElementById('recordCodec');
+    CanvasRecorder.getSupportedMimeTypes().forEach(type => {
+      const option = document.createElement('option');
+      option.value = type;
+      option.textContent = type.replace('video/', '');
+      codecSelect.appendChild(option);
+    });
+    document.getElementById('recordLimit').value = DEFAULT_RECORDING_DURATION;
+  }
+
+  /**
+   * Sets up event listeners for buttons, sliders and keyboard events
+   * @private
+   */
+  setupEventListeners() {
+    document.getElementById('startCamera').addEventListener('click', () => this.toggleCamera());
+    this.cameraSelect.addEventListener('change', (e) => this.switchCamera(e.target.value));
+    this.facingModeSelect.addEventListener('change', () => {
+      if (this.camera.isActive()) this.startCamera();
+    });
+    this.camera.addEventListener('devicechange', (e) => this.populateCameraList(e.detail));
+    this.camera.addEventListener('started', () => this.updateCameraControls());
+    this.camera.addEventListener('stopped', () => this.updateCameraControls());
+    this.camera.addEventListener('ended', () => {
+      this.handleCameraLost();
+      alert('The camera stream ended. Check that the camera is still connected.');
+    });
+    this.populateCameraList().catch(error => console.warn('Could not list cameras:', error));
+
+    document.getElementById('sourceFile').addEventListener('change', (e) => {
+      if (e.target.files.length > 0) this.openFile(e.target.files[0]);
+      // Allow the same file to be opened again
+      e.target.value = '';
+    });
+    enableFileDrop(document.querySelector('.grid'), (file) => this.openFile(file));
+    document.getElementById('videoPlay').addEventListener('click', () => this.toggleVideoPlayback());
+    document.getElementById('videoStepBack').addEventListener('click', () => this.stepVideo(-1));
+    document.getElementById('videoStepForward').addEventListener('click', () => this.stepVideo(1));
+    this.videoSeek.addEventListener('input', (e) => {
+      if (this.source.kind === 'video') this.source.seek(Number(e.target.value));
+    });
+
+    document.getElementById('captureImage').addEventListener('click', () => this.processImage());
+    document.getElementById('exportGrid').addEventListener('click', () => this.exportGrid());
+
+    const recordButton = document.getElementById('startRecording');
+    if (CanvasRecorder.isSupported()) {
+      recordButton.addEventListener('click', () => this.toggleRecording());
+      document.getElementById('pauseRecording').addEventListener('click', () => this.togglePauseRecording());
+      ['start', 'pause', 'resume'].forEach(type => {
+        this.recorder.addEventListener(type, () => this.updateRecordingControls());
+      });
+      this.recorder.addEventListener('stop', (e) => this.saveRecording(e.detail));
+      this.recorder.addEventListener('error', (e) => {
+        console.error('Recording failed:', e.detail);
+        alert('Recording failed. The clip recorded so far will be saved.');
+      });
+    } else {
+      recordButton.disabled = true;
+      recordButton.title = 'MediaRecorder or canvas capture is not available in this browser';
+    }
+    document.getElementById('startLive').addEventListener('click', () => this.toggleLive());
+    document.getElementById('pauseLive').addEventListener('click', () => this.togglePause());
+    document.getElementById('stepFrame').addEventListener('click', () => this.frameLoop.step());
+    document.getElementById('targetFps').addEventListener('change', (e) => {
+      this.frameLoop.setTargetFps(e.target.value);
+      e.target.value = this.frameLoop.targetFps;
+    });
+    document.addEventListener('keydown', (e) => this.handleKeyPress(e));
+
+    const fitSelect = document.getElementById('fitMode');
+    fitSelect.value = this.resolution.fit;
+    fitSelect.addEventListener('change', (e) => this.setFitMode(e.target.value));
+
+    const workerToggle = document.getElementById('useWorkers');
+    if (WorkerBackend.isSupported()) {
+      workerToggle.addEventListener('change', (e) => this.setWorkerBackend(e.target.checked));
+    } else {
+      workerToggle.disabled = true;
+      workerToggle.title = 'Web Workers or OffscreenCanvas are not available in this browser';
+    }
+    
+    ['red', 'green', 'blue', 'colorSpace2'].forEach(type => {
+      const slider = document.getElementById(`${type}Threshold`);
+      const valueDisplay = document.getElementById(`${type}ThresholdValue`);
+      slider.addEventListener('input', (e) => {
+        valueDisplay.textContent = e.target.value;
+        // The live loop picks up the new value on its next frame
+        if (!this.frameLoop.isRunning()) {
+          this.processImage();
+        }
+      });
+    });
+    this.setupHsvKeyControls();
+    this.setupYCbCrControls();
+    this.setupMotionControls();
+    this.setupTemporalControls();
+    this.setupMorphologyControls();
+    this.setupColorSpaceControls();
+    this.setupFaceModelControls();
+    this.setupFaceEffectControls();
+    this.setupFaceRecognitionControls();
+    this.setupConvolutionControls();
+    this.setupThresholdMethodControls();
+    this.setupHistogramPanel();
+  }
+
+  /**
+   * Downloads the output of one filter in the format chosen in the export controls, with a JSON sidecar
+   * @param {string} id - The filter id
+   * @returns {Promise<void>}
+   */
+  async exportFilter(id) {
+    const filter = this.filters[id];
+    if (!filter) return;
+    const format = document.getElementById('exportFormat').value;
+    try {
+      await exportSnapshot(filter.canvas, snapshotName(id), format, this.getSnapshotMetadata([id]));
+    } catch (error) {
+      console.error(`Error exporting ${id}:`, error);
+      alert('Could not export the image.');
+    }
+  }
+
+  /**
+   * Downloads the input source and every filter output as one labelled contact sheet, with a JSON sidecar
+   * @returns {Promise<void>}
+   */
+  async exportGrid() {
+    const ids = this.grid.getCells().map(cell => cell.id);
+    const format = document.getElementById('exportFormat').value;
+    try {
+      const sheet = buildContactSheet(this.getGridTiles());
+      await exportSnapshot(sheet, snapshotName('grid'), format, this.getSnapshotMetadata(ids));
+    } catch (error) {
+      console.error('Error exporting grid:', error);
+      alert('Could not export the grid.');
+    }
+  }
+
+  /**
+   * Starts recording the target chosen in the recording controls, or stops the current recording
+   */
+  toggleRecording() {
+    if (this.recorder.getState() !== 'inactive') {
+      this.recorder.stop();
+      return;
+    }
+
+    const target = this.recordTargetSelect.value;
+    const canvas = target === 'grid' ? this.drawRecordingSheet() : this.filters[target].canvas;
+    const limit = Number(document.getElementById('recordLimit').value);
+    try {
+      this.recordingTarget = target;
+      this.recorder.start(canvas, {
+        mimeType: document.getElementById('recordCodec').value || undefined,
+        fps: this.frameLoop.targetFps,
+        maxDuration: limit > 0 ? limit : Infinity
+      });
+    } catch (error) {
+      console.error('Error starting recording:', error);
+      this.recordingTarget = null;
+      alert('Could not start recording with the selected codec.');
+    }
+  }
+
+  /**
+   * Pauses the current recording, or resumes it if it is paused
+   */
+  togglePauseRecording() {
+    if (this.recorder.getState() === 'paused') {
+      this.recorder.resume();
+    } else {
+      this.recorder.pause();
+    }
+  }
+
+  /**
+   * Downloads a finished recording as a WebM file named after what was recorded
+   * @private
+   * @param {Blob} blob - The recorded clip
+   */
+  saveRecording(blob) {
+    if (blob.size > 0) {
+      downloadBlob(blob, `${snapshotName(this.recordingTarget)}.webm`);
+    }
+    this.recordingTarget = null;
+    this.recordingSheet = null;
+    this.updateRecordingControls();
+  }
+
+  /**
+   * Redraws the contact sheet recorded when the whole grid is the recording target
+   * @private
+   * @returns {HTMLCanvasElement} The contact sheet canvas, the same one on every call while recording
+   */
+  drawRecordingSheet() {
+    this.recordingSheet = buildContactSheet(this.getGridTiles(), { canvas: this.recordingSheet || undefined });
+    return this.recordingSheet;
+  }
+
+  /**
+   * Fills the recording target selector with the whole grid and every filter, keeping the selection
+   * @private
+   */
+  populateRecordTargets() {
+    const selected = this.recordTargetSelect.value;
+    this.recordTargetSelect.innerHTML = '<option value="grid">Whole grid</option>';
+    this.grid.getCells().forEach(({ id, title }) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = title;
+      this.recordTargetSelect.appendChild(option);
+    });
+    if (this.filters[selected]) {
+      this.recordTargetSelect.value = selected;
+    }
+  }
+
+  /**
+   * Updates the recording buttons and status to reflect the recorder state
+   * @private
+   */
+  updateRecordingControls() {
+    const state = this.recorder.getState();
+    document.getElementById('startRecording').textContent = state === 'inactive' ? 'Record' : 'Stop Recording';
+    document.getElementById('pauseRecording').textContent = state === 'paused' ? 'Resume' : 'Pause';
+    document.getElementById('pauseRecording').disabled = state === 'inactive';
+    document.getElementById('recordStatus').textContent = state === 'inactive' ? '' : `${state}: ${this.recordingTarget}`;
+    this.recordTargetSelect.disabled = state !== 'inactive';
+    document.getElementById('recordCodec').disabled = state !== 'inactive';
+  }
+
+  /**
+   * Lists the input source and every filter output as contact sheet tiles, in grid order
+   * @private
+   * @returns {Array<{title: string, source: CanvasImageSource}>} The tiles
+   */
+  getGridTiles() {
+    return [
+      { title: this.source.label, source: this.source.getElement() },
+      ...this.grid.getCells().map(({ title, canvas }) => ({ title, source: canvas }))
+    ];
+  }
+
+  /**
+   * Collects the settings a snapshot was taken with, for its JSON sidecar: slider values, the face
+   * effects painted on the captured frame and the face detection boxes, in detection canvas and in
+   * source coordinates.
+   * @private
+   * @param {Array<string>} ids - The filters included in the snapshot
+   * @returns {Object} Plain data that can be serialized to JSON
+   */
+  getSnapshotMetadata(ids) {
+    const thresholds = {};
+    document.querySelectorAll('.slider-container input[type="range"][id]').forEach(slider => {
+      thresholds[slider.id] = Number(slider.value);
+    });
+
+    const { faceDetection, maskFace } = this.filters;
+    const detections = faceDetection ? faceDetection.getDetections().map(detection => ({
+      score: detection.score,
+      box: { x: detection.box.x, y: detection.box.y, width: detection.box.width, height: detection.box.height },
+      sourceBox: faceDetection.toSourceBox(detection.box)
+    })) : [];
+    const tracks = faceDetection ? this.getFaceEffectTracks().map(({ id, box, missed, identity, effect }) => ({
+      id,
+      missed,
+      identity,
+      effect,
+      box: { ...box },
+      sourceBox: faceDetection.toSourceBox(box)
+    })) : [];
+
+    return {
+      capturedAt: new Date().toISOString(),
+      source: { kind: this.source.kind, label: this.source.label },
+      resolution: { ...this.resolution },
+      filters: ids.map(id => {
+        const { enabled, params } = this.pipeline.getNode(id);
+        return { id, enabled, params };
+      }),
+      thresholds,
+      faceEffect: maskFace ? maskFace.getAppliedEffects() : null,
+      detections,
+      tracks
+    };
+  }
+
+  /**
+   * Creates the hue, saturation and value range controls of the HSV key and passes their values to
+   * the rgbHsvThreshold node. The controls start from the filter's own ranges.
+   * @private
+   */
+  setupHsvKeyControls() {
+    const filter = this.filters.rgbHsvThreshold;
+    if (!filter) return;
+
+    const update = () => {
+      if (!this.pipeline.getNode('rgbHsvThreshold')) return;
+      this.pipeline.setParams('rgbHsvThreshold', {
+        hueRange: hue.getRange(),
+        saturationRange: saturation.getRange(),
+        valueRange: value.getRange(),
+        output: outputSelect.value
+      });
+      if (!this.frameLoop.isRunning()) {
+        this.processImage();
+      }
+    };
+
+    const hue = new RangeSlider(document.getElementById('hsvHueRange'), {
+      max: 360, value: filter.hueRange, wrap: true, unit: '°', onChange: update
+    });
+    const saturation = new RangeSlider(document.getElementById('hsvSaturationRange'), {
+      value: filter.saturationRange, onChange: update
+    });
+    const value = new RangeSlider(document.getElementById('hsvValueRange'), {
+      value: filter.valueRange, onChange: update
+    });
+    // Kept to show the threshold chosen by an automatic method on the low handle
+    this.hsvValueSlider = value;
+    const outputSelect = document.getElementById('hsvKeyOutput');
+    outputSelect.value = filter.output;
+    outputSelect.addEventListener('change', update);
+  }
+
+  /**
+   * Creates the mode selector and Cb/Cr range controls of the YCbCr segmentation and passes their
+   * values to the ycbcrThreshold node
+   * @private
+   */
+  setupYCbCrControls() {
+    const filter = this.filters.ycbcrThreshold;
+    if (!filter) return;
+
+    const update = () => {
+      if (!this.pipeline.getNode('ycbcrThreshold')) return;
+      this.pipeline.setParams('ycbcrThreshold', {
+        mode: modeSelect.value,
+        cbRange: cb.getRange(),
+        crRange: cr.getRange()
+      });
+      if (!this.frameLoop.isRunning()) {
+        this.processImage();
+      }
+    };
+
+    const cb = new RangeSlider(document.getElementById('ycbcrCbRange'), { value: filter.cbRange, onChange: update });
+    const cr = new RangeSlider(document.getElementById('ycbcrCrRange'), { value: filter.crRange, onChange: update });
+    const modeSelect = document.getElementById('ycbcrMode');
+    modeSelect.value = filter.mode;
+    modeSelect.addEventListener('change', update);
+    this.regionInfoElement = document.getElementById('skinRegionInfo');
+  }
+
+  /**
+   * Wires the motion panel to the motion node and listens for its motion events, which update the
+   * status line and, if enabled, save a snapshot of the frame that triggered them
+   * @private
+   */
+  setupMotionControls() {
+    const filter = this.filters.motion;
+    if (!filter) return;
+
+    const methodSelect = document.getElementById('motionMethod');
+    const learningRateInput = document.getElementById('motionLearningRate');
+    const sensitivityInput = document.getElementById('motionSensitivity');
+    const cooldownInput = document.getElementById('motionCooldown');
+    const minAreaInput = document.getElementById('motionMinArea');
+    const boxesCheckbox = document.getElementById('motionBoxes');
+    const captureCheckbox = document.getElementById('motionCapture');
+    const status = document.getElementById('motionStatus');
+
+    const update = () => {
+      if (!this.pipeline.getNode('motion')) return;
+      this.pipeline.setParams('motion', {
+        method: methodSelect.value,
+        learningRate: parseFloat(learningRateInput.value) || filter.learningRate,
+        sensitivity: Math.min(100, Math.max(0, parseInt(sensitivityInput.value) || 0)),
+        cooldown: Math.max(0, parseFloat(cooldownInput.value) || 0) * 1000,
+        minArea: Math.max(1, parseInt(minAreaInput.value) || 1),
+        showBoxes: boxesCheckbox.checked
+      });
+    };
+
+    methodSelect.value = filter.method;
+    learningRateInput.value = filter.learningRate;
+    sensitivityInput.value = filter.sensitivity;
+    cooldownInput.value = filter.cooldown / 1000;
+    minAreaInput.value = filter.minArea;
+    boxesCheckbox.checked = filter.showBoxes;
+    [methodSelect, learningRateInput, sensitivityInput, cooldownInput, minAreaInput, boxesCheckbox].forEach(input => {
+      input.addEventListener('change', update);
+    });
+    document.getElementById('motionReset').addEventListener('click', () => filter.resetBackground());
+
+    filter.addEventListener('motionstart', (e) => {
+      status.textContent = `Motion in ${e.detail.boxes.length} region(s)`;
+      if (captureCheckbox.checked) {
+        // The frame that triggered the event, without the mask drawn over it
+        this.exportFilter(this.filters.webcamRepeat ? 'webcamRepeat' : 'motion');
+      }
+    });
+    filter.addEventListener('motionstop', (e) => {
+      status.textContent = `No motion (last lasted ${(e.detail.duration / 1000).toFixed(1)}s)`;
+    });
+  }
+
+  /**
+   * Wires the temporal panel to the temporal node
+   * @private
+   */
+  setupTemporalControls() {
+    const filter = this.filters.temporal;
+    if (!filter) return;
+
+    const modeSelect = document.getElementById('temporalMode');
+    const historyInput = document.getElementById('temporalHistory');
+
+    const update = () => {
+      if (!this.pipeline.getNode('temporal')) return;
+      this.pipeline.setParams('temporal', {
+        mode: modeSelect.value,
+        historyLength: parseInt(historyInput.value) || filter.historyLength
+      });
+      historyInput.value = filter.historyLength;
+    };
+
+    modeSelect.value = filter.mode;
+    historyInput.value = filter.historyLength;
+    modeSelect.addEventListener('change', update);
+    historyInput.addEventListener('change', update);
+    document.getElementById('temporalReset').addEventListener('click', () => filter.reset());
+  }
+
+  /**
+   * Wires the morphology and blob panel. The mask selector re-links the morphology node to another
+   * threshold filter; the other controls go to the morphology and blobs nodes.
+   * @private
+   */
+  setupMorphologyControls() {
+    const morphology = this.filters.morphology;
+    const blobs = this.filters.blobs;
+    this.morphologyInputSelect = document.getElementById('morphologyInput');
+    this.blobInfoElement = document.getElementById('blobInfo');
+    if (!morphology) return;
+
+    const operationSelect = document.getElementById('morphologyOperation');
+    const shapeSelect = document.getElementById('morphologyShape');
+    const radiusInput = document.getElementById('morphologyRadius');
+    const minAreaInput = document.getElementById('blobMinArea');
+    const connectivitySelect = document.getElementById('blobConnectivity');
+    const overlayCheckbox = document.getElementById('blobOverlay');
+
+    const update = () => {
+      if (this.pipeline.getNode('morphology')) {
+        this.pipeline.setParams('morphology', {
+          operation: operationSelect.value,
+          shape: shapeSelect.value,
+          radius: Math.max(1, parseInt(radiusInput.value) || 1)
+        });
+      }
+      if (this.pipeline.getNode('blobs')) {
+        this.pipeline.setParams('blobs', {
+          minArea: Math.max(0, parseInt(minAreaInput.value) || 0),
+          connectivity: parseInt(connectivitySelect.value),
+          showOverlay: overlayCheckbox.checked
+        });
+      }
+      if (!this.frameLoop.isRunning()) {
+        this.processImage();
+      }
+    };
+
+    operationSelect.value = morphology.operation;
+    shapeSelect.value = morphology.shape;
+    radiusInput.value = morphology.radius;
+    if (blobs) {
+      minAreaInput.value = blobs.minArea;
+      connectivitySelect.value = blobs.connectivity;
+      overlayCheckbox.checked = blobs.showOverlay;
+    }
+    [operationSelect, shapeSelect, radiusInput, minAreaInput, connectivitySelect, overlayCheckbox].forEach(input => {
+      input.addEventListener('change', update);
+    });
+
+    this.morphologyInputSelect.addEventListener('change', () => {
+      if (!this.pipeline.getNode('morphology')) return;
+      try {
+        this.pipeline.setInputs('morphology', this.morphologyInputSelect.value);
+      } catch (error) {
+        console.error('Could not change the morphology input:', error);
+        this.populateMorphologyInputs();
+        return;
+      }
+      if (!this.frameLoop.isRunning()) {
+        this.processImage();
+      }
+    });
+    this.populateMorphologyInputs();
+  }
+
+  /**
+   * Lists the threshold filters the morphology node can read from and selects its current input
+   * @private
+   */
+  populateMorphologyInputs() {
+    const node = this.pipeline.getNode('morphology');
+    if (!this.morphologyInputSelect || !node) return;
+    this.morphologyInputSelect.innerHTML = '';
+    this.grid.getCells().forEach(({ id, title }) => {
+      if (!(this.filters[id] instanceof ThresholdFilter)) return;
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = title;
+      this.morphologyInputSelect.appendChild(option);
+    });
+    this.morphologyInputSelect.value = node.inputs[0];
+  }
+
+  /**
+   * Lists the blobs found in the last frame by the blobs filter
+   * @private
+   */
+  renderBlobInfo() {
+    const filter = this.filters.blobs;
+    if (!this.blobInfoElement || !filter) return;
+    const blobs = filter.getBlobs();
+    const largest = [...blobs].sort((a, b) => b.area - a.area).slice(0, 5);
+    this.blobInfoElement.textContent = blobs.length === 0
+      ? 'No blobs found'
+      : `${blobs.length} blob(s). ` + largest
+        .map(({ label, area, centroid }) => `#${label}: ${area} px at (${Math.round(centroid.x)}, ${Math.round(centroid.y)})`)
+        .join(', ');
+  }
+
+  /**
+   * Wires the face models panel: where the models are loaded from, the detector and its options,
+   * and the loading status. The model URL is remembered in localStorage and applied before the
+   * models are first loaded, so an offline setup never reaches for the CDN.
+   * @private
+   */
+  setupFaceModelControls() {
+    const filter = this.filters.faceDetection;
+    if (!filter) return;
+
+    const sourceSelect = document.getElementById('faceModelSource');
+    const urlInput = document.getElementById('faceModelUrl');
+    const detectorSelect = document.getElementById('faceDetector');
+    const inputSizeSelect = document.getElementById('faceInputSize');
+    const scoreInput = document.getElementById('faceScoreThreshold');
+    const status = document.getElementById('faceModelStatus');
+    const sourceUrls = { cdn: FACE_DETECTION_MODEL_URL, local: LOCAL_FACE_MODEL_URL };
+
+    const showUrl = (url) => {
+      const source = Object.keys(sourceUrls).find(key => sourceUrls[key] === url) || 'custom';
+      sourceSelect.value = source;
+      urlInput.value = url;
+      urlInput.disabled = source !== 'custom';
+    };
+    const update = () => {
+      const url = sourceSelect.value === 'custom' ? urlInput.value.trim() : sourceUrls[sourceSelect.value];
+      if (!url || !this.pipeline.getNode('faceDetection')) return;
+      this.pipeline.setParams('faceDetection', {
+        modelUrl: url,
+        detector: detectorSelect.value,
+        inputSize: parseInt(inputSizeSelect.value) || filter.inputSize,
+        scoreThreshold: Math.min(0.99, Math.max(0.01, parseFloat(scoreInput.value) || filter.scoreThreshold))
+      });
+      showUrl(filter.modelUrl);
+      inputSizeSelect.disabled = filter.detector !== FACE_DETECTORS.TINY;
+      scoreInput.value = filter.scoreThreshold;
+      try {
+        localStorage.setItem(FACE_MODEL_STORAGE_KEY, filter.modelUrl);
+      } catch (error) {
+        // Storage can be unavailable (private mode, file://); the choice is simply not remembered
+      }
+    };
+    const load = () => {
+      filter.whenReady().catch(error => console.error('Face models failed to load:', error));
+    };
+    const renderStatus = () => {
+      const { modelStatus, modelError } = filter;
+      const messages = {
+        [MODEL_STATUS.IDLE]: 'Models not loaded',
+        [MODEL_STATUS.LOADING]: `Loading models from ${filter.modelUrl}...`,
+        [MODEL_STATUS.READY]: `Models loaded from ${filter.modelUrl}`,
+        [MODEL_STATUS.ERROR]: `Models could not be loaded: ${modelError ? modelError.message : 'unknown error'}`
+      };
+      status.textContent = messages[modelStatus];
+      status.classList.toggle('model-error', modelStatus === MODEL_STATUS.ERROR);
+    };
+
+    let storedUrl = null;
+    try {
+      storedUrl = localStorage.getItem(FACE_MODEL_STORAGE_KEY);
+    } catch (error) {
+      // Fall back to the default model URL
+    }
+    if (storedUrl) {
+      this.pipeline.setParams('faceDetection', { modelUrl: storedUrl });
+    }
+    showUrl(filter.modelUrl);
+    detectorSelect.value = filter.detector;
+    inputSizeSelect.value = filter.inputSize;
+    inputSizeSelect.disabled = filter.detector !== FACE_DETECTORS.TINY;
+    scoreInput.value = filter.scoreThreshold;
+
+    sourceSelect.addEventListener('change', () => {
+      urlInput.disabled = sourceSelect.value !== 'custom';
+      if (sourceSelect.value === 'custom') {
+        urlInput.focus();
+      } else {
+        update();
+      }
+    });
+    [urlInput, detectorSelect, inputSizeSelect, scoreInput].forEach(input => input.addEventListener('change', update));
+    document.getElementById('loadFaceModels').addEventListener('click', () => {
+      update();
+      load();
+    });
+    filter.addEventListener('modelstatus', renderStatus);
+    renderStatus();
+    load();
+  }
+
+  /**
+   * Wires the face effects panel. Clicking a box on the face detection canvas selects or deselects
+   * that face for the "clicked faces" target. In sticky mode the effects are painted again on every
+   * frame of the face detection filter, and the fail-safe masks the whole frame once no face has been
+   * detected for the fail-safe delay.
+   * @private
+   */
+  setupFaceEffectControls() {
+    const { faceDetection } = this.filters;
+    if (!faceDetection) return;
+
+    this.selectedFaces = new Set();
+    // Effects by target rule ({ target, effect, part }), re-evaluated on every frame
+    this.faceEffectRules = [];
+    this.faceTargetSelect = document.getElementById('faceTarget');
+    this.faceEffectSelect = document.getElementById('faceEffect');
+    this.faceEffectStatus = document.getElementById('faceEffectStatus');
+    this.faceTargetSelect.value = FACE_TARGETS.ALL;
+    this.facePartSelect = document.getElementById('facePart');
+    this.facePartSelect.value = FACE_PARTS.FACE;
+    this.setupFaceLandmarkControls();
+
+    this.faceEffectSettings = {
+      sticky: false,
+      failSafe: false,
+      failSafeDelay: DEFAULT_FAIL_SAFE_DELAY,
+      failSafeEffect: 'pixelate'
+    };
+    // When a face was last detected; the fail-safe timer starts when sticky mode is turned on
+    this.lastFaceSeen = performance.now();
+    const stickyCheckbox = document.getElementById('stickyFaceEffects');
+    const failSafeCheckbox = document.getElementById('faceFailSafe');
+    const failSafeDelayInput = document.getElementById('faceFailSafeDelay');
+    const failSafeEffectSelect = document.getElementById('faceFailSafeEffect');
+
+    const updateSettings = () => {
+      const { sticky } = this.faceEffectSettings;
+      this.faceEffectSettings = {
+        sticky: stickyCheckbox.checked,
+        failSafe: failSafeCheckbox.checked,
+        failSafeDelay: Math.max(0, parseFloat(failSafeDelayInput.value) || 0) * 1000,
+        failSafeEffect: failSafeEffectSelect.value
+      };
+      if (this.faceEffectSettings.sticky && !sticky) {
+        this.lastFaceSeen = performance.now();
+      }
+      failSafeCheckbox.disabled = !stickyCheckbox.checked;
+      this.renderFaceEffectStatus();
+    };
+    stickyCheckbox.checked = this.faceEffectSettings.sticky;
+    failSafeCheckbox.checked = this.faceEffectSettings.failSafe;
+    failSafeDelayInput.value = this.faceEffectSettings.failSafeDelay / 1000;
+    failSafeEffectSelect.value = this.faceEffectSettings.failSafeEffect;
+    failSafeCheckbox.disabled = true;
+    [stickyCheckbox, failSafeCheckbox, failSafeDelayInput, failSafeEffectSelect].forEach(input => {
+      input.addEventListener('change', updateSettings);
+    });
+
+    // The frame event comes before detection, with the boxes of the previous frame, so a face is
+    // never shown unmasked while the detector is still looking for it
+    faceDetection.addEventListener('frame', () => {
+      if (this.filters.maskFace) this.filters.maskFace.clearAppliedEffects();
+      if (this.faceEffectSettings.sticky) this.renderFaceEffects();
+      this.renderFaceOverlays();
+    });
+    faceDetection.addEventListener('detect', (e) => {
+      if (e.detail.tracks.some(({ missed }) => missed === 0)) {
+        this.lastFaceSeen = e.detail.time;
+      }
+      if (this.filters.maskFace) this.filters.maskFace.clearAppliedEffects();
+      if (this.faceEffectSettings.sticky) this.renderFaceEffects();
+      this.renderFaceOverlays();
+    });
+
+    document.getElementById('applyFaceEffect').addEventListener('click', () => {
+      this.setFaceEffect(this.faceEffectSelect.value || null);
+    });
+    document.getElementById('clearFaceEffects').addEventListener('click', () => {
+      if (this.filters.maskFace) this.filters.maskFace.clearFaceEffects();
+      this.faceEffectRules = [];
+      this.selectedFaces.clear();
+      faceDetection.setSelectedFaces(this.selectedFaces);
+      this.renderFaceEffectStatus();
+    });
+
+    faceDetection.canvas.addEventListener('click', (e) => {
+      const rect = faceDetection.canvas.getBoundingClientRect();
+      const x = (e.clientX - rect.left) * faceDetection.canvas.width / rect.width;
+      const y = (e.clientY - rect.top) * faceDetection.canvas.height / rect.height;
+      const face = findFaceAt(faceDetection.getTracks(), x, y);
+      if (!face) return;
+      if (this.selectedFaces.has(face.id)) {
+        this.selectedFaces.delete(face.id);
+      } else {
+        this.selectedFaces.add(face.id);
+      }
+      faceDetection.setSelectedFaces(this.selectedFaces);
+      this.faceTargetSelect.value = FACE_TARGETS.SELECTED;
+      this.renderFaceEffectStatus();
+    });
+    this.renderFaceEffectStatus();
+  }
+
+  /**
+   * Assigns an effect to the faces chosen by the face target rule, then paints the effects of all
+   * tracked faces onto the face detection canvas. In sticky mode the effects stay until they are
+   * removed; otherwise the next frame draws over them.
+   * @param {?string} effect - A MaskFaceFilter effect name, or null to remove the effect of those faces
+   */
+  setFaceEffect(effect) {
+    const { faceDetection, maskFace } = this.filters;
+    if (!faceDetection || !maskFace) return;
+    const target = this.faceTargetSelect ? this.faceTargetSelect.value : FACE_TARGETS.ALL;
+    const part = this.facePartSelect ? this.facePartSelect.value : FACE_PARTS.FACE;
+    if (target === FACE_TARGETS.SELECTED) {
+      selectFaces(faceDetection.getTracks(), target, this.selectedFaces).forEach(({ id }) => {
+        maskFace.setFaceEffect(id, effect, part);
+      });
+    } else {
+      // Other targets are standing rules, so faces that match later (a newcomer, a face that is
+      // no longer recognised) get the effect too. The newest rule for a target replaces the old one.
+      this.faceEffectRules = this.faceEffectRules.filter(rule => rule.target !== target);
+      if (effect) this.faceEffectRules.push({ target, effect, part });
+    }
+    this.renderFaceEffects();
+  }
+
+  /**
+   * Returns the tracked faces with the effect each one gets: the effect assigned to the face itself,
+   * otherwise the effect of the last standing rule it matches
+   * @returns {Array<Object>} The tracks of the face detection filter, each with an effect
+   * ({ effect, part } or null)
+   */
+  getFaceEffectTracks() {
+    const { faceDetection, maskFace } = this.filters;
+    if (!faceDetection) return [];
+    const tracks = faceDetection.getTracks();
+    const ruleEffects = resolveFaceEffects(tracks, this.faceEffectRules || [], this.selectedFaces);
+    return tracks.map(track => ({
+      ...track,
+      effect: (maskFace && maskFace.getFaceEffect(track.id)) || ruleEffects.get(track.id) || null
+    }));
+  }
+
+  /**
+   * Checks whether the fail-safe should mask the whole frame: sticky mode and the fail-safe are on and
+   * no face has been detected for longer than the fail-safe delay
+   * @returns {boolean} True while the fail-safe is active
+   */
+  isFailSafeActive() {
+    if (!this.faceEffectSettings) return false;
+    const { sticky, failSafe, failSafeDelay } = this.faceEffectSettings;
+    return sticky && failSafe && performance.now() - this.lastFaceSeen > failSafeDelay;
+  }
+
+  /**
+   * Paints the assigned effect of every tracked face onto the face detection canvas, and forgets the
+   * effects and selections of faces that are no longer tracked. While the fail-safe is active the
+   * fail-safe effect covers the whole frame instead.
+   * @private
+   */
+  renderFaceEffects() {
+    const { faceDetection, maskFace, webcamRepeat } = this.filters;
+    if (!faceDetection || !maskFace || !webcamRepeat) return;
+    if (this.isFailSafeActive()) {
+      const frame = { x: 0, y: 0, width: faceDetection.canvas.width, height: faceDetection.canvas.height };
+      const sourceFrame = webcamRepeat.fromSourceBox(faceDetection.toSourceBox(frame));
+      maskFace.applyFrameEffect(this.faceEffectSettings.failSafeEffect, webcamRepeat.canvas, sourceFrame);
+      this.renderFaceEffectStatus();
+      return;
+    }
+    const tracks = this.getFaceEffectTracks();
+    const ids = tracks.map(({ id }) => id);
+    maskFace.clearFaceEffects(ids);
+    if (this.selectedFaces) {
+      this.selectedFaces.forEach(id => {
+        if (!ids.includes(id)) this.selectedFaces.delete(id);
+      });
+      faceDetection.setSelectedFaces(this.selectedFaces);
+    }
+
+    // Use webcam repeat as the source for face effects. It may have a different resolution
+    // than the detection canvas, so map the regions through source coordinates.
+    maskFace.applyFaceEffects(tracks, webcamRepeat.canvas, region => {
+      return webcamRepeat.fromSourceBox(faceDetection.toSourceBox(region));
+    });
+    this.renderFaceEffectStatus();
+  }
+
+  /**
+   * Wires the face recognition panel: the recognition switch and threshold, enrolment of the chosen
+   * face under a name, and the list of enrolled people with import and export. Enrolled people are
+   * kept in IndexedDB by a FaceStore and passed to the face detection filter whenever they change.
+   * @private
+   */
+  setupFaceRecognitionControls() {
+    const filter = this.filters.faceDetection;
+    if (!filter) return;
+
+    const recognitionCheckbox = document.getElementById('faceRecognition');
+    const thresholdInput = document.getElementById('recognitionThreshold');
+    const enrolButton = document.getElementById('enrolFace');
+    this.enrolStatus = document.getElementById('enrolStatus');
+    this.enrolledList = document.getElementById('enrolledFaces');
+
+    const update = () => {
+      if (!this.pipeline.getNode('faceDetection')) return;
+      this.pipeline.setParams('faceDetection', {
+        useRecognition: recognitionCheckbox.checked,
+        recognitionThreshold: parseFloat(thresholdInput.value) || filter.recognitionThreshold
+      });
+    };
+    recognitionCheckbox.checked = filter.useRecognition;
+    thresholdInput.value = filter.recognitionThreshold;
+    recognitionCheckbox.addEventListener('change', update);
+    thresholdInput.addEventListener('change', update);
+    document.getElementById('enrolFrames').value = DEFAULT_ENROLMENT_FRAMES;
+
+    if (!FaceStore.isSupported()) {
+      enrolButton.disabled = true;
+      enrolButton.title = 'IndexedDB is not available in this browser';
+      return;
+    }
+    this.faceStore = new FaceStore();
+    this.faceStore.addEventListener('change', (e) => {
+      filter.setKnownFaces(e.detail);
+      this.renderEnrolledFaces();
+    });
+    this.faceStore.load().catch(error => {
+      console.error('Could not load the enrolled faces:', error);
+      this.enrolStatus.textContent = 'Enrolled faces could not be loaded';
+    });
+
+    enrolButton.addEventListener('click', async () => {
+      recognitionCheckbox.checked = true;
+      update();
+      enrolButton.disabled = true;
+      try {
+        await this.enrolFace();
+      } finally {
+        enrolButton.disabled = false;
+      }
+    });
+    document.getElementById('exportFaces').addEventListener('click', () => {
+      downloadBlob(this.faceStore.exportBlob(), 'enrolled-faces.json');
+    });
+    document.getElementById('importFaces').addEventListener('change', async (e) => {
+      const [file] = e.target.files;
+      e.target.value = '';
+      if (!file) return;
+      try {
+        const count = await this.faceStore.importJson(await file.text());
+        this.enrolStatus.textContent = `Imported ${count} person(s)`;
+      } catch (error) {
+        console.error('Could not import enrolled faces:', error);
+        alert(`The file could not be imported: ${error.message}`);
+      }
+    });
+    document.getElementById('clearEnrolledFaces').addEventListener('click', () => {
+      if (confirm('Forget every enrolled face?')) this.updateFaceStore(this.faceStore.clear(), 'Forgot every enrolled face');
+    });
+  }
+
+  /**
+   * Reports the outcome of a change to the enrolled faces in the enrolment status. The list is
+   * re-rendered by the store's change event, which only fires once the change is stored.
+   * @private
+   * @param {Promise<void>} change - The pending FaceStore operation
+   * @param {string} message - The status shown on success
+   * @returns {Promise<void>}
+   */
+  async updateFaceStore(change, message) {
+    try {
+      await change;
+      this.enrolStatus.textContent = message;
+    } catch (error) {
+      console.error('Could not update enrolled faces:', error);
+      this.enrolStatus.textContent = `Could not update enrolled faces: ${error.message}`;
+    }
+  }
+
+  /**
+   * Captures the descriptors of the chosen face over the next frames and enrols them under the
+   * entered name. The face is the first selected face, or the largest one if none is selected, and
+   * is followed by its track, so other faces entering the frame are not captured. In live mode the
+   * capture is abandoned after ENROLMENT_TIMEOUT, e.g. when live mode is paused or detection fails.
+   * @returns {Promise<void>}
+   */
+  async enrolFace() {
+    const { faceDetection } = this.filters;
+    const name = document.getElementById('enrolName').value.trim();
+    const frames = Math.max(1, parseInt(document.getElementById('enrolFrames').value) || DEFAULT_ENROLMENT_FRAMES);
+    if (!name) {
+      this.enrolStatus.textContent = 'Enter a name first';
+      return;
+    }
+    const tracks = faceDetection.getTracks();
+    const [face] = this.selectedFaces && this.selectedFaces.size > 0
+      ? selectFaces(tracks, FACE_TARGETS.SELECTED, this.selectedFaces)
+      : selectFaces(tracks, FACE_TARGETS.LARGEST);
+    if (!face) {
+      this.enrolStatus.textContent = 'No face to enrol';
+      return;
+    }
+
+    const captured = [];
+    let finished = false;
+    let timer = null;
+    let finish;
+    let fail;
+    const capture = new Promise((resolve, reject) => {
+      const stop = () => {
+        finished = true;
+        clearTimeout(timer);
+        faceDetection.removeEventListener('detect', onDetect);
+      };
+      finish = () => {
+        stop();
+        resolve(captured);
+      };
+      fail = (error) => {
+        stop();
+        reject(error);
+      };
+    });
+    const onDetect = (e) => {
+      const track = e.detail.tracks.find(({ id }) => id === face.id);
+      if (track && track.detectionIndex >= 0 && track.descriptor) {
+        captured.push(track.descriptor);
+        this.enrolStatus.textContent = `Capturing ${name}: ${captured.length}/${frames}`;
+      }
+      if (!track || captured.length >= frames) finish();
+    };
+    faceDetection.addEventListener('detect', onDetect);
+
+    // Outside live mode, process frames until enough have been captured. Frames in which the face
+    // is missed do not count, so allow some extra before giving up.
+    if (!this.frameLoop.isRunning()) {
+      for (let i = 0; i < frames * 2 && !finished; i++) {
+        await this.processImage();
+      }
+      finish();
+    } else {
+      // Like the bounded loop above, a partial capture is kept; no capture at all is an error
+      timer = setTimeout(() => {
+        if (captured.length > 0) finish();
+        else fail(new Error(`no face detections within ${ENROLMENT_TIMEOUT / 1000}s`));
+      }, ENROLMENT_TIMEOUT);
+    }
+    let descriptors;
+    try {
+      descriptors = await capture;
+    } catch (error) {
+      console.warn('Enrolment capture failed:', error);
+      this.enrolStatus.textContent = `Enrolment failed: ${error.message}`;
+      return;
+    }
+
+    if (descriptors.length === 0) {
+      this.enrolStatus.textContent = `Lost face #${face.id} before it could be captured`;
+      return;
+    }
+    try {
+      await this.faceStore.enrol(name, descriptors);
+      this.enrolStatus.textContent = `Enrolled ${name} from ${descriptors.length} frame(s)`;
+    } catch (error) {
+      console.error('Enrolment failed:', error);
+      this.enrolStatus.textContent = `Enrolment failed: ${error.message}`;
+    }
+  }
+
+  /**
+   * Lists the enrolled people, each with a button that forgets them
+   * @private
+   */
+  renderEnrolledFaces() {
+    this.enrolledList.replaceChildren(...this.faceStore.getPeople().map(({ name, descriptors }) => {
+      const item = document.createElement('li');
+      item.textContent = `${name} (${descriptors.length} frame(s)) `;
+      const removeButton = document.createElement('button');
+      removeButton.type = 'button';
+      removeButton.textContent = 'Forget';
+      removeButton.addEventListener('click', () => this.updateFaceStore(this.faceStore.remove(name), `Forgot ${name}`));
+      item.appendChild(removeButton);
+      return item;
+    }));
+  }
+
+  /**
+   * Wires the landmark and overlay controls of the face effects panel. Limiting an effect to the eyes
+   * or mouth, or showing an overlay, turns landmark detection on.
+   * @private
+   */
+  setupFaceLandmarkControls() {
+    const filter = this.filters.faceDetection;
+    const landmarksCheckbox = document.getElementById('faceLandmarks');
+    const showLandmarksCheckbox = document.getElementById('showLandmarks');
+    const overlayCheckbox = document.getElementById('faceOverlayEnabled');
+    const overlayScaleInput = document.getElementById('faceOverlayScale');
+    const overlayOffsetInput = document.getElementById('faceOverlayOffset');
+
+    // The overlay image is drawn on the eye line of every face with landmarks
+    this.faceOverlay = { enabled: false, image: null, scale: DEFAULT_OVERLAY_SCALE, offset: 0 };
+
+    const update = () => {
+      const needsLandmarks = this.facePartSelect.value !== FACE_PARTS.FACE || overlayCheckbox.checked;
+      if (needsLandmarks) landmarksCheckbox.checked = true;
+      if (this.pipeline.getNode('faceDetection')) {
+        this.pipeline.setParams('faceDetection', {
+          useLandmarks: landmarksCheckbox.checked,
+          showLandmarks: landmarksCheckbox.checked && showLandmarksCheckbox.checked
+        });
+      }
+      this.faceOverlay.enabled = overlayCheckbox.checked;
+      this.faceOverlay.scale = parseFloat(overlayScaleInput.value) || DEFAULT_OVERLAY_SCALE;
+      this.faceOverlay.offset = parseFloat(overlayOffsetInput.value) || 0;
+    };
+
+    landmarksCheckbox.checked = filter.useLandmarks;
+    showLandmarksCheckbox.checked = filter.showLandmarks;
+    overlayCheckbox.checked = this.faceOverlay.enabled;
+    overlayScaleInput.value = this.faceOverlay.scale;
+    overlayOffsetInput.value = this.faceOverlay.offset;
+    [this.facePartSelect, landmarksCheckbox, showLandmarksCheckbox, overlayCheckbox, overlayScaleInput, overlayOffsetInput]
+      .forEach(input => input.addEventListener('change', update));
+
+    document.getElementById('faceOverlayFile').addEventListener('change', async (e) => {
+      const [file] = e.target.files;
+      if (!file) return;
+      try {
+        const image = await createImageBitmap(file);
+        if (this.faceOverlay.image) this.faceOverlay.image.close();
+        this.faceOverlay.image = image;
+        overlayCheckbox.checked = true;
+        update();
+      } catch (error) {
+        console.error('Could not load the overlay image:', error);
+        alert('The overlay file could not be read as an image.');
+      }
+    });
+  }
+
+  /**
+   * Draws the overlay image on the eye line of every tracked face that has landmarks
+   * @private
+   */
+  renderFaceOverlays() {
+    const { faceDetection, maskFace } = this.filters;
+    if (!faceDetection || !maskFace || !this.faceOverlay) return;
+    const { enabled, image, scale, offset } = this.faceOverlay;
+    if (!enabled || !image) return;
+    faceDetection.getTracks().forEach(({ landmarks }) => {
+      if (!landmarks) return;
+      maskFace.drawOverlay(image, overlayPlacement(eyeLine(landmarks), image.width, image.height, { scale, offset }));
+    });
+  }
+
+  /**
+   * Lists the selected faces and the effect of each tracked face in the face effects panel
+   * @private
+   */
+  renderFaceEffectStatus() {
+    const { faceDetection } = this.filters;
+    if (!this.faceEffectStatus || !faceDetection) return;
+    if (this.isFailSafeActive()) {
+      this.faceEffectStatus.textContent = 'Fail-safe: no face detected, the whole frame is masked';
+      return;
+    }
+    const tracks = this.getFaceEffectTracks();
+    if (tracks.length === 0) {
+      this.faceEffectStatus.textContent = 'No faces tracked';
+      return;
+    }
+    this.faceEffectStatus.textContent = tracks.map(({ id, identity, effect }) => {
+      const name = identity ? ` ${identity.name}` : '';
+      const description = effect ? `${effect.effect} (${effect.part})` : 'none';
+      return `#${id}${name}${this.selectedFaces.has(id) ? ' (selected)' : ''}: ${description}`;
+    }).join(', ');
   }
 
   /**
-   * Initializes all image processing filters used in the application
+   * Fills the color space panel from COLOR_SPACES and passes the selected space, view and channel
+   * to the colorSpace node. The channel list follows the selected space.
    * @private
    */
-  initializeFilters() {
-    this.filters = {
-      grayscale: new GrayScaleFilter('grayscale'),
-      webcamRepeat: new WebcamRepeatFilter('webcamRepeat'),
-      redChannel: new ChannelFilter('redChannel', 'red'),
-      greenChannel: new ChannelFilter('greenChannel', 'green'),
-      blueChannel: new ChannelFilter('blueChannel', 'blue'),
-      redThreshold: new ChannelThresholdFilter('redThresholdCanvas', 'red', 'redThreshold'),
-      greenThreshold: new ChannelThresholdFilter('greenThresholdCanvas', 'green', 'greenThreshold'),
-      blueThreshold: new ChannelThresholdFilter('blueThresholdCanvas', 'blue', 'blueThreshold'),
-      ycbcr: new YCbCrFilter('colorSpace2'),
-      ycbcrThreshold: new YCbCrThresholdFilter('thresholdSpace2', 'colorSpace2Threshold'),
-      rgbHsv: new RgbHsvFilter('colorSpace1'),
-      rgbHsvThreshold: new RgbHsvThresholdFilter('thresholdSpace1', 'colorSpace1Threshold'),
-      faceDetection: new FaceDetectionFilter('faceDetection'),
-      maskFace: new MaskFaceFilter('faceDetection')
+  setupColorSpaceControls() {
+    const filter = this.filters.colorSpace;
+    if (!filter) return;
+
+    const spaceSelect = document.getElementById('colorSpace');
+    const viewSelect = document.getElementById('colorSpaceView');
+    const channelSelect = document.getElementById('colorSpaceChannel');
+
+    const populateChannels = () => {
+      const channel = Math.min(parseInt(channelSelect.value) || 0, COLOR_SPACES[spaceSelect.value].channels.length - 1);
+      channelSelect.replaceChildren(
+        ...COLOR_SPACES[spaceSelect.value].channels.map(({ name }, index) => new Option(name, index))
+      );
+      channelSelect.value = channel;
     };
+
+    const update = () => {
+      if (!this.pipeline.getNode('colorSpace')) return;
+      this.pipeline.setParams('colorSpace', {
+        space: spaceSelect.value,
+        view: viewSelect.value,
+        channel: parseInt(channelSelect.value)
+      });
+      if (!this.frameLoop.isRunning()) {
+        this.processImage();
+      }
+    };
+
+    spaceSelect.replaceChildren(
+      ...Object.entries(COLOR_SPACES).map(([key, { label }]) => new Option(label, key))
+    );
+    spaceSelect.value = filter.space;
+    viewSelect.value = filter.view;
+    channelSelect.value = filter.channel;
+    populateChannels();
+
+    spaceSelect.addEventListener('change', () => {
+      populateChannels();
+      update();
+    });
+    viewSelect.addEventListener('change', update);
+    channelSelect.addEventListener('change', update);
   }
 
   /**
-   * Sets up event listeners for buttons, sliders and keyboard events
+   * Wires the convolution panel to the convolution node. The custom kernel is parsed as it is typed;
+   * while the text is not a valid kernel the error is shown and the last valid kernel stays in use.
    * @private
    */
-  setupEventListeners() {
-    document.getElementById('startCamera').addEventListener('click', () => this.startCamera());
-    document.getElementById('captureImage').addEventListener('click', () => this.processImage());
-    document.addEventListener('keydown', (e) => this.handleKeyPress(e));
-    
-    ['red', 'green', 'blue', 'colorSpace1', 'colorSpace2'].forEach(type => {
-      const slider = document.getElementById(`${type}Threshold`);
-      const valueDisplay = document.getElementById(`${type}ThresholdValue`);
-      slider.addEventListener('input', (e) => {
-        valueDisplay.textContent = e.target.value;
+  setupConvolutionControls() {
+    const filter = this.filters.convolution;
+    if (!filter) return;
+
+    const presetSelect = document.getElementById('convolutionPreset');
+    const sizeInput = document.getElementById('convolutionSize');
+    const sigmaInput = document.getElementById('convolutionSigma');
+    const borderSelect = document.getElementById('convolutionBorder');
+    const kernelInput = document.getElementById('customKernel');
+    const normalizeCheckbox = document.getElementById('normalizeKernel');
+    const errorElement = document.getElementById('customKernelError');
+
+    const update = () => {
+      if (!this.pipeline.getNode('convolution')) return;
+      const params = {
+        preset: presetSelect.value,
+        size: parseInt(sizeInput.value) || filter.size,
+        sigma: parseFloat(sigmaInput.value) || filter.sigma,
+        border: borderSelect.value,
+        normalize: normalizeCheckbox.checked
+      };
+      try {
+        params.customKernel = parseKernel(kernelInput.value);
+        errorElement.textContent = '';
+      } catch (error) {
+        errorElement.textContent = error.message;
+      }
+      kernelInput.disabled = params.preset !== CONVOLUTION_PRESETS.CUSTOM;
+      this.pipeline.setParams('convolution', params);
+      if (!this.frameLoop.isRunning()) {
         this.processImage();
+      }
+    };
+
+    presetSelect.value = filter.preset;
+    sizeInput.value = filter.size;
+    sigmaInput.value = filter.sigma;
+    borderSelect.value = filter.border;
+    normalizeCheckbox.checked = filter.normalize;
+    kernelInput.disabled = filter.preset !== CONVOLUTION_PRESETS.CUSTOM;
+
+    [presetSelect, sizeInput, sigmaInput, borderSelect, normalizeCheckbox].forEach(input => {
+      input.addEventListener('change', update);
+    });
+    kernelInput.addEventListener('input', update);
+  }
+
+  /**
+   * Wires the threshold method panel. The panel edits one threshold filter at a time, chosen in its
+   * filter selector, and passes the method and its settings to that filter's pipeline node.
+   * @private
+   */
+  setupThresholdMethodControls() {
+    this.thresholdTargetSelect = document.getElementById('thresholdTarget');
+    const inputs = {
+      thresholdMethod: document.getElementById('thresholdMethod'),
+      blockSize: document.getElementById('thresholdBlockSize'),
+      thresholdOffset: document.getElementById('thresholdOffset'),
+      hysteresisRatio: document.getElementById('hysteresisRatio')
+    };
+
+    const load = () => {
+      const filter = this.filters[this.thresholdTargetSelect.value];
+      if (!filter) return;
+      Object.entries(inputs).forEach(([name, input]) => {
+        input.value = filter[name];
       });
+    };
+
+    const update = () => {
+      const id = this.thresholdTargetSelect.value;
+      if (!this.filters[id]) return;
+      this.pipeline.setParams(id, {
+        thresholdMethod: inputs.thresholdMethod.value,
+        blockSize: Number(inputs.blockSize.value),
+        thresholdOffset: Number(inputs.thresholdOffset.value),
+        hysteresisRatio: Number(inputs.hysteresisRatio.value)
+      });
+      if (!this.frameLoop.isRunning()) {
+        this.processImage();
+      } else {
+        this.renderAppliedThresholds();
+      }
+    };
+
+    this.thresholdTargetSelect.addEventListener('change', load);
+    Object.values(inputs).forEach(input => input.addEventListener('change', update));
+    this.populateThresholdTargets();
+    load();
+  }
+
+  /**
+   * Refreshes every selector that lists the filters, after a filter was added or removed
+   * @private
+   */
+  populateFilterSelectors() {
+    this.populateRecordTargets();
+    this.populateThresholdTargets();
+    this.populateMorphologyInputs();
+    this.populateHistogramSources();
+  }
+
+  /**
+   * Creates the histogram panel. Dragging a threshold marker moves the control it belongs to,
+   * which then updates the filter exactly as if the control had been moved by hand.
+   * @private
+   */
+  setupHistogramPanel() {
+    this.histogramDetails = document.getElementById('histogramPanel');
+    this.histogramSourceSelect = document.getElementById('histogramSource');
+    // Scratch canvas the input source is drawn into when its histogram is shown
+    this.histogramScratch = document.createElement('canvas');
+    this.histogram = new HistogramPanel(document.getElementById('histogramCanvas'), {
+      onMarkerDrag: (marker, value) => {
+        marker.input.value = value;
+        marker.input.dispatchEvent(new Event('input'));
+      }
+    });
+
+    document.getElementById('histogramMode').addEventListener('change', (e) => this.histogram.setMode(e.target.value));
+    this.histogramSourceSelect.addEventListener('change', () => this.renderHistogram());
+    this.histogramDetails.addEventListener('toggle', () => this.renderHistogram());
+    this.populateHistogramSources();
+  }
+
+  /**
+   * Fills the histogram panel's selector with the input source and every filter, keeping the selection
+   * @private
+   */
+  populateHistogramSources() {
+    if (!this.histogramSourceSelect) return;
+    const selected = this.histogramSourceSelect.value;
+    this.histogramSourceSelect.innerHTML = `<option value="${SOURCE_INPUT}">Input source</option>`;
+    this.grid.getCells().forEach(({ id, title }) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = title;
+      this.histogramSourceSelect.appendChild(option);
+    });
+    if (this.filters[selected]) {
+      this.histogramSourceSelect.value = selected;
+    }
+  }
+
+  /**
+   * Redraws the histogram of the selected output with the markers of the thresholds that read from it.
+   * Does nothing while the panel is collapsed.
+   * @private
+   */
+  renderHistogram() {
+    if (!this.histogramDetails || !this.histogramDetails.open) return;
+    const id = this.histogramSourceSelect.value;
+
+    let imageData;
+    let labels;
+    if (id === SOURCE_INPUT) {
+      // Stretched rather than fitted, letterbox bars would show up as a spike at black
+      const { width, height } = this.resolution;
+      this.histogramScratch.width = width;
+      this.histogramScratch.height = height;
+      const context = this.histogramScratch.getContext('2d', { willReadFrequently: true });
+      context.drawImage(this.source.getElement(), 0, 0, width, height);
+      imageData = context.getImageData(0, 0, width, height);
+      labels = ['R', 'G', 'B'];
+    } else if (this.filters[id]) {
+      imageData = this.filters[id].getImageData();
+      labels = this.filters[id].channelLabels;
+    } else {
+      return;
+    }
+
+    this.histogram.setData(computeChannelHistograms(imageData.data), labels);
+    this.histogram.setMarkers(this.getThresholdMarkers(id));
+  }
+
+  /**
+   * Builds a histogram marker for every enabled threshold filter that reads from a node.
+   * Markers of automatic methods show the chosen threshold and cannot be dragged.
+   * @private
+   * @param {string} id - The node whose output the histogram shows
+   * @returns {Array<Object>} Markers for HistogramPanel.setMarkers
+   */
+  getThresholdMarkers(id) {
+    return this.pipeline.getDependents(id).flatMap(dependentId => {
+      const filter = this.filters[dependentId];
+      if (!(filter instanceof ThresholdFilter) || !this.pipeline.getNode(dependentId).enabled) return [];
+      const channel = filter.getThresholdChannel();
+      const input = this.getThresholdInput(dependentId);
+      if (channel === null || !input) return [];
+
+      const automatic = filter.isAutomatic() && filter.appliedThreshold !== null;
+      return [{
+        id: dependentId,
+        label: dependentId,
+        channel,
+        input,
+        value: automatic ? filter.appliedThreshold : Number(input.value),
+        draggable: !automatic
+      }];
+    });
+  }
+
+  /**
+   * Returns the control that sets a threshold filter's value: its slider, or for the HSV key the low
+   * handle of the value range
+   * @private
+   * @param {string} id - The filter id
+   * @returns {?HTMLInputElement} The range input, if there is one
+   */
+  getThresholdInput(id) {
+    const filter = this.filters[id];
+    if (filter.thresholdSlider) return filter.thresholdSlider;
+    if (id === 'rgbHsvThreshold' && this.hsvValueSlider) return this.hsvValueSlider.low;
+    return null;
+  }
+
+  /**
+   * Fills the threshold method panel's filter selector with every threshold filter, keeping the selection
+   * @private
+   */
+  populateThresholdTargets() {
+    if (!this.thresholdTargetSelect) return;
+    const selected = this.thresholdTargetSelect.value;
+    this.thresholdTargetSelect.innerHTML = '';
+    this.grid.getCells().forEach(({ id, title }) => {
+      if (!(this.filters[id] instanceof ThresholdFilter)) return;
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = title;
+      this.thresholdTargetSelect.appendChild(option);
+    });
+    if (this.filters[selected] instanceof ThresholdFilter) {
+      this.thresholdTargetSelect.value = selected;
+    }
+  }
+
+  /**
+   * Shows the threshold each automatic method chose for the last frame on the filter's slider.
+   * Sliders are read-only while their filter picks the threshold itself.
+   * @private
+   */
+  renderAppliedThresholds() {
+    Object.entries(this.filters).forEach(([id, filter]) => {
+      if (!(filter instanceof ThresholdFilter)) return;
+      const automatic = filter.isAutomatic();
+      const applied = filter.appliedThreshold;
+
+      if (filter.thresholdSlider) {
+        const slider = filter.thresholdSlider;
+        slider.disabled = automatic;
+        if (automatic && applied !== null) {
+          slider.value = applied;
+        }
+        const valueDisplay = document.getElementById(`${slider.id}Value`);
+        if (valueDisplay) {
+          valueDisplay.textContent = automatic ? `${slider.value} (auto)` : slider.value;
+        }
+      } else if (id === 'rgbHsvThreshold' && this.hsvValueSlider && automatic && applied !== null) {
+        this.hsvValueSlider.setRange([applied, filter.valueRange[1]]);
+      }
+    });
+  }
+
+  /**
+   * Shows the bounding box and size of the largest skin region found by the YCbCr segmentation
+   * @private
+   */
+  renderRegionInfo() {
+    const filter = this.filters.ycbcrThreshold;
+    if (!this.regionInfoElement || !filter) return;
+    const region = filter.getLargestRegion();
+    this.renderRegionOutline(filter.mode === 'skin' ? region : null);
+    if (filter.mode !== 'skin') {
+      this.regionInfoElement.textContent = '';
+    } else if (!region) {
+      this.regionInfoElement.textContent = 'No skin region found';
+    } else {
+      const { x, y, width, height, pixelCount } = region;
+      this.regionInfoElement.textContent = `Largest region: ${width}x${height} at (${x}, ${y}), ${pixelCount} pixels`;
+    }
+  }
+
+  /**
+   * Outlines the largest skin region over the YCbCr threshold cell. The outline is an element on top
+   * of the canvas rather than pixels in it, so the filters reading the mask only see the mask.
+   * @private
+   * @param {?{x: number, y: number, width: number, height: number}} region - The region in canvas
+   * coordinates, or null to hide the outline
+   */
+  renderRegionOutline(region) {
+    const { canvas } = this.filters.ycbcrThreshold;
+    const cell = canvas.parentElement;
+    if (!cell) return;
+    let outline = cell.querySelector('.region-outline');
+    if (!region || !canvas.width || !canvas.height) {
+      if (outline) outline.hidden = true;
+      return;
+    }
+    if (!outline) {
+      outline = document.createElement('div');
+      outline.className = 'region-outline';
+      cell.appendChild(outline);
+    }
+    // The canvas is scaled to fit its box (object-fit: contain), so find where its pixels are shown
+    const scale = Math.min(canvas.clientWidth / canvas.width, canvas.clientHeight / canvas.height);
+    const left = canvas.offsetLeft + (canvas.clientWidth - canvas.width * scale) / 2;
+    const top = canvas.offsetTop + (canvas.clientHeight - canvas.height * scale) / 2;
+    Object.assign(outline.style, {
+      left: `${left + region.x * scale}px`,
+      top: `${top + region.y * scale}px`,
+      width: `${region.width * scale}px`,
+      height: `${region.height * scale}px`
     });
+    outline.hidden = false;
+  }
+
+  /**
+   * Starts the live processing loop, or stops it if it is already running
+   */
+  toggleLive() {
+    if (this.frameLoop.running) {
+      this.frameLoop.stop();
+    } else {
+      this.performanceMonitor.reset();
+      this.frameLoop.start();
+    }
+    this.updateLiveControls();
+  }
+
+  /**
+   * Pauses the live processing loop, or resumes it if it is paused
+   */
+  togglePause() {
+    if (this.frameLoop.paused) {
+      this.frameLoop.resume();
+    } else {
+      this.frameLoop.pause();
+    }
+    this.updateLiveControls();
+  }
+
+  /**
+   * Updates the live control button labels to reflect the loop state
+   * @private
+   */
+  updateLiveControls() {
+    document.getElementById('startLive').textContent = this.frameLoop.running ? 'Stop Live' : 'Start Live';
+    document.getElementById('pauseLive').textContent = this.frameLoop.paused ? 'Resume' : 'Pause';
+    document.getElementById('pauseLive').disabled = !this.frameLoop.running;
+  }
+
+  /**
+   * Switches pixel processing between the worker backend and the main thread
+   * @param {boolean} enabled - True to process in workers, false for the main thread
+   */
+  setWorkerBackend(enabled) {
+    if (enabled && !this.workerBackend && WorkerBackend.isSupported()) {
+      try {
+        this.workerBackend = new WorkerBackend();
+      } catch (error) {
+        console.warn('Could not start worker backend, using main thread:', error);
+      }
+    } else if (!enabled && this.workerBackend) {
+      this.workerBackend.terminate();
+      this.workerBackend = null;
+    }
+    document.getElementById('useWorkers').checked = this.workerBackend !== null;
+  }
+
+  /**
+   * Runs a single filter and records how long it took
+   * @private
+   * @param {string} name - The key of the filter in this.filters
+   * @param {Array<HTMLVideoElement|HTMLCanvasElement>} inputs - The sources passed to the filter
+   * @returns {Promise<void>|void} Whatever the filter's process method returns
+   */
+  runFilter(name, inputs) {
+    const start = performance.now();
+    const result = this.filters[name].process(...inputs);
+    if (result instanceof Promise) {
+      return result.then(() => this.performanceMonitor.record(name, performance.now() - start));
+    }
+    this.performanceMonitor.record(name, performance.now() - start);
+    return result;
+  }
+
+  /**
+   * Renders the per-filter timing and FPS readout, throttled to STATS_REFRESH_INTERVAL
+   * @private
+   */
+  renderStats() {
+    const now = performance.now();
+    if (!this.statsElement || now - this.lastStatsRender < STATS_REFRESH_INTERVAL) return;
+    this.lastStatsRender = now;
+
+    const rows = this.performanceMonitor.getStats().map(stat => `
+      <tr>
+        <td>${stat.name}</td>
+        <td>${stat.ms.toFixed(1)} ms</td>
+        <td>${stat.fps.toFixed(1)} fps</td>
+        <td>${stat.dropped}</td>
+      </tr>`).join('');
+
+    this.statsElement.innerHTML = `
+      <table>
+        <thead><tr><th>Filter</th><th>Time</th><th>Rate</th><th>Dropped</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+      <div>Loop dropped frames: ${this.frameLoop.droppedFrames}</div>
+    `;
+  }
+
+  /**
+   * Opens an image or video file and makes it the input source
+   * @param {File} file - The file picked or dropped by the user
+   * @returns {Promise<void>}
+   */
+  async openFile(file) {
+    let source = null;
+    try {
+      source = createFileSource(file);
+      await source.load();
+    } catch (error) {
+      console.error('Error opening file:', error);
+      if (source) source.dispose();
+      alert(`Could not open ${file.name}. Please choose an image or video file.`);
+      return;
+    }
+    this.setSource(source);
+  }
+
+  /**
+   * Replaces the input source. The previous file source is released; leaving the webcam stops the
+   * camera. The new source's element takes the place of the old one in the first grid cell and
+   * drives the live loop.
+   * @param {InputSource} source - The new, loaded source
+   */
+  setSource(source) {
+    if (source === this.source) return;
+    const previous = this.source;
+    if (previous === this.webcamSource) {
+      this.camera.stop();
+    }
+    previous.getElement().replaceWith(source.getElement());
+    if (previous !== this.webcamSource) {
+      previous.dispose();
+    }
+
+    this.source = source;
+    this.sourceTitle.textContent = source.label;
+    this.frameLoop.setVideo(source.getElement());
+
+    if (source.kind === 'video') {
+      const video = source.getElement();
+      ['play', 'pause', 'timeupdate', 'durationchange'].forEach(type => {
+        video.addEventListener(type, () => this.updateVideoControls());
+      });
+      // Seeking and frame stepping show the new frame even when the live loop is off
+      video.addEventListener('seeked', () => {
+        if (!this.frameLoop.isRunning()) this.processImage();
+      });
+    }
+    this.updateVideoControls();
+
+    if (source !== this.webcamSource && !this.frameLoop.isRunning()) {
+      this.processImage();
+    }
+  }
+
+  /**
+   * Plays the video source if it is paused, pauses it otherwise
+   * @returns {Promise<void>}
+   */
+  async toggleVideoPlayback() {
+    if (this.source.kind !== 'video') return;
+    if (this.source.isPaused()) {
+      try {
+        await this.source.play();
+      } catch (error) {
+        console.error('Error playing video:', error);
+      }
+    } else {
+      this.source.pause();
+    }
+  }
+
+  /**
+   * Pauses the video source and moves it by a number of frames
+   * @param {number} frames - Frames to move; negative values step backwards
+   * @returns {Promise<void>}
+   */
+  async stepVideo(frames) {
+    if (this.source.kind !== 'video') return;
+    await this.source.step(frames);
   }
 
   /**
-   * Starts the webcam stream and displays it in the video element
+   * Shows the video controls for a video source and syncs them with its playback state
+   * @private
+   */
+  updateVideoControls() {
+    const isVideo = this.source.kind === 'video';
+    this.videoControls.hidden = !isVideo;
+    if (!isVideo) return;
+
+    const duration = this.source.getDuration();
+    const time = this.source.getCurrentTime();
+    this.videoSeek.max = duration;
+    this.videoSeek.value = time;
+    this.videoTime.textContent = `${time.toFixed(2)} / ${duration.toFixed(2)} s`;
+    document.getElementById('videoPlay').textContent = this.source.isPaused() ? 'Play' : 'Pause';
+  }
+
+  /**
+   * Starts the camera selected in the camera controls and displays it in the video element.
+   * The camera is asked for CAPTURE_WIDTH x CAPTURE_HEIGHT; whatever it actually delivers is fitted
+   * into each filter's own resolution. A file source is closed and replaced by the webcam.
    * @returns {Promise<void>}
    * @throws {Error} If unable to access webcam
    */
   async startCamera() {
+    this.setSource(this.webcamSource);
     try {
-      const stream = await navigator.mediaDevices.getUserMedia({
-        video: {
-          width: CANVAS_WIDTH,
-          height: CANVAS_HEIGHT
-        }
-      });
-      this.webcamVideo.srcObject = stream;
+      const facingMode = this.facingModeSelect.value || undefined;
+      const deviceId = this.cameraSelect.value || undefined;
+      const starting = this.camera.start({ deviceId, facingMode });
+      // Disables the start button until the camera has opened
+      this.updateCameraControls();
+      await starting;
+      // Device labels are only available once permission has been granted
+      await this.populateCameraList();
     } catch (error) {
       console.error('Error accessing webcam:', error);
       alert('Error accessing webcam. Please check your camera settings.');
+    } finally {
+      this.updateCameraControls();
     }
   }
 
   /**
-   * Processes the current webcam frame through all filters
+   * Stops the camera stream and the live loop that depends on it
+   */
+  stopCamera() {
+    this.camera.stop();
+    this.handleCameraLost();
+  }
+
+  /**
+   * Starts the camera if it is off, stops it otherwise
+   * @returns {Promise<void>}
+   */
+  async toggleCamera() {
+    if (this.camera.isActive()) {
+      this.stopCamera();
+    } else {
+      await this.startCamera();
+    }
+  }
+
+  /**
+   * Switches to another camera without reloading. A specific device overrides the facing mode.
+   * @param {string} deviceId - The device to switch to, or an empty string for the default camera
+   * @returns {Promise<void>}
+   */
+  async switchCamera(deviceId) {
+    if (deviceId) {
+      this.facingModeSelect.value = '';
+    }
+    try {
+      const switching = this.camera.switchDevice(deviceId || null);
+      this.updateCameraControls();
+      await switching;
+    } catch (error) {
+      console.error('Error switching camera:', error);
+      alert('Could not open the selected camera.');
+    } finally {
+      this.updateCameraControls();
+    }
+  }
+
+  /**
+   * Fills the camera selector with the available devices, keeping the current selection
+   * @param {Array<MediaDeviceInfo>} [devices] - Devices to show; listed from the camera manager if omitted
+   * @returns {Promise<void>}
+   */
+  async populateCameraList(devices) {
+    const cameras = devices || await this.camera.listDevices();
+    this.cameraSelect.innerHTML = '<option value="">Default camera</option>';
+    cameras.forEach((device, index) => {
+      const option = document.createElement('option');
+      option.value = device.deviceId;
+      option.textContent = device.label || `Camera ${index + 1}`;
+      this.cameraSelect.appendChild(option);
+    });
+    this.updateCameraControls();
+  }
+
+  /**
+   * Stops the live loop after the camera stopped or was lost, and refreshes the controls
+   * @private
+   */
+  handleCameraLost() {
+    if (this.frameLoop.running) {
+      this.frameLoop.stop();
+      this.updateLiveControls();
+    }
+    this.updateCameraControls();
+  }
+
+  /**
+   * Updates the camera button label and selected device to reflect the camera state
+   * @private
+   */
+  updateCameraControls() {
+    const startButton = document.getElementById('startCamera');
+    startButton.textContent = this.camera.isActive() ? 'Stop Camera' : 'Start Camera';
+    startButton.disabled = this.camera.isStarting();
+    const known = [...this.cameraSelect.options].some(option => option.value === this.camera.deviceId);
+    this.cameraSelect.value = known ? this.camera.deviceId : '';
+  }
+
+  /**
+   * Processes the current frame of the input source through all filters
    * Applies various image processing effects including:
    * - Basic filters (grayscale, channel separation)
    * - Threshold filters
    * - Color space conversions (RGB to HSV, YCbCr)
    * - Face detection
+   * The order and wiring come from the FilterPipeline built from the filter registry.
+   * @param {Object} [options]
+   * @param {boolean} [options.awaitDetection=true] - Wait for face detection to finish. The live loop
+   * passes false so a slow detection never holds up the other filters; while a detection is still
+   * running, the face detection step is dropped for new frames instead of being queued.
+   * Nodes downstream of face detection then read its canvas as it was last drawn.
    * @returns {Promise<void>}
    * @throws {Error} If image processing fails
    */
-  async processImage() {
+  async processImage({ awaitDetection = true } = {}) {
+    const frameStart = performance.now();
     try {
-      // Process webcam repeat first as it's used as a reference
-      this.filters.webcamRepeat.process(this.webcamVideo);
-      
-      // Process basic filters
-      this.filters.grayscale.process(this.webcamVideo);
-      this.filters.redChannel.process(this.webcamVideo);
-      this.filters.greenChannel.process(this.webcamVideo);
-      this.filters.blueChannel.process(this.webcamVideo);
-      
-      // Process threshold filters
-      this.filters.redThreshold.process(this.webcamVideo);
-      this.filters.greenThreshold.process(this.webcamVideo);
-      this.filters.blueThreshold.process(this.webcamVideo);
-      
-      // Process color space conversions and thresholds
-      this.filters.rgbHsv.process(this.webcamVideo);
-      this.filters.rgbHsvThreshold.process(this.filters.rgbHsv.canvas);
-      this.filters.ycbcr.process(this.webcamVideo);
-      this.filters.ycbcrThreshold.process(this.filters.ycbcr.canvas);
-      
-      // Process face detection using the webcam repeat as source
-      await this.filters.faceDetection.process(this.filters.webcamRepeat.canvas);
+      if (this.filters.webcamRepeat) {
+        this.filters.webcamRepeat.setSourceFrame(this.source, this.source.getCurrentTime());
+      }
+      const runNode = (node, inputs) => this.runPipelineNode(node, inputs, awaitDetection);
+      if (this.workerBackend) {
+        await this.processWithWorkers(runNode);
+      } else {
+        await this.pipeline.run(this.source.getElement(), runNode);
+      }
+
+      this.performanceMonitor.record('frame', performance.now() - frameStart);
+      if (this.recordingTarget === 'grid' && this.recorder.getState() === 'recording') {
+        this.drawRecordingSheet();
+      }
     } catch (error) {
       console.error('Error processing image:', error);
+      // Stop the live loop so a persistent error does not raise an alert on every frame
+      if (this.frameLoop.running) {
+        this.frameLoop.stop();
+        this.updateLiveControls();
+      }
       alert('Error processing image. Please try again.');
+    } finally {
+      this.renderStats();
+      this.renderRegionInfo();
+      this.renderBlobInfo();
+      this.renderFaceEffectStatus();
+      this.renderAppliedThresholds();
+      this.renderHistogram();
+    }
+  }
+
+  /**
+   * Runs one pipeline node. Asynchronous filters (face detection) that are still busy with a previous
+   * frame are skipped, and are left running in the background unless awaitAsync is set. Without
+   * awaitAsync, filters whose models are not loaded yet are skipped as well.
+   * @private
+   * @param {Object} node - The pipeline node
+   * @param {Array<HTMLVideoElement|HTMLCanvasElement>} inputs - The node's resolved inputs
+   * @param {boolean} awaitAsync - Whether to wait for asynchronous filters to finish
+   * @returns {Promise<void>|void}
+   */
+  runPipelineNode(node, inputs, awaitAsync) {
+    if (typeof node.filter.isBusy === 'function' && node.filter.isBusy()) {
+      this.performanceMonitor.recordDrop(node.id);
+      return;
+    }
+    // Filters that need models (face detection) are skipped until the models are loaded, rather
+    // than holding up live frames; a single capture waits for them in the filter itself. After a
+    // failed load the models are only requested again from the face models panel.
+    if (typeof node.filter.isReady === 'function' && !node.filter.isReady() && !awaitAsync) {
+      if (node.filter.modelStatus !== MODEL_STATUS.ERROR) {
+        node.filter.whenReady().catch(error => console.error(`Models of ${node.id} failed to load:`, error));
+      }
+      this.performanceMonitor.recordDrop(node.id);
+      return;
+    }
+
+    const result = this.runFilter(node.id, inputs);
+    if (result instanceof Promise && !awaitAsync) {
+      result.catch(error => console.error(`Error in filter ${node.id}:`, error));
+      return;
+    }
+    return result;
+  }
+
+  /**
+   * Runs the kernel-based part of the pipeline in the worker backend, draws the results into the
+   * grid canvases, then runs the remaining nodes on the main thread.
+   * Falls back to the main thread, for this frame and the following ones, if a worker fails.
+   * @private
+   * @param {Function} runNode - Node runner passed on to FilterPipeline.run
+   * @returns {Promise<void>}
+   */
+  async processWithWorkers(runNode) {
+    const start = performance.now();
+    const { width, height } = this.resolution;
+    const { chain, remaining } = this.pipeline.getWorkerChain(this.resolution);
+
+    try {
+      const outputs = await this.workerBackend.process(this.source.getElement(), chain, this.resolution);
+      Object.entries(outputs).forEach(([name, buffer]) => {
+        const filter = this.filters[name];
+        filter.resizeCanvas(width, height);
+        filter.putImageData(new ImageData(new Uint8ClampedArray(buffer), width, height));
+      });
+      this.performanceMonitor.record('workers', performance.now() - start);
+    } catch (error) {
+      console.warn('Worker backend failed, falling back to main thread:', error);
+      this.setWorkerBackend(false);
+      await this.pipeline.run(this.source.getElement(), runNode);
+      return;
     }
+
+    await this.pipeline.run(this.source.getElement(), runNode, remaining);
   }
 
   /**
-   * Handles keyboard events for applying face effects
+   * Handles keyboard events for applying face effects to the faces chosen in the face effects panel
    * Key mappings:
    * - 1: Grayscale effect
    * - 2: Blur effect
    * - 3: YCbCr effect
    * - 4: Pixelate effect
+   * - 0: Remove the effect
+   * Keys typed into form controls are ignored.
    * @param {KeyboardEvent} event - The keyboard event
    * @returns {Promise<void>}
    * @throws {Error} If effect application fails
    */
   async handleKeyPress(event) {
+    if (event.target.closest && event.target.closest('input, select, textarea')) return;
+    const effects = { 1: 'grayscale', 2: 'blur', 3: 'ycbcr', 4: 'pixelate', 0: null };
     try {
-      const detections = this.filters.faceDetection.getDetections();
-      if (detections.length > 0) {
-        const face = detections[0].box;
-        
-        // Use webcam repeat as the source for face effects
-        const sourceCanvas = this.filters.webcamRepeat.canvas;
-        
-        switch (event.key) {
-          case '1':
-            this.filters.maskFace.applyEffect('grayscale', face, sourceCanvas);
-            break;
-          case '2':
-            this.filters.maskFace.applyEffect('blur', face, sourceCanvas);
-            break;
-          case '3':
-            this.filters.maskFace.applyEffect('ycbcr', face, sourceCanvas);
-            break;
-          case '4':
-            this.filters.maskFace.applyEffect('pixelate', face, sourceCanvas);
-            break;
-          default:
-            console.warn('Unhandled key press:', event.key);
-        }
+      if (event.key in effects) {
+        this.setFaceEffect(effects[event.key]);
+      } else {
+        console.warn('Unhandled key press:', event.key);
       }
     } catch (error) {
       throw new Error('Error handling key press:', error);
     }
   }
-}
\ No newline at end of file
+}
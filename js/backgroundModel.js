@@ -0,0 +1,98 @@
+import { RGB_TO_YCBCR, DEFAULT_LEARNING_RATE } from "./constants.js";
+
+/**
+ * Ways of learning the background.
+ * - average: an exponential running average of the frames
+ * - median: each pixel steps towards the frame by a bounded amount, which settles on the temporal
+ *   median and ignores short-lived changes better than the average
+ * @constant {Object<string, string>}
+ */
+export const BACKGROUND_METHODS = {
+  AVERAGE: "average",
+  MEDIAN: "median",
+};
+
+/**
+ * @class BackgroundModel
+ * @description Learns the static background of a sequence of frames from their luminance and
+ * reports the pixels that differ from it. The model starts from the first frame it sees and
+ * resets itself when the frame size changes. Nothing here touches the DOM.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.method=BACKGROUND_METHODS.AVERAGE] - One of BACKGROUND_METHODS
+ * @param {number} [options.learningRate=DEFAULT_LEARNING_RATE] - Fraction of the difference learned per
+ * frame (average), or the largest step per frame as a fraction of 255 (median)
+ *
+ * @example
+ * const model = new BackgroundModel({ method: 'median' });
+ * const mask = model.apply(imageData.data, imageData.width, imageData.height, 25);
+ */
+export class BackgroundModel {
+  constructor({ method = BACKGROUND_METHODS.AVERAGE, learningRate = DEFAULT_LEARNING_RATE } = {}) {
+    this.method = method;
+    this.learningRate = learningRate;
+    this.background = null;
+    this.width = 0;
+    this.height = 0;
+  }
+
+  /**
+   * @method reset
+   * @description Forgets the background; the next frame becomes the new one.
+   */
+  reset() {
+    this.background = null;
+  }
+
+  /**
+   * @method apply
+   * @description Compares a frame with the background, then learns from it.
+   * @param {Uint8ClampedArray} data - RGBA pixel data of the frame
+   * @param {number} width - Image width in pixels
+   * @param {number} height - Image height in pixels
+   * @param {number} threshold - Luminance difference above which a pixel is foreground (0-255)
+   * @returns {Uint8Array} 1 for foreground, 0 for background, one value per pixel. All zero for the first frame.
+   */
+  apply(data, width, height, threshold) {
+    if (!this.background || width !== this.width || height !== this.height) {
+      this.width = width;
+      this.height = height;
+      this.background = new Float32Array(width * height);
+      for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+        this.background[p] = this.luma(data, i);
+      }
+      return new Uint8Array(width * height);
+    }
+
+    const { background, learningRate } = this;
+    const median = this.method === BACKGROUND_METHODS.MEDIAN;
+    const step = Math.max(learningRate * 255, 1);
+    const mask = new Uint8Array(width * height);
+    for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+      const value = this.luma(data, i);
+      const difference = value - background[p];
+      mask[p] = Math.abs(difference) > threshold ? 1 : 0;
+      background[p] += median ? Math.max(-step, Math.min(step, difference)) : learningRate * difference;
+    }
+    return mask;
+  }
+
+  /**
+   * @method luma
+   * @private
+   * @param {Uint8ClampedArray} data - RGBA pixel data
+   * @param {number} i - Offset of the pixel
+   * @returns {number} The BT.601 luminance of the pixel
+   */
+  luma(data, i) {
+    return RGB_TO_YCBCR.Y_R * data[i] + RGB_TO_YCBCR.Y_G * data[i + 1] + RGB_TO_YCBCR.Y_B * data[i + 2];
+  }
+
+  /**
+   * @method getBackground
+   * @returns {?Float32Array} The learned luminance of every pixel, or null before the first frame
+   */
+  getBackground() {
+    return this.background;
+  }
+}
@@ -0,0 +1,94 @@
+import { ImageFilter } from "./imageFilter.js";
+import { labelComponents, maskFromData } from "./regionAnalysis.js";
+import { writeMask } from "./thresholding.js";
+import { DEFAULT_MIN_BLOB_AREA } from "./constants.js";
+
+/**
+ * @class BlobFilter
+ * @extends ImageFilter
+ * @description A filter that finds the connected regions (blobs) of a mask. Blobs smaller than
+ * minArea are removed from the output; the others are measured and, with showOverlay, outlined
+ * with their bounding box, centroid and label.
+ *
+ * @param {string} canvasId - The ID of the canvas element to apply the filter to
+ *
+ * @property {number} minArea - Blobs with fewer pixels are dropped
+ * @property {(4|8)} connectivity - Whether diagonal neighbours belong to the same blob (8) or not (4)
+ * @property {boolean} showOverlay - Whether blobs are outlined on the output
+ * @property {Array<Object>} blobs - The blobs of the last frame, as reported by labelComponents
+ *
+ * @example
+ * filter.setParams({ minArea: 50, connectivity: 8 });
+ * filter.process(maskCanvas);
+ * filter.getBlobs().forEach(({ label, area, centroid }) => console.log(label, area, centroid));
+ */
+export class BlobFilter extends ImageFilter {
+  constructor(canvasId) {
+    super(canvasId);
+    this.minArea = DEFAULT_MIN_BLOB_AREA;
+    this.connectivity = 8;
+    this.showOverlay = true;
+    this.blobs = [];
+  }
+
+  /**
+   * @method process
+   * @description Labels the blobs of the source, then draws the overlay if it is enabled.
+   * @param {HTMLCanvasElement} source - The mask to analyse
+   */
+  process(source) {
+    super.process(source);
+    if (this.showOverlay) {
+      this.drawOverlay();
+    }
+  }
+
+  /**
+   * @method processImageData
+   * @description Labels the mask and keeps only the blobs of at least minArea pixels, as white on black.
+   * @param {ImageData} imageData - The mask to process
+   */
+  processImageData(imageData) {
+    const { data, width, height } = imageData;
+    const { labels, components } = labelComponents(maskFromData(data), width, height, {
+      connectivity: this.connectivity,
+      minArea: this.minArea,
+    });
+    writeMask(labels, data);
+    this.blobs = components;
+  }
+
+  /**
+   * @method drawOverlay
+   * @private
+   * @description Outlines each blob and marks its centroid and label.
+   */
+  drawOverlay() {
+    const { context } = this;
+    context.lineWidth = 1;
+    context.font = "10px sans-serif";
+    context.textBaseline = "top";
+    this.blobs.forEach(({ label, centroid, x, y, width, height }) => {
+      context.strokeStyle = "#0f0";
+      context.strokeRect(x + 0.5, y + 0.5, width - 1, height - 1);
+      context.strokeStyle = "#f00";
+      context.beginPath();
+      context.moveTo(centroid.x - 3, centroid.y);
+      context.lineTo(centroid.x + 3, centroid.y);
+      context.moveTo(centroid.x, centroid.y - 3);
+      context.lineTo(centroid.x, centroid.y + 3);
+      context.stroke();
+      context.fillStyle = "#0f0";
+      context.fillText(String(label), x + 2, y + 2);
+    });
+  }
+
+  /**
+   * @method getBlobs
+   * @returns {Array<{label: number, area: number, centroid: {x: number, y: number}, x: number, y: number, width: number, height: number}>}
+   * The blobs of the last frame in canvas coordinates, in scan order
+   */
+  getBlobs() {
+    return this.blobs;
+  }
+}
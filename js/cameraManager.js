@@ -0,0 +1,232 @@
+import { CAPTURE_WIDTH, CAPTURE_HEIGHT, CAMERA_STORAGE_KEY } from "./constants.js";
+
+/**
+ * @class CameraManager
+ * @extends EventTarget
+ * @description Owns the camera stream shown in a video element: lists the available cameras,
+ * opens a chosen device or facing mode, switches devices without a reload and stops every track
+ * when the stream is no longer needed. The last selected device is remembered in localStorage.
+ *
+ * Events:
+ * - `devicechange` - the list of cameras changed; `detail` is the new list of devices
+ * - `started` - a stream is playing; `detail` is `{ deviceId }`
+ * - `stopped` - the stream was stopped on request
+ * - `ended` - the stream ended on its own (camera unplugged, permission revoked, ...)
+ *
+ * @param {HTMLVideoElement} video - The video element the stream is attached to
+ *
+ * @example
+ * const camera = new CameraManager(document.getElementById('webcam'));
+ * const devices = await camera.listDevices();
+ * await camera.start({ deviceId: devices[1].deviceId });
+ * camera.stop();
+ */
+export class CameraManager extends EventTarget {
+  constructor(video) {
+    super();
+    this.video = video;
+    this.stream = null;
+    this.deviceId = this.loadStoredDeviceId();
+    // Counts start and stop requests, so a stream that opens after a newer request is dropped
+    this.requestId = 0;
+    this.starting = false;
+    this.handleTrackEnded = this.handleTrackEnded.bind(this);
+
+    if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+      navigator.mediaDevices.addEventListener("devicechange", () => {
+        this.handleDeviceChange().catch((error) => console.warn("Could not list cameras:", error));
+      });
+    }
+  }
+
+  /**
+   * @method listDevices
+   * @async
+   * @description Lists the video input devices. Labels are empty until camera permission is granted.
+   * @returns {Promise<Array<MediaDeviceInfo>>} The available cameras
+   */
+  async listDevices() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+      return [];
+    }
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices.filter((device) => device.kind === "videoinput");
+  }
+
+  /**
+   * @method start
+   * @async
+   * @description Opens a camera and attaches it to the video element, stopping any current stream first.
+   * Without arguments the remembered device is used; if it is no longer available the default camera is opened.
+   * If start or stop is called again while the camera is being opened, the stream of this call is stopped
+   * as soon as it opens and the call resolves without attaching it.
+   * @param {Object} [options]
+   * @param {string} [options.deviceId] - The device to open
+   * @param {('user'|'environment')} [options.facingMode] - Open a camera by facing mode instead of by device
+   * @returns {Promise<void>}
+   * @throws {Error} If no camera can be opened
+   */
+  async start({ deviceId = this.deviceId, facingMode } = {}) {
+    this.stop({ silent: true });
+    const requestId = ++this.requestId;
+    this.starting = true;
+
+    const video = { width: { ideal: CAPTURE_WIDTH }, height: { ideal: CAPTURE_HEIGHT } };
+    if (facingMode) {
+      video.facingMode = { ideal: facingMode };
+    } else if (deviceId) {
+      video.deviceId = { exact: deviceId };
+    }
+
+    let stream;
+    try {
+      stream = await this.openStream(video);
+    } catch (error) {
+      if (requestId !== this.requestId) return;
+      this.starting = false;
+      throw error;
+    }
+    if (requestId !== this.requestId) {
+      stream.getTracks().forEach((track) => track.stop());
+      return;
+    }
+
+    this.starting = false;
+    this.stream = stream;
+    this.video.srcObject = stream;
+    stream.getVideoTracks().forEach((track) => track.addEventListener("ended", this.handleTrackEnded));
+
+    const settings = stream.getVideoTracks()[0].getSettings();
+    this.deviceId = settings.deviceId || null;
+    this.storeDeviceId(this.deviceId);
+    this.dispatchEvent(new CustomEvent("started", { detail: { deviceId: this.deviceId } }));
+  }
+
+  /**
+   * @method openStream
+   * @private
+   * @async
+   * @param {Object} video - The video constraints
+   * @returns {Promise<MediaStream>} The stream of the requested camera, or of the default camera if the
+   * requested device is gone
+   */
+  async openStream(video) {
+    try {
+      return await navigator.mediaDevices.getUserMedia({ video });
+    } catch (error) {
+      if (!video.deviceId || (error.name !== "OverconstrainedError" && error.name !== "NotFoundError")) {
+        throw error;
+      }
+      // The remembered camera is gone, fall back to the default one
+      delete video.deviceId;
+      return navigator.mediaDevices.getUserMedia({ video });
+    }
+  }
+
+  /**
+   * @method stop
+   * @description Stops every track of the current stream and detaches it from the video element.
+   * A camera that is still being opened is stopped as soon as it opens.
+   * @param {Object} [options]
+   * @param {boolean} [options.silent=false] - Do not dispatch the `stopped` event (used when switching devices)
+   */
+  stop({ silent = false } = {}) {
+    this.requestId++;
+    this.starting = false;
+    if (!this.stream) return;
+    this.stream.getTracks().forEach((track) => {
+      track.removeEventListener("ended", this.handleTrackEnded);
+      track.stop();
+    });
+    this.stream = null;
+    this.video.srcObject = null;
+    if (!silent) {
+      this.dispatchEvent(new Event("stopped"));
+    }
+  }
+
+  /**
+   * @method switchDevice
+   * @async
+   * @description Switches to another camera, also while a camera is being opened. If no stream is
+   * running or opening, only remembers the choice.
+   * @param {string} deviceId - The device to use
+   * @returns {Promise<void>}
+   */
+  async switchDevice(deviceId) {
+    this.deviceId = deviceId;
+    this.storeDeviceId(deviceId);
+    if (this.isActive() || this.isStarting()) {
+      await this.start({ deviceId });
+    }
+  }
+
+  /**
+   * @method isActive
+   * @returns {boolean} True while a stream is attached
+   */
+  isActive() {
+    return this.stream !== null;
+  }
+
+  /**
+   * @method isStarting
+   * @returns {boolean} True while a camera is being opened
+   */
+  isStarting() {
+    return this.starting;
+  }
+
+  /**
+   * @method handleTrackEnded
+   * @private
+   * @description Cleans up after a track ended without being stopped by us.
+   */
+  handleTrackEnded() {
+    this.stop({ silent: true });
+    this.dispatchEvent(new Event("ended"));
+  }
+
+  /**
+   * @method handleDeviceChange
+   * @private
+   * @async
+   * @description Re-lists the cameras and stops the stream if its device disappeared.
+   */
+  async handleDeviceChange() {
+    const devices = await this.listDevices();
+    this.dispatchEvent(new CustomEvent("devicechange", { detail: devices }));
+
+    if (this.isActive() && this.deviceId && !devices.some((device) => device.deviceId === this.deviceId)) {
+      this.handleTrackEnded();
+    }
+  }
+
+  /**
+   * @method loadStoredDeviceId
+   * @private
+   * @returns {?string} The remembered device id, if any
+   */
+  loadStoredDeviceId() {
+    try {
+      return localStorage.getItem(CAMERA_STORAGE_KEY);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * @method storeDeviceId
+   * @private
+   * @param {?string} deviceId - The device id to remember
+   */
+  storeDeviceId(deviceId) {
+    try {
+      if (deviceId) {
+        localStorage.setItem(CAMERA_STORAGE_KEY, deviceId);
+      }
+    } catch (error) {
+      // Storage can be unavailable (private mode, file://); the choice is simply not remembered
+    }
+  }
+}
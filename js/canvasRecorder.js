@@ -0,0 +1,185 @@
+import { DEFAULT_RECORDING_FPS, RECORDING_TIMESLICE } from "./constants.js";
+
+/**
+ * Container and codec combinations offered for recording, in order of preference.
+ * @constant {Array<string>}
+ */
+export const RECORDING_MIME_TYPES = [
+  "video/webm;codecs=vp9",
+  "video/webm;codecs=vp8",
+  "video/webm;codecs=av1",
+  "video/webm",
+];
+
+/**
+ * @class CanvasRecorder
+ * @extends EventTarget
+ * @description Records what is drawn into a canvas to a WebM clip, using `canvas.captureStream()`
+ * and `MediaRecorder`. The stream samples the canvas on its own, so filters keep drawing into it as
+ * usual while the live loop runs. Recording stops on request or when the duration limit is reached;
+ * time spent paused does not count towards the limit.
+ *
+ * Events:
+ * - `start`, `pause`, `resume` - the recorder changed state
+ * - `stop` - the clip is complete; `detail` is the WebM Blob
+ * - `error` - recording failed; `detail` is the error
+ *
+ * @example
+ * const recorder = new CanvasRecorder();
+ * recorder.addEventListener('stop', (e) => downloadBlob(e.detail, 'clip.webm'));
+ * recorder.start(canvas, { maxDuration: 10 });
+ */
+export class CanvasRecorder extends EventTarget {
+  constructor() {
+    super();
+    this.recorder = null;
+    this.stream = null;
+    this.chunks = [];
+    this.limitTimer = null;
+    this.remaining = Infinity;
+    this.segmentStart = 0;
+  }
+
+  /**
+   * @method isSupported
+   * @static
+   * @returns {boolean} True if the browser can record canvases
+   */
+  static isSupported() {
+    return (
+      typeof MediaRecorder !== "undefined" &&
+      typeof HTMLCanvasElement !== "undefined" &&
+      typeof HTMLCanvasElement.prototype.captureStream === "function"
+    );
+  }
+
+  /**
+   * @method getSupportedMimeTypes
+   * @static
+   * @returns {Array<string>} The entries of RECORDING_MIME_TYPES this browser can record
+   */
+  static getSupportedMimeTypes() {
+    if (typeof MediaRecorder === "undefined") return [];
+    return RECORDING_MIME_TYPES.filter((type) => MediaRecorder.isTypeSupported(type));
+  }
+
+  /**
+   * @method start
+   * @description Starts recording a canvas. Does nothing if a recording is already in progress.
+   * @param {HTMLCanvasElement} canvas - The canvas to record
+   * @param {Object} [options]
+   * @param {string} [options.mimeType] - One of getSupportedMimeTypes(); the browser default if omitted
+   * @param {number} [options.fps=DEFAULT_RECORDING_FPS] - Maximum frame rate captured from the canvas
+   * @param {number} [options.maxDuration=Infinity] - Recording length limit in seconds
+   * @throws {Error} If the mime type is not supported
+   */
+  start(canvas, { mimeType, fps = DEFAULT_RECORDING_FPS, maxDuration = Infinity } = {}) {
+    if (this.recorder) return;
+    if (mimeType && !MediaRecorder.isTypeSupported(mimeType)) {
+      throw new Error(`Recording as ${mimeType} is not supported`);
+    }
+
+    this.stream = canvas.captureStream(fps);
+    this.recorder = new MediaRecorder(this.stream, mimeType ? { mimeType } : {});
+    this.chunks = [];
+    this.recorder.addEventListener("dataavailable", (e) => {
+      if (e.data.size > 0) this.chunks.push(e.data);
+    });
+    this.recorder.addEventListener("stop", () => this.finish());
+    this.recorder.addEventListener("error", (e) => {
+      this.dispatchEvent(new CustomEvent("error", { detail: e.error }));
+      this.stop();
+    });
+
+    this.remaining = maxDuration * 1000;
+    // Collect data in slices so a long recording does not hold one huge buffer until the end
+    this.recorder.start(RECORDING_TIMESLICE);
+    this.startLimitTimer();
+    this.dispatchEvent(new Event("start"));
+  }
+
+  /**
+   * @method pause
+   * @description Pauses a running recording.
+   */
+  pause() {
+    if (!this.recorder || this.recorder.state !== "recording") return;
+    this.recorder.pause();
+    this.stopLimitTimer();
+    this.dispatchEvent(new Event("pause"));
+  }
+
+  /**
+   * @method resume
+   * @description Resumes a paused recording.
+   */
+  resume() {
+    if (!this.recorder || this.recorder.state !== "paused") return;
+    this.recorder.resume();
+    this.startLimitTimer();
+    this.dispatchEvent(new Event("resume"));
+  }
+
+  /**
+   * @method stop
+   * @description Stops the recording. The `stop` event follows once the clip is complete.
+   */
+  stop() {
+    if (!this.recorder || this.recorder.state === "inactive") return;
+    this.stopLimitTimer();
+    this.recorder.stop();
+  }
+
+  /**
+   * @method getState
+   * @returns {('inactive'|'recording'|'paused')} The recorder state
+   */
+  getState() {
+    return this.recorder ? this.recorder.state : "inactive";
+  }
+
+  /**
+   * @method getMimeType
+   * @returns {string} The type of the clip being recorded, or an empty string when idle
+   */
+  getMimeType() {
+    return this.recorder ? this.recorder.mimeType : "";
+  }
+
+  /**
+   * @method startLimitTimer
+   * @private
+   * @description Schedules the automatic stop for the part of the duration limit that is left.
+   */
+  startLimitTimer() {
+    this.segmentStart = performance.now();
+    if (Number.isFinite(this.remaining)) {
+      this.limitTimer = setTimeout(() => this.stop(), Math.max(0, this.remaining));
+    }
+  }
+
+  /**
+   * @method stopLimitTimer
+   * @private
+   * @description Cancels the automatic stop and deducts the time recorded since it was scheduled.
+   */
+  stopLimitTimer() {
+    clearTimeout(this.limitTimer);
+    this.limitTimer = null;
+    this.remaining -= performance.now() - this.segmentStart;
+  }
+
+  /**
+   * @method finish
+   * @private
+   * @description Assembles the recorded chunks, releases the capture stream and dispatches `stop`.
+   */
+  finish() {
+    const blob = new Blob(this.chunks, { type: this.recorder.mimeType || "video/webm" });
+    this.stream.getTracks().forEach((track) => track.stop());
+    this.recorder = null;
+    this.stream = null;
+    this.chunks = [];
+    this.dispatchEvent(new CustomEvent("stop", { detail: blob }));
+  }
+}
@@ -1,4 +1,5 @@
 import { ImageFilter } from "./imageFilter.js";
+import { CHANNEL_INDEX, isolateChannel } from "./pixelKernels.js";
 
 /**
  * @class ChannelFilter
@@ -17,26 +18,28 @@ export class ChannelFilter extends ImageFilter {
   constructor(canvasId, channel) {
     super(canvasId);
     this.channel = channel; // 'red', 'green', or 'blue'
-    this.channelIndex = { red: 0, green: 1, blue: 2 }[channel];
+    this.channelIndex = CHANNEL_INDEX[channel];
   }
 
   /**
    * @method processImageData
    * @param {ImageData} imageData - The pixel data of the image to be processed
-   * @description Processes the image data by:
+   * @description Processes the image data with the isolateChannel pixel kernel by:
    * 1. Iterating through each pixel (4 bytes per pixel: R,G,B,A)
    * 2. Getting the value of the selected channel for the current pixel
    * 3. Setting the selected channel to its original value while zeroing out other channels
    * 4. Preserving the alpha channel
    */
   processImageData(imageData) {
-    const data = imageData.data;
+    isolateChannel(imageData.data, imageData.width, imageData.height, this.channelIndex);
+  }
 
-    for (let i = 0; i < data.length; i += 4) {
-      const value = data[i + this.channelIndex];
-      data[i] = this.channel === "red" ? value : 0; // R
-      data[i + 1] = this.channel === "green" ? value : 0; // G
-      data[i + 2] = this.channel === "blue" ? value : 0; // B
-    }
+  /**
+   * @method getKernelSpec
+   * @description Returns the kernel name and channel index so the worker backend can isolate the channel off the main thread
+   * @returns {{kernel: string, params: Array}}
+   */
+  getKernelSpec() {
+    return { kernel: "isolateChannel", params: [this.channelIndex] };
   }
 }
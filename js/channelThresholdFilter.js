@@ -1,10 +1,13 @@
-import { ImageFilter } from "./imageFilter.js";
+import { ThresholdFilter } from "./thresholdFilter.js";
+import { THRESHOLD_METHODS, extractChannel, writeMask } from "./thresholding.js";
+import { CHANNEL_INDEX, channelThreshold } from "./pixelKernels.js";
 
 /**
- * A filter class that applies threshold-based filtering on specific color channels of an image
- * @extends ImageFilter
+ * A filter class that applies threshold-based filtering on specific color channels of an image.
+ * The threshold comes from the slider or, depending on thresholdMethod, is chosen from the channel itself.
+ * @extends ThresholdFilter
  */
-export class ChannelThresholdFilter extends ImageFilter {
+export class ChannelThresholdFilter extends ThresholdFilter {
   /**
    * Creates an instance of ChannelThresholdFilter
    * @param {string} canvasId - The ID of the canvas element to apply the filter to
@@ -14,31 +17,50 @@ export class ChannelThresholdFilter extends ImageFilter {
   constructor(canvasId, channel, thresholdSliderId) {
     super(canvasId);
     this.channel = channel;
-    this.channelIndex = { red: 0, green: 1, blue: 2 }[channel];
+    this.channelIndex = CHANNEL_INDEX[channel];
     this.thresholdSlider = document.getElementById(thresholdSliderId);
   }
 
   /**
    * Processes the image data by applying a threshold filter to the specified color channel
-   * The filter works by:
+   * using the channelThreshold pixel kernel. The filter works by:
    * 1. Reading the threshold value from the slider
    * 2. For each pixel, checking if the specified channel value is above the threshold
    * 3. Setting the channel value to either 255 (white) or 0 (black) based on the threshold
    * 4. Setting other channels to 0 and alpha to 255
+   * Methods other than manual replace step 2 with the corresponding mask from ThresholdFilter.
    *
    * @param {ImageData} imageData - The ImageData object containing the pixel data to process
    * @returns {void}
    */
   processImageData(imageData) {
-    const data = imageData.data;
+    const { data, width, height } = imageData;
     const threshold = parseInt(this.thresholdSlider.value);
-
-    for (let i = 0; i < data.length; i += 4) {
-      const value = data[i + this.channelIndex] > threshold ? 255 : 0;
-      data[i] = this.channel === "red" ? value : 0; // R
-      data[i + 1] = this.channel === "green" ? value : 0; // G
-      data[i + 2] = this.channel === "blue" ? value : 0; // B
-      data[i + 3] = 255; // A
+    if (this.thresholdMethod === THRESHOLD_METHODS.MANUAL) {
+      channelThreshold(data, width, height, this.channelIndex, threshold);
+      this.appliedThreshold = threshold;
+      return;
     }
+    const mask = this.thresholdPlane(extractChannel(data, this.channelIndex), width, height, threshold);
+    writeMask(mask, data, this.channelIndex);
+  }
+
+  /**
+   * The threshold applies to the filter's own channel
+   * @returns {number} The channel index
+   */
+  getThresholdChannel() {
+    return this.channelIndex;
+  }
+
+  /**
+   * Returns the kernel and its arguments for the worker backend. The slider is read here, on the main thread,
+   * so the worker receives a plain number. Other methods than manual need the whole channel and run on
+   * the main thread
+   * @returns {?{kernel: string, params: Array}}
+   */
+  getKernelSpec() {
+    if (this.thresholdMethod !== THRESHOLD_METHODS.MANUAL) return null;
+    return { kernel: "channelThreshold", params: [this.channelIndex, parseInt(this.thresholdSlider.value)] };
   }
 }
@@ -0,0 +1,81 @@
+import { ImageFilter } from "./imageFilter.js";
+import { COLOR_SPACES } from "./colorSpaces.js";
+import { COLOR_SPACE_VIEWS, colorSpaceView } from "./pixelKernels.js";
+
+/**
+ * @class ColorSpaceFilter
+ * @extends ImageFilter
+ * @description A filter that converts the image to any of COLOR_SPACES and shows the result in one
+ * of COLOR_SPACE_VIEWS: all channels at once, a single channel in grayscale or false colour, or
+ * the round trip back to RGB. Channel values are scaled from their natural range to 0-255, so
+ * signed channels such as a* or Cb show neutral grey at zero.
+ *
+ * @param {string} canvasId - The ID of the canvas element to apply the filter to
+ *
+ * @property {string} space - Key of COLOR_SPACES
+ * @property {string} view - One of COLOR_SPACE_VIEWS
+ * @property {number} channel - Index of the channel shown by the single-channel views
+ *
+ * @example
+ * // Hue of HSL as a colour wheel
+ * filter.setParams({ space: 'hsl', view: 'falseColor', channel: 0 });
+ */
+export class ColorSpaceFilter extends ImageFilter {
+  constructor(canvasId) {
+    super(canvasId);
+    this.space = "lab";
+    this.view = COLOR_SPACE_VIEWS.COMPOSITE;
+    this.channel = 0;
+    this.updateChannelLabels();
+  }
+
+  /**
+   * @method setParams
+   * @description Assigns the parameters and relabels the output channels for the new space and view.
+   * An unknown space is rejected before anything changes.
+   * @param {Object} params - Property values to assign
+   * @throws {Error} If params.space is not a key of COLOR_SPACES
+   */
+  setParams(params) {
+    if (params.space !== undefined && !COLOR_SPACES[params.space]) {
+      throw new Error(`Unknown colour space "${params.space}"`);
+    }
+    super.setParams(params);
+    this.channel = Math.min(this.channel, COLOR_SPACES[this.space].channels.length - 1);
+    this.updateChannelLabels();
+  }
+
+  /**
+   * @method updateChannelLabels
+   * @private
+   * @description Names what the R, G and B channels of the output hold.
+   */
+  updateChannelLabels() {
+    const { channels } = COLOR_SPACES[this.space];
+    if (this.view === COLOR_SPACE_VIEWS.COMPOSITE) {
+      this.channelLabels = channels.slice(0, 3).map((channel) => channel.name);
+    } else if (this.view === COLOR_SPACE_VIEWS.CHANNEL) {
+      this.channelLabels = Array(3).fill(channels[this.channel].name);
+    } else {
+      this.channelLabels = ["R", "G", "B"];
+    }
+  }
+
+  /**
+   * @method processImageData
+   * @description Converts and draws the image data with the colorSpaceView pixel kernel.
+   * @param {ImageData} imageData - The image data to process
+   */
+  processImageData(imageData) {
+    colorSpaceView(imageData.data, imageData.width, imageData.height, this.space, this.view, this.channel);
+  }
+
+  /**
+   * @method getKernelSpec
+   * @description Returns the colorSpaceView kernel with the current space, view and channel, for the worker backend.
+   * @returns {{kernel: string, params: Array}}
+   */
+  getKernelSpec() {
+    return { kernel: "colorSpaceView", params: [this.space, this.view, this.channel] };
+  }
+}
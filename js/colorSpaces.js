@@ -0,0 +1,423 @@
+import { RGB_TO_YCBCR, RGB_TO_YCBCR_BT709 } from "./constants.js";
+
+/**
+ * @fileoverview Per-pixel conversions between RGB and other colour spaces
+ * @module colorSpaces
+ *
+ * Every space in COLOR_SPACES has a forward conversion from 8-bit RGB to its own channels and an
+ * inverse back to RGB, so a colour can be taken through a space and recovered. Channel values are
+ * in the natural units of the space (degrees, percentages, signed chroma...); each channel lists
+ * its range so callers can scale it to 0-255 for display. Like the pixel kernels, nothing here
+ * touches the DOM.
+ *
+ * @example
+ * const [l, a, b] = COLOR_SPACES.lab.fromRgb(255, 128, 0);
+ * const [r, g, bl] = COLOR_SPACES.lab.toRgb(l, a, b); // ≈ 255, 128, 0
+ */
+
+/**
+ * Converts a single RGB colour to HSV.
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {{h: number, s: number, v: number}} Hue in degrees (0-360), saturation and value (0-1)
+ */
+export function rgbToHsvPixel(r, g, b) {
+  r /= 255;
+  g /= 255;
+  b /= 255;
+
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const diff = max - min;
+
+  let h = 0;
+  if (diff !== 0) {
+    if (max === r) {
+      h = 60 * (((g - b) / diff) % 6);
+    } else if (max === g) {
+      h = 60 * ((b - r) / diff + 2);
+    } else {
+      h = 60 * ((r - g) / diff + 4);
+    }
+  }
+  if (h < 0) h += 360;
+
+  return { h, s: max === 0 ? 0 : diff / max, v: max };
+}
+
+/**
+ * Converts a single HSV colour, encoded as by rgbToHsv, back to RGB.
+ * @param {number} h - Hue value (0-255)
+ * @param {number} s - Saturation value (0-255)
+ * @param {number} v - Value/Brightness value (0-255)
+ * @returns {{r: number, g: number, b: number}} RGB colour (each 0-255)
+ */
+export function hsvToRgb(h, s, v) {
+  h = (h / 255) * 360;
+  s = s / 255;
+  v = v / 255;
+
+  const c = v * s;
+  const x = c * (1 - Math.abs(((h / 60) % 2) - 1));
+  const m = v - c;
+
+  let r = 0,
+    g = 0,
+    b = 0;
+
+  if (0 <= h && h < 60) {
+    r = c;
+    g = x;
+  } else if (60 <= h && h < 120) {
+    r = x;
+    g = c;
+  } else if (120 <= h && h < 180) {
+    g = c;
+    b = x;
+  } else if (180 <= h && h < 240) {
+    g = x;
+    b = c;
+  } else if (240 <= h && h < 300) {
+    r = x;
+    b = c;
+  } else if (300 <= h && h <= 360) {
+    r = c;
+    b = x;
+  }
+
+  return {
+    r: Math.round((r + m) * 255),
+    g: Math.round((g + m) * 255),
+    b: Math.round((b + m) * 255),
+  };
+}
+
+/**
+ * Converts a single RGB colour to HSL.
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {{h: number, s: number, l: number}} Hue in degrees (0-360), saturation and lightness (0-1)
+ */
+export function rgbToHslPixel(r, g, b) {
+  const { h } = rgbToHsvPixel(r, g, b);
+  const max = Math.max(r, g, b) / 255;
+  const min = Math.min(r, g, b) / 255;
+  const l = (max + min) / 2;
+  const s = max === min ? 0 : (max - min) / (1 - Math.abs(2 * l - 1));
+  return { h, s, l };
+}
+
+/**
+ * Converts a single HSL colour back to RGB.
+ * @param {number} h - Hue in degrees (0-360)
+ * @param {number} s - Saturation (0-1)
+ * @param {number} l - Lightness (0-1)
+ * @returns {Array<number>} [r, g, b], each 0-255 and not rounded
+ */
+export function hslToRgbPixel(h, s, l) {
+  const k = (n) => (n + h / 30) % 12;
+  const a = s * Math.min(l, 1 - l);
+  const f = (n) => l - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+  return [f(0) * 255, f(8) * 255, f(4) * 255];
+}
+
+/**
+ * Multiplies a 3x3 matrix, given as nine numbers in row order, by a vector.
+ * @private
+ */
+function multiply(m, x, y, z) {
+  return [m[0] * x + m[1] * y + m[2] * z, m[3] * x + m[4] * y + m[5] * z, m[6] * x + m[7] * y + m[8] * z];
+}
+
+/**
+ * Inverts a 3x3 matrix given as nine numbers in row order.
+ * @private
+ */
+function invert(m) {
+  const [a, b, c, d, e, f, g, h, i] = m;
+  const det = a * (e * i - f * h) - b * (d * i - f * g) + c * (d * h - e * g);
+  return [
+    (e * i - f * h) / det,
+    (c * h - b * i) / det,
+    (b * f - c * e) / det,
+    (f * g - d * i) / det,
+    (a * i - c * g) / det,
+    (c * d - a * f) / det,
+    (d * h - e * g) / det,
+    (b * g - a * h) / det,
+    (a * e - b * d) / det,
+  ];
+}
+
+// Linear sRGB to CIE XYZ for the D65 white point, XYZ scaled so that white has Y = 100
+const RGB_TO_XYZ = [41.24564, 35.75761, 18.04375, 21.26729, 71.51522, 7.2175, 1.93339, 11.9192, 95.03041];
+const XYZ_TO_RGB = invert(RGB_TO_XYZ);
+const D65_WHITE = [95.047, 100, 108.883];
+
+// FCC NTSC YIQ, from RGB in 0-1
+const RGB_TO_YIQ = [0.299, 0.587, 0.114, 0.595716, -0.274453, -0.321263, 0.211456, -0.522591, 0.311135];
+const YIQ_TO_RGB = invert(RGB_TO_YIQ);
+
+// Analogue PAL YUV: U and V are scaled B-Y and R-Y differences of the BT.601 luma
+const YUV_U_SCALE = 0.492;
+const YUV_V_SCALE = 0.877;
+
+/**
+ * Converts an 8-bit sRGB component to linear light (0-1).
+ * @param {number} value - Component (0-255)
+ * @returns {number} Linear intensity
+ */
+export function srgbToLinear(value) {
+  const c = value / 255;
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * Converts linear light (0-1) to an 8-bit sRGB component, the inverse of srgbToLinear.
+ * @param {number} value - Linear intensity
+ * @returns {number} Component (0-255), not rounded
+ */
+export function linearToSrgb(value) {
+  const c = value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+  return c * 255;
+}
+
+/**
+ * Converts a single RGB colour to CIE XYZ (D65).
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {Array<number>} [X, Y, Z] with reference white at Y = 100
+ */
+export function rgbToXyzPixel(r, g, b) {
+  return multiply(RGB_TO_XYZ, srgbToLinear(r), srgbToLinear(g), srgbToLinear(b));
+}
+
+/**
+ * Converts a single CIE XYZ (D65) colour back to RGB.
+ * @param {number} x - X (0-95.047 for in-gamut colours)
+ * @param {number} y - Y (0-100)
+ * @param {number} z - Z (0-108.883)
+ * @returns {Array<number>} [r, g, b], each 0-255 for in-gamut colours and not rounded
+ */
+export function xyzToRgbPixel(x, y, z) {
+  return multiply(XYZ_TO_RGB, x, y, z).map(linearToSrgb);
+}
+
+const LAB_EPSILON = 216 / 24389;
+const LAB_KAPPA = 24389 / 27;
+
+/**
+ * Converts a single RGB colour to CIE L*a*b* (D65).
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {Array<number>} [L*, a*, b*], L* from 0 to 100
+ */
+export function rgbToLabPixel(r, g, b) {
+  const [fx, fy, fz] = rgbToXyzPixel(r, g, b).map((value, i) => {
+    const t = value / D65_WHITE[i];
+    return t > LAB_EPSILON ? Math.cbrt(t) : (LAB_KAPPA * t + 16) / 116;
+  });
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+/**
+ * Converts a single CIE L*a*b* (D65) colour back to RGB.
+ * @param {number} l - L* (0-100)
+ * @param {number} a - a*
+ * @param {number} b - b*
+ * @returns {Array<number>} [r, g, b], each 0-255 for in-gamut colours and not rounded
+ */
+export function labToRgbPixel(l, a, b) {
+  const fy = (l + 16) / 116;
+  const fx = fy + a / 500;
+  const fz = fy - b / 200;
+  const xyz = [fx, fy, fz].map((f, i) => {
+    const t = f * f * f > LAB_EPSILON ? f * f * f : (116 * f - 16) / LAB_KAPPA;
+    return t * D65_WHITE[i];
+  });
+  return xyzToRgbPixel(...xyz);
+}
+
+/**
+ * Converts a single RGB colour to full-range YCbCr with the given coefficients.
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @param {Object} [coefficients=RGB_TO_YCBCR] - RGB_TO_YCBCR (BT.601) or RGB_TO_YCBCR_BT709
+ * @returns {Array<number>} [Y, Cb, Cr], each 0-255
+ */
+export function rgbToYCbCrPixel(r, g, b, coefficients = RGB_TO_YCBCR) {
+  const { Y_R, Y_G, Y_B, CB_R, CB_G, CB_B, CR_R, CR_G, CR_B } = coefficients;
+  return [
+    Y_R * r + Y_G * g + Y_B * b,
+    128 + CB_R * r + CB_G * g + CB_B * b,
+    128 + CR_R * r + CR_G * g + CR_B * b,
+  ];
+}
+
+/**
+ * Converts a single full-range YCbCr colour back to RGB. The inverse is derived from the luma
+ * weights, since Cb and Cr are the B-Y and R-Y differences scaled to ±128.
+ * @param {number} y - Y (0-255)
+ * @param {number} cb - Cb (0-255)
+ * @param {number} cr - Cr (0-255)
+ * @param {Object} [coefficients=RGB_TO_YCBCR] - RGB_TO_YCBCR (BT.601) or RGB_TO_YCBCR_BT709
+ * @returns {Array<number>} [r, g, b], each 0-255 and not rounded
+ */
+export function yCbCrToRgbPixel(y, cb, cr, coefficients = RGB_TO_YCBCR) {
+  const { Y_R, Y_G, Y_B } = coefficients;
+  const r = y + 2 * (1 - Y_R) * (cr - 128);
+  const b = y + 2 * (1 - Y_B) * (cb - 128);
+  return [r, (y - Y_R * r - Y_B * b) / Y_G, b];
+}
+
+/**
+ * The colour spaces that can be converted to and from RGB.
+ * Each entry has a display label, its channels with their names and ranges, and the conversions:
+ * `fromRgb(r, g, b)` returns one value per channel, and `toRgb(...values)` returns [r, g, b] (0-255, not rounded).
+ * A channel flagged `hue` holds an angle in degrees.
+ * @constant {Object<string, {label: string, channels: Array<{name: string, min: number, max: number, hue: boolean}>, fromRgb: Function, toRgb: Function}>}
+ */
+export const COLOR_SPACES = {
+  hsv: {
+    label: "HSV",
+    channels: [
+      { name: "H", min: 0, max: 360, hue: true },
+      { name: "S", min: 0, max: 1 },
+      { name: "V", min: 0, max: 1 },
+    ],
+    fromRgb(r, g, b) {
+      const { h, s, v } = rgbToHsvPixel(r, g, b);
+      return [h, s, v];
+    },
+    toRgb(h, s, v) {
+      const { r, g, b } = hsvToRgb((h % 360) * (255 / 360), s * 255, v * 255);
+      return [r, g, b];
+    },
+  },
+  hsl: {
+    label: "HSL",
+    channels: [
+      { name: "H", min: 0, max: 360, hue: true },
+      { name: "S", min: 0, max: 1 },
+      { name: "L", min: 0, max: 1 },
+    ],
+    fromRgb(r, g, b) {
+      const { h, s, l } = rgbToHslPixel(r, g, b);
+      return [h, s, l];
+    },
+    toRgb: hslToRgbPixel,
+  },
+  xyz: {
+    label: "CIE XYZ",
+    channels: [
+      { name: "X", min: 0, max: D65_WHITE[0] },
+      { name: "Y", min: 0, max: D65_WHITE[1] },
+      { name: "Z", min: 0, max: D65_WHITE[2] },
+    ],
+    fromRgb: rgbToXyzPixel,
+    toRgb: xyzToRgbPixel,
+  },
+  lab: {
+    label: "CIE L*a*b*",
+    channels: [
+      { name: "L*", min: 0, max: 100 },
+      { name: "a*", min: -128, max: 127 },
+      { name: "b*", min: -128, max: 127 },
+    ],
+    fromRgb: rgbToLabPixel,
+    toRgb: labToRgbPixel,
+  },
+  yuv: {
+    label: "YUV",
+    channels: [
+      { name: "Y", min: 0, max: 1 },
+      { name: "U", min: -YUV_U_SCALE * (1 - RGB_TO_YCBCR.Y_B), max: YUV_U_SCALE * (1 - RGB_TO_YCBCR.Y_B) },
+      { name: "V", min: -YUV_V_SCALE * (1 - RGB_TO_YCBCR.Y_R), max: YUV_V_SCALE * (1 - RGB_TO_YCBCR.Y_R) },
+    ],
+    fromRgb(r, g, b) {
+      const y = (RGB_TO_YCBCR.Y_R * r + RGB_TO_YCBCR.Y_G * g + RGB_TO_YCBCR.Y_B * b) / 255;
+      return [y, YUV_U_SCALE * (b / 255 - y), YUV_V_SCALE * (r / 255 - y)];
+    },
+    toRgb(y, u, v) {
+      const r = y + v / YUV_V_SCALE;
+      const b = y + u / YUV_U_SCALE;
+      const g = (y - RGB_TO_YCBCR.Y_R * r - RGB_TO_YCBCR.Y_B * b) / RGB_TO_YCBCR.Y_G;
+      return [r * 255, g * 255, b * 255];
+    },
+  },
+  yiq: {
+    label: "YIQ",
+    channels: [
+      { name: "Y", min: 0, max: 1 },
+      { name: "I", min: -0.5957, max: 0.5957 },
+      { name: "Q", min: -0.5226, max: 0.5226 },
+    ],
+    fromRgb(r, g, b) {
+      return multiply(RGB_TO_YIQ, r / 255, g / 255, b / 255);
+    },
+    toRgb(y, i, q) {
+      return multiply(YIQ_TO_RGB, y, i, q).map((value) => value * 255);
+    },
+  },
+  cmyk: {
+    label: "CMYK",
+    channels: [
+      { name: "C", min: 0, max: 1 },
+      { name: "M", min: 0, max: 1 },
+      { name: "Y", min: 0, max: 1 },
+      { name: "K", min: 0, max: 1 },
+    ],
+    fromRgb(r, g, b) {
+      const k = 1 - Math.max(r, g, b) / 255;
+      if (k === 1) return [0, 0, 0, 1];
+      return [(1 - r / 255 - k) / (1 - k), (1 - g / 255 - k) / (1 - k), (1 - b / 255 - k) / (1 - k), k];
+    },
+    toRgb(c, m, y, k) {
+      return [255 * (1 - c) * (1 - k), 255 * (1 - m) * (1 - k), 255 * (1 - y) * (1 - k)];
+    },
+  },
+  ycbcr601: {
+    label: "YCbCr (BT.601)",
+    channels: [
+      { name: "Y", min: 0, max: 255 },
+      { name: "Cb", min: 0, max: 255 },
+      { name: "Cr", min: 0, max: 255 },
+    ],
+    fromRgb(r, g, b) {
+      return rgbToYCbCrPixel(r, g, b, RGB_TO_YCBCR);
+    },
+    toRgb(y, cb, cr) {
+      return yCbCrToRgbPixel(y, cb, cr, RGB_TO_YCBCR);
+    },
+  },
+  ycbcr709: {
+    label: "YCbCr (BT.709)",
+    channels: [
+      { name: "Y", min: 0, max: 255 },
+      { name: "Cb", min: 0, max: 255 },
+      { name: "Cr", min: 0, max: 255 },
+    ],
+    fromRgb(r, g, b) {
+      return rgbToYCbCrPixel(r, g, b, RGB_TO_YCBCR_BT709);
+    },
+    toRgb(y, cb, cr) {
+      return yCbCrToRgbPixel(y, cb, cr, RGB_TO_YCBCR_BT709);
+    },
+  },
+};
+
+/**
+ * Scales a channel value from its range to 0-255.
+ * @param {number} value - The value in the units of the channel
+ * @param {{min: number, max: number}} channel - A channel of a COLOR_SPACES entry
+ * @returns {number} The scaled value, clamped to 0-255
+ */
+export function normalizeChannel(value, channel) {
+  const scaled = ((value - channel.min) / (channel.max - channel.min)) * 255;
+  return Math.min(255, Math.max(0, scaled));
+}
@@ -5,7 +5,20 @@
  * @constant {number} CANVAS_WIDTH - The width of the canvas in pixels (160px)
  * @constant {number} CANVAS_HEIGHT - The height of the canvas in pixels (120px)
  * 
+ * @constant {number} CAPTURE_WIDTH - Ideal width requested from the camera (640px)
+ * @constant {number} CAPTURE_HEIGHT - Ideal height requested from the camera (480px)
+ * @constant {number} DETECTION_WIDTH - Processing width of the face detection filter (640px)
+ * @constant {number} DETECTION_HEIGHT - Processing height of the face detection filter (480px)
+ * @constant {string} DEFAULT_FIT_MODE - How sources of another aspect ratio are fitted by default ('letterbox')
+ * @constant {string} CAMERA_STORAGE_KEY - localStorage key under which the selected camera is remembered
+ * @constant {string} FACE_DATABASE_NAME - IndexedDB database in which enrolled faces are stored
+ *
  * @constant {string} FACE_DETECTION_MODEL_URL - URL to the face-api.js model weights
+ * @constant {string} LOCAL_FACE_MODEL_URL - Folder next to index.html holding a local copy of the model weights, for offline use ('models'; see README.md)
+ * @constant {string} FACE_MODEL_STORAGE_KEY - localStorage key under which the chosen model URL is remembered
+ * @constant {Array<string>} FACE_API_SCRIPT_URLS - Where face-api.js is loaded from, tried in order: the CDN, then a local copy for offline use (see README.md)
+ * @constant {number} DEFAULT_DETECTOR_INPUT_SIZE - Size the tiny face detector scales frames to; a multiple of 32 (416px)
+ * @constant {number} DEFAULT_DETECTOR_SCORE_THRESHOLD - Lowest detector confidence reported as a face (0.5)
  * 
  * @constant {Object} RGB_TO_YCBCR - Coefficients for RGB to YCbCr color space conversion
  * @property {number} Y_R - Red coefficient for Y (luminance) component (0.299)
@@ -17,15 +30,76 @@
  * @property {number} CR_R - Red coefficient for Cr (red-difference chroma) component (0.5)
  * @property {number} CR_G - Green coefficient for Cr (red-difference chroma) component (-0.418688)
  * @property {number} CR_B - Blue coefficient for Cr (red-difference chroma) component (-0.081312)
+ *
+ * @constant {Object} RGB_TO_YCBCR_BT709 - Coefficients for the BT.709 (HD video) variant of YCbCr, with the same keys as RGB_TO_YCBCR
  * 
  * @constant {number} BLOCK_SIZE - Size of processing blocks in pixels (5px)
  * @constant {number} BLUR_RADIUS - Radius for blur effect in pixels (10px)
+ *
+ * @constant {number} DEFAULT_TARGET_FPS - Default frame rate cap for live processing (30fps)
+ * @constant {number} STATS_REFRESH_INTERVAL - Minimum time between live statistics redraws in milliseconds (250ms)
+ * @constant {number} DEFAULT_WORKER_COUNT - Number of workers used by the worker processing backend (2)
+ * @constant {number} VIDEO_STEP_FPS - Frame rate assumed when stepping through a video file frame by frame (30fps)
+ *
+ * @constant {number} EXPORT_QUALITY - Encoder quality for JPEG and WebP snapshots (0.92)
+ * @constant {number} CONTACT_SHEET_COLUMNS - Number of tiles per row in an exported grid image (3)
+ * @constant {number} CONTACT_SHEET_TILE_WIDTH - Width of each tile in an exported grid image (320px)
+ * @constant {number} CONTACT_SHEET_TILE_HEIGHT - Height of each tile in an exported grid image (240px)
+ *
+ * @constant {number} DEFAULT_RECORDING_FPS - Frame rate captured from a canvas while recording (30fps)
+ * @constant {number} DEFAULT_RECORDING_DURATION - Default recording length limit in seconds (30s)
+ * @constant {number} RECORDING_TIMESLICE - Interval at which recorded data is collected in milliseconds (1000ms)
+ *
+ * @constant {number} ADAPTIVE_BLOCK_SIZE - Neighbourhood size of the adaptive threshold methods (15px)
+ * @constant {number} ADAPTIVE_OFFSET - Value subtracted from the local mean by the adaptive threshold methods (5)
+ * @constant {number} HYSTERESIS_RATIO - Low hysteresis threshold as a fraction of the high threshold (0.5)
+ *
+ * @constant {number} DEFAULT_KERNEL_SIZE - Width and height of the box blur kernel (5px)
+ * @constant {number} DEFAULT_GAUSSIAN_SIGMA - Standard deviation of the Gaussian blur kernel (1.5px)
+ * @constant {number} MAX_KERNEL_SIZE - Largest kernel width or height accepted by the convolution filter (31px)
+ *
+ * @constant {number} DEFAULT_MORPHOLOGY_RADIUS - Radius of the structuring element of the morphology filter (1px)
+ * @constant {number} DEFAULT_MIN_BLOB_AREA - Blobs with fewer pixels are dropped by the blob filter (20px)
+ *
+ * @constant {number} DEFAULT_LEARNING_RATE - How fast the motion background model adapts to the frame, per frame (0.05)
+ * @constant {number} DEFAULT_MOTION_SENSITIVITY - Motion sensitivity from 0 to 100; higher reacts to smaller changes (90)
+ * @constant {number} DEFAULT_MOTION_COOLDOWN - Time without motion before motion is reported as stopped (2000ms)
+ * @constant {number} DEFAULT_MIN_MOTION_AREA - Changed regions with fewer pixels are not counted as motion (50px)
+ *
+ * @constant {number} FRAME_HISTORY_LENGTH - Default number of frames used by the temporal filters (8)
+ * @constant {number} MAX_FRAME_HISTORY - Largest number of frames a frame history keeps (60)
+ *
+ * @constant {number} TRACK_IOU_THRESHOLD - Smallest overlap (intersection over union) at which a detection continues a face track (0.3)
+ * @constant {number} TRACK_MAX_CENTROID_DISTANCE - Largest centre movement, relative to the track's box size, matched when boxes do not overlap enough (0.5)
+ * @constant {number} TRACK_SMOOTHING - Weight kept by a tracked face box when a new detection arrives, 0 to 1 (0.6)
+ * @constant {number} TRACK_MAX_MISSED - Detection runs a face track survives without being matched (5)
+ * @constant {number} DEFAULT_OVERLAY_SCALE - Width of a face overlay image as a multiple of the distance between the eyes (2.2)
+ * @constant {number} DEFAULT_FAIL_SAFE_DELAY - Time without a detected face before the face effect fail-safe masks the whole frame (1000ms)
+ * @constant {number} DEFAULT_RECOGNITION_THRESHOLD - Largest face descriptor distance still recognised as an enrolled person (0.6)
+ * @constant {number} DEFAULT_ENROLMENT_FRAMES - Number of frames whose face descriptors are captured per enrolment (5)
+ * @constant {number} ENROLMENT_TIMEOUT - Longest wait for live detections during an enrolment before it is abandoned (10000ms)
  */
 
 export const CANVAS_WIDTH = 160;
 export const CANVAS_HEIGHT = 120;
 
+export const CAPTURE_WIDTH = 640;
+export const CAPTURE_HEIGHT = 480;
+export const DETECTION_WIDTH = 640;
+export const DETECTION_HEIGHT = 480;
+export const DEFAULT_FIT_MODE = 'letterbox';
+export const CAMERA_STORAGE_KEY = 'webcam-js.cameraDeviceId';
+export const FACE_DATABASE_NAME = 'webcam-js.faces';
+
 export const FACE_DETECTION_MODEL_URL = 'https://cdn.jsdelivr.net/gh/justadudewhohacks/face-api.js@master/weights';
+export const LOCAL_FACE_MODEL_URL = 'models';
+export const FACE_MODEL_STORAGE_KEY = 'webcam-js.faceModelUrl';
+export const FACE_API_SCRIPT_URLS = [
+  'https://cdn.jsdelivr.net/npm/face-api.js@0.22.2/dist/face-api.min.js',
+  'vendor/face-api.min.js'
+];
+export const DEFAULT_DETECTOR_INPUT_SIZE = 416;
+export const DEFAULT_DETECTOR_SCORE_THRESHOLD = 0.5;
 
 export const RGB_TO_YCBCR = {
   Y_R: 0.299,
@@ -39,5 +113,60 @@ export const RGB_TO_YCBCR = {
   CR_B: -0.081312,
 };
 
+export const RGB_TO_YCBCR_BT709 = {
+  Y_R: 0.2126,
+  Y_G: 0.7152,
+  Y_B: 0.0722,
+  CB_R: -0.114572,
+  CB_G: -0.385428,
+  CB_B: 0.5,
+  CR_R: 0.5,
+  CR_G: -0.454153,
+  CR_B: -0.045847,
+};
+
 export const BLOCK_SIZE = 5;
-export const BLUR_RADIUS = 10;
\ No newline at end of file
+export const BLUR_RADIUS = 10;
+
+export const DEFAULT_TARGET_FPS = 30;
+export const STATS_REFRESH_INTERVAL = 250;
+export const DEFAULT_WORKER_COUNT = 2;
+export const VIDEO_STEP_FPS = 30;
+
+export const EXPORT_QUALITY = 0.92;
+export const CONTACT_SHEET_COLUMNS = 3;
+export const CONTACT_SHEET_TILE_WIDTH = 320;
+export const CONTACT_SHEET_TILE_HEIGHT = 240;
+
+export const DEFAULT_RECORDING_FPS = 30;
+export const DEFAULT_RECORDING_DURATION = 30;
+export const RECORDING_TIMESLICE = 1000;
+
+export const ADAPTIVE_BLOCK_SIZE = 15;
+export const ADAPTIVE_OFFSET = 5;
+export const HYSTERESIS_RATIO = 0.5;
+
+export const DEFAULT_KERNEL_SIZE = 5;
+export const DEFAULT_GAUSSIAN_SIGMA = 1.5;
+export const MAX_KERNEL_SIZE = 31;
+
+export const DEFAULT_MORPHOLOGY_RADIUS = 1;
+export const DEFAULT_MIN_BLOB_AREA = 20;
+
+export const DEFAULT_LEARNING_RATE = 0.05;
+export const DEFAULT_MOTION_SENSITIVITY = 90;
+export const DEFAULT_MOTION_COOLDOWN = 2000;
+export const DEFAULT_MIN_MOTION_AREA = 50;
+
+export const FRAME_HISTORY_LENGTH = 8;
+export const MAX_FRAME_HISTORY = 60;
+
+export const TRACK_IOU_THRESHOLD = 0.3;
+export const TRACK_MAX_CENTROID_DISTANCE = 0.5;
+export const TRACK_SMOOTHING = 0.6;
+export const TRACK_MAX_MISSED = 5;
+export const DEFAULT_OVERLAY_SCALE = 2.2;
+export const DEFAULT_FAIL_SAFE_DELAY = 1000;
+export const DEFAULT_RECOGNITION_THRESHOLD = 0.6;
+export const DEFAULT_ENROLMENT_FRAMES = 5;
+export const ENROLMENT_TIMEOUT = 10000;
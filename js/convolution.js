@@ -0,0 +1,412 @@
+import { DEFAULT_KERNEL_SIZE, DEFAULT_GAUSSIAN_SIGMA, MAX_KERNEL_SIZE } from "./constants.js";
+
+/**
+ * @fileoverview Spatial filtering of RGBA pixel data with convolution kernels
+ * @module convolution
+ *
+ * A kernel is a plain object `{width, height, weights, bias}` with odd dimensions and the weights in
+ * row order, so it can be posted to a worker. Kernels are applied as a correlation centred on each
+ * pixel (the kernel is not flipped), to R, G and B separately; alpha is preserved. Kernels that are
+ * the outer product of a column and a row, such as box and Gaussian blurs, are detected and applied
+ * as two one-dimensional passes. Like the pixel kernels, nothing here touches the DOM.
+ *
+ * @example
+ * const kernel = parseKernel("0 -1 0\n-1 5 -1\n0 -1 0");
+ * convolve(imageData.data, imageData.width, imageData.height, kernel, BORDER_MODES.REFLECT);
+ */
+
+/**
+ * How pixels outside the image are read.
+ * - clamp: the nearest edge pixel
+ * - reflect: mirrored at the edge without repeating it (…c b | a b c…)
+ * - wrap: from the opposite edge
+ * - zero: black
+ * @constant {Object<string, string>}
+ */
+export const BORDER_MODES = {
+  CLAMP: "clamp",
+  REFLECT: "reflect",
+  WRAP: "wrap",
+  ZERO: "zero",
+};
+
+/**
+ * Built-in kernels. The sobel, prewitt and scharr presets combine a horizontal and a vertical
+ * gradient kernel into the gradient magnitude; custom uses a kernel typed in by the user.
+ * @constant {Object<string, string>}
+ */
+export const CONVOLUTION_PRESETS = {
+  BOX: "box",
+  GAUSSIAN: "gaussian",
+  SHARPEN: "sharpen",
+  EMBOSS: "emboss",
+  SOBEL_X: "sobelX",
+  SOBEL_Y: "sobelY",
+  SOBEL: "sobel",
+  PREWITT: "prewitt",
+  SCHARR: "scharr",
+  LAPLACIAN: "laplacian",
+  CUSTOM: "custom",
+};
+
+/**
+ * Bias of kernels with signed output, so that a zero response shows as mid-grey.
+ * @constant {number}
+ */
+export const SIGNED_BIAS = 128;
+
+const SOBEL_X = [
+  [-1, 0, 1],
+  [-2, 0, 2],
+  [-1, 0, 1],
+];
+const PREWITT_X = [
+  [-1, 0, 1],
+  [-1, 0, 1],
+  [-1, 0, 1],
+];
+const SCHARR_X = [
+  [-3, 0, 3],
+  [-10, 0, 10],
+  [-3, 0, 3],
+];
+
+/**
+ * Builds a kernel from rows of weights.
+ * @param {Array<Array<number>>} rows - The weights, one array per row
+ * @param {number} [bias=0] - Added to every result
+ * @returns {{width: number, height: number, weights: Array<number>, bias: number}} The kernel
+ * @throws {Error} If the rows are empty, ragged, of even or too large size, or contain non-numbers
+ */
+export function createKernel(rows, bias = 0) {
+  const height = rows.length;
+  const width = height > 0 ? rows[0].length : 0;
+  if (width === 0) {
+    throw new Error("The kernel is empty");
+  }
+  if (rows.some((row) => row.length !== width)) {
+    throw new Error("Every row of the kernel needs the same number of weights");
+  }
+  if (width % 2 === 0 || height % 2 === 0) {
+    throw new Error(`The kernel needs an odd width and height, not ${width}×${height}`);
+  }
+  if (width > MAX_KERNEL_SIZE || height > MAX_KERNEL_SIZE) {
+    throw new Error(`The kernel can be at most ${MAX_KERNEL_SIZE}×${MAX_KERNEL_SIZE}`);
+  }
+  const weights = rows.flat();
+  if (!weights.every(Number.isFinite)) {
+    throw new Error("Kernel weights must be numbers");
+  }
+  return { width, height, weights, bias };
+}
+
+/**
+ * Reads a kernel typed as text: one row per line (or separated by semicolons), weights separated
+ * by spaces or commas. Weights may be written as fractions such as 1/9.
+ * @param {string} text - The kernel text
+ * @returns {{width: number, height: number, weights: Array<number>, bias: number}} The kernel
+ * @throws {Error} If the text is not a valid kernel (see createKernel)
+ */
+export function parseKernel(text) {
+  const rows = text
+    .split(/[\n;]/)
+    .map((line) => line.trim())
+    .filter((line) => line.length > 0)
+    .map((line) =>
+      line.split(/[\s,]+/).map((token) => {
+        const [numerator, denominator = "1"] = token.split("/");
+        const value = Number(numerator) / Number(denominator);
+        if (!Number.isFinite(value) || numerator === "" || denominator === "") {
+          throw new Error(`"${token}" is not a number`);
+        }
+        return value;
+      })
+    );
+  return createKernel(rows);
+}
+
+/**
+ * Scales a kernel so its weights sum to 1, keeping the overall brightness. Kernels that sum to 0,
+ * such as edge detectors, are returned unchanged.
+ * @param {Object} kernel - The kernel
+ * @returns {Object} A new kernel
+ */
+export function normalizeKernel(kernel) {
+  const sum = kernel.weights.reduce((total, weight) => total + weight, 0);
+  if (Math.abs(sum) < 1e-9) return kernel;
+  return { ...kernel, weights: kernel.weights.map((weight) => weight / sum) };
+}
+
+/**
+ * A square kernel that averages its neighbourhood.
+ * @param {number} [size=DEFAULT_KERNEL_SIZE] - Width and height, rounded up to an odd number
+ * @returns {Object} The kernel
+ */
+export function boxKernel(size = DEFAULT_KERNEL_SIZE) {
+  const side = Math.min(MAX_KERNEL_SIZE, Math.max(1, Math.floor(size / 2) * 2 + 1));
+  const row = new Array(side).fill(1 / (side * side));
+  return createKernel(new Array(side).fill(row));
+}
+
+/**
+ * A square Gaussian kernel that reaches three standard deviations from the centre.
+ * @param {number} [sigma=DEFAULT_GAUSSIAN_SIGMA] - Standard deviation in pixels
+ * @returns {Object} The kernel, normalized to sum to 1
+ */
+export function gaussianKernel(sigma = DEFAULT_GAUSSIAN_SIGMA) {
+  const radius = Math.min((MAX_KERNEL_SIZE - 1) / 2, Math.max(1, Math.ceil(sigma * 3)));
+  const line = [];
+  for (let k = -radius; k <= radius; k++) {
+    line.push(Math.exp(-(k * k) / (2 * sigma * sigma)));
+  }
+  return normalizeKernel(createKernel(line.map((weight) => line.map((other) => weight * other))));
+}
+
+/**
+ * Creates the kernels of a preset.
+ * @param {string} preset - One of CONVOLUTION_PRESETS other than custom
+ * @param {Object} [options]
+ * @param {number} [options.size=DEFAULT_KERNEL_SIZE] - Size of the box kernel
+ * @param {number} [options.sigma=DEFAULT_GAUSSIAN_SIGMA] - Standard deviation of the Gaussian kernel
+ * @returns {Array<Object>} One kernel, or the horizontal and vertical kernels of a gradient magnitude preset
+ * @throws {Error} If the preset is unknown
+ */
+export function createPresetKernels(preset, { size = DEFAULT_KERNEL_SIZE, sigma = DEFAULT_GAUSSIAN_SIGMA } = {}) {
+  const transpose = (rows) => rows[0].map((_, column) => rows.map((row) => row[column]));
+  switch (preset) {
+    case CONVOLUTION_PRESETS.BOX:
+      return [boxKernel(size)];
+    case CONVOLUTION_PRESETS.GAUSSIAN:
+      return [gaussianKernel(sigma)];
+    case CONVOLUTION_PRESETS.SHARPEN:
+      return [
+        createKernel([
+          [0, -1, 0],
+          [-1, 5, -1],
+          [0, -1, 0],
+        ]),
+      ];
+    case CONVOLUTION_PRESETS.EMBOSS:
+      return [
+        createKernel([
+          [-2, -1, 0],
+          [-1, 1, 1],
+          [0, 1, 2],
+        ]),
+      ];
+    case CONVOLUTION_PRESETS.SOBEL_X:
+      return [createKernel(SOBEL_X, SIGNED_BIAS)];
+    case CONVOLUTION_PRESETS.SOBEL_Y:
+      return [createKernel(transpose(SOBEL_X), SIGNED_BIAS)];
+    case CONVOLUTION_PRESETS.SOBEL:
+      return [createKernel(SOBEL_X), createKernel(transpose(SOBEL_X))];
+    case CONVOLUTION_PRESETS.PREWITT:
+      return [createKernel(PREWITT_X), createKernel(transpose(PREWITT_X))];
+    case CONVOLUTION_PRESETS.SCHARR:
+      return [createKernel(SCHARR_X), createKernel(transpose(SCHARR_X))];
+    case CONVOLUTION_PRESETS.LAPLACIAN:
+      return [
+        createKernel(
+          [
+            [0, 1, 0],
+            [1, -4, 1],
+            [0, 1, 0],
+          ],
+          SIGNED_BIAS
+        ),
+      ];
+    default:
+      throw new Error(`Unknown convolution preset "${preset}"`);
+  }
+}
+
+/**
+ * Splits a kernel into a column and a row whose outer product is the kernel, if there are any.
+ * @param {Object} kernel - The kernel
+ * @returns {?{horizontal: Array<number>, vertical: Array<number>}} The row and column weights, or null
+ * if the kernel is not separable
+ */
+export function separateKernel(kernel) {
+  const { width, height, weights } = kernel;
+  let pivot = 0;
+  for (let i = 1; i < weights.length; i++) {
+    if (Math.abs(weights[i]) > Math.abs(weights[pivot])) pivot = i;
+  }
+  if (weights[pivot] === 0) return null;
+
+  const pivotRow = Math.floor(pivot / width);
+  const pivotColumn = pivot % width;
+  const horizontal = weights.slice(pivotRow * width, (pivotRow + 1) * width).map((weight) => weight / weights[pivot]);
+  const vertical = [];
+  for (let y = 0; y < height; y++) {
+    vertical.push(weights[y * width + pivotColumn]);
+  }
+
+  const tolerance = 1e-6 * Math.abs(weights[pivot]);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (Math.abs(vertical[y] * horizontal[x] - weights[y * width + x]) > tolerance) return null;
+    }
+  }
+  return { horizontal, vertical };
+}
+
+/**
+ * Maps positions from -radius to length + radius - 1 onto pixel indices according to the border mode.
+ * @private
+ * @returns {Int32Array} The index for position p at p + radius, or -1 for a zero border
+ */
+function borderLookup(length, radius, border) {
+  const lookup = new Int32Array(length + radius * 2);
+  for (let p = -radius; p < length + radius; p++) {
+    let index = p;
+    if (index < 0 || index >= length) {
+      if (border === BORDER_MODES.ZERO) {
+        index = -1;
+      } else if (border === BORDER_MODES.WRAP) {
+        index = ((index % length) + length) % length;
+      } else if (border === BORDER_MODES.REFLECT && length > 1) {
+        const period = 2 * (length - 1);
+        index = ((index % period) + period) % period;
+        if (index >= length) index = period - index;
+      } else {
+        index = Math.min(length - 1, Math.max(0, index));
+      }
+    }
+    lookup[p + radius] = index;
+  }
+  return lookup;
+}
+
+/**
+ * Copies the R, G and B channels of RGBA data into one float array, three values per pixel.
+ * @private
+ */
+function toPlanes(data) {
+  const planes = new Float32Array((data.length / 4) * 3);
+  for (let i = 0, j = 0; i < data.length; i += 4, j += 3) {
+    planes[j] = data[i];
+    planes[j + 1] = data[i + 1];
+    planes[j + 2] = data[i + 2];
+  }
+  return planes;
+}
+
+/**
+ * Correlates three-channel data with a one-dimensional kernel along rows or columns.
+ * @private
+ */
+function correlateLine(planes, width, height, weights, horizontal, border) {
+  const radius = (weights.length - 1) / 2;
+  const lookup = borderLookup(horizontal ? width : height, radius, border);
+  const result = new Float32Array(planes.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const position = horizontal ? x : y;
+      let r = 0,
+        g = 0,
+        b = 0;
+      for (let k = 0; k < weights.length; k++) {
+        const index = lookup[position + k];
+        if (index < 0 || weights[k] === 0) continue;
+        const p = (horizontal ? y * width + index : index * width + x) * 3;
+        r += planes[p] * weights[k];
+        g += planes[p + 1] * weights[k];
+        b += planes[p + 2] * weights[k];
+      }
+      const q = (y * width + x) * 3;
+      result[q] = r;
+      result[q + 1] = g;
+      result[q + 2] = b;
+    }
+  }
+  return result;
+}
+
+/**
+ * Correlates the R, G and B channels of RGBA data with a kernel, without the bias.
+ * Separable kernels take two one-dimensional passes instead of one pass over the whole kernel.
+ * @param {Uint8ClampedArray} data - RGBA pixel data, not modified
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {Object} kernel - The kernel
+ * @param {string} [border=BORDER_MODES.CLAMP] - One of BORDER_MODES
+ * @returns {Float32Array} Three unclamped values per pixel
+ */
+export function correlate(data, width, height, kernel, border = BORDER_MODES.CLAMP) {
+  const planes = toPlanes(data);
+  const separable = separateKernel(kernel);
+  if (separable) {
+    const rows = correlateLine(planes, width, height, separable.horizontal, true, border);
+    return correlateLine(rows, width, height, separable.vertical, false, border);
+  }
+
+  const { weights } = kernel;
+  const radiusX = (kernel.width - 1) / 2;
+  const radiusY = (kernel.height - 1) / 2;
+  const columns = borderLookup(width, radiusX, border);
+  const rows = borderLookup(height, radiusY, border);
+  const result = new Float32Array(planes.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let r = 0,
+        g = 0,
+        b = 0;
+      for (let ky = 0; ky < kernel.height; ky++) {
+        const sy = rows[y + ky];
+        if (sy < 0) continue;
+        for (let kx = 0; kx < kernel.width; kx++) {
+          const sx = columns[x + kx];
+          const weight = weights[ky * kernel.width + kx];
+          if (sx < 0 || weight === 0) continue;
+          const p = (sy * width + sx) * 3;
+          r += planes[p] * weight;
+          g += planes[p + 1] * weight;
+          b += planes[p + 2] * weight;
+        }
+      }
+      const q = (y * width + x) * 3;
+      result[q] = r;
+      result[q + 1] = g;
+      result[q + 2] = b;
+    }
+  }
+  return result;
+}
+
+/**
+ * Convolves RGBA data with a kernel and adds its bias. Alpha is preserved.
+ * @param {Uint8ClampedArray} data - RGBA pixel data, modified in place
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {Object} kernel - The kernel
+ * @param {string} [border=BORDER_MODES.CLAMP] - One of BORDER_MODES
+ */
+export function convolve(data, width, height, kernel, border = BORDER_MODES.CLAMP) {
+  const result = correlate(data, width, height, kernel, border);
+  for (let i = 0, j = 0; i < data.length; i += 4, j += 3) {
+    data[i] = result[j] + kernel.bias;
+    data[i + 1] = result[j + 1] + kernel.bias;
+    data[i + 2] = result[j + 2] + kernel.bias;
+  }
+}
+
+/**
+ * Replaces each channel with its gradient magnitude, sqrt(gx² + gy²), from a pair of gradient kernels.
+ * Alpha is preserved.
+ * @param {Uint8ClampedArray} data - RGBA pixel data, modified in place
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {Object} kernelX - The horizontal gradient kernel
+ * @param {Object} kernelY - The vertical gradient kernel
+ * @param {string} [border=BORDER_MODES.CLAMP] - One of BORDER_MODES
+ */
+export function gradientMagnitude(data, width, height, kernelX, kernelY, border = BORDER_MODES.CLAMP) {
+  const gx = correlate(data, width, height, kernelX, border);
+  const gy = correlate(data, width, height, kernelY, border);
+  for (let i = 0, j = 0; i < data.length; i += 4, j += 3) {
+    data[i] = Math.hypot(gx[j], gy[j]);
+    data[i + 1] = Math.hypot(gx[j + 1], gy[j + 1]);
+    data[i + 2] = Math.hypot(gx[j + 2], gy[j + 2]);
+  }
+}
@@ -0,0 +1,96 @@
+import { ImageFilter } from "./imageFilter.js";
+import {
+  BORDER_MODES,
+  CONVOLUTION_PRESETS,
+  convolve,
+  createKernel,
+  createPresetKernels,
+  gradientMagnitude,
+  normalizeKernel,
+  SIGNED_BIAS,
+} from "./convolution.js";
+import { DEFAULT_KERNEL_SIZE, DEFAULT_GAUSSIAN_SIGMA } from "./constants.js";
+
+/**
+ * @class ConvolutionFilter
+ * @extends ImageFilter
+ * @description A filter that convolves the image with one of CONVOLUTION_PRESETS or a custom kernel.
+ * The gradient presets (sobel, prewitt, scharr) show the gradient magnitude; the signed presets
+ * (Sobel X/Y, Laplacian) are offset so that no response is mid-grey. A custom kernel can be normalized
+ * to keep the image brightness; if its weights sum to zero it is offset like the signed presets.
+ *
+ * @param {string} canvasId - The ID of the canvas element to apply the filter to
+ *
+ * @property {string} preset - One of CONVOLUTION_PRESETS
+ * @property {number} size - Width and height of the box kernel
+ * @property {number} sigma - Standard deviation of the Gaussian kernel in pixels
+ * @property {string} border - How pixels outside the image are read, one of BORDER_MODES
+ * @property {Object} customKernel - The kernel used by the custom preset, e.g. from parseKernel
+ * @property {boolean} normalize - Whether the custom kernel is scaled to sum to 1
+ *
+ * @example
+ * filter.setParams({ preset: 'custom', customKernel: parseKernel('1 2 1; 2 4 2; 1 2 1'), normalize: true });
+ */
+export class ConvolutionFilter extends ImageFilter {
+  constructor(canvasId) {
+    super(canvasId);
+    this.preset = CONVOLUTION_PRESETS.GAUSSIAN;
+    this.size = DEFAULT_KERNEL_SIZE;
+    this.sigma = DEFAULT_GAUSSIAN_SIGMA;
+    this.border = BORDER_MODES.CLAMP;
+    this.customKernel = createKernel([[1]]);
+    this.normalize = true;
+    this.kernels = null;
+  }
+
+  /**
+   * @method setParams
+   * @description Assigns the parameters; the kernels are rebuilt on the next frame.
+   * @param {Object} params - Property values to assign
+   */
+  setParams(params) {
+    super.setParams(params);
+    this.kernels = null;
+  }
+
+  /**
+   * @method getKernels
+   * @returns {Array<Object>} The kernel to convolve with, or the horizontal and vertical kernels of a gradient magnitude
+   */
+  getKernels() {
+    if (!this.kernels) {
+      if (this.preset === CONVOLUTION_PRESETS.CUSTOM) {
+        const kernel = this.normalize ? normalizeKernel(this.customKernel) : this.customKernel;
+        const sum = kernel.weights.reduce((total, weight) => total + weight, 0);
+        this.kernels = [Math.abs(sum) < 1e-9 ? { ...kernel, bias: SIGNED_BIAS } : kernel];
+      } else {
+        this.kernels = createPresetKernels(this.preset, { size: this.size, sigma: this.sigma });
+      }
+    }
+    return this.kernels;
+  }
+
+  /**
+   * @method processImageData
+   * @description Applies the kernels with the convolve or gradientMagnitude kernel.
+   * @param {ImageData} imageData - The image data to process
+   */
+  processImageData(imageData) {
+    const { kernel, params } = this.getKernelSpec();
+    const apply = kernel === "gradientMagnitude" ? gradientMagnitude : convolve;
+    apply(imageData.data, imageData.width, imageData.height, ...params);
+  }
+
+  /**
+   * @method getKernelSpec
+   * @description Describes the convolution for the worker backend; the kernels are plain data.
+   * @returns {{kernel: string, params: Array}}
+   */
+  getKernelSpec() {
+    const kernels = this.getKernels();
+    return {
+      kernel: kernels.length === 2 ? "gradientMagnitude" : "convolve",
+      params: [...kernels, this.border],
+    };
+  }
+}
@@ -0,0 +1,79 @@
+import { GrayScaleFilter } from './grayScaleFilter.js';
+import { ChannelFilter } from './channelFilter.js';
+import { ChannelThresholdFilter } from './channelThresholdFilter.js';
+import { YCbCrFilter } from './yCbCrFilter.js';
+import { YCbCrThresholdFilter } from './yCbCrThresholdFilter.js';
+import { RgbHsvFilter } from './rgbHsvFilter.js';
+import { RgbHsvThresholdFilter } from './rgbHsvThresholdFilter.js';
+import { ColorSpaceFilter } from './colorSpaceFilter.js';
+import { ConvolutionFilter } from './convolutionFilter.js';
+import { MorphologyFilter } from './morphologyFilter.js';
+import { BlobFilter } from './blobFilter.js';
+import { MotionFilter } from './motionFilter.js';
+import { TemporalFilter } from './temporalFilter.js';
+import { FaceDetectionFilter } from './faceDetectionFilter.js';
+import { WebcamRepeatFilter } from './webcamRepeatFilter.js';
+import { filterRegistry } from './filterRegistry.js';
+import { DETECTION_WIDTH, DETECTION_HEIGHT } from './constants.js';
+
+/**
+ * @fileoverview Registers the filters that ship with the application
+ * @module defaultFilters
+ *
+ * Registration order is the order of the grid cells. `input` names the filter(s) a filter reads
+ * from and defaults to the webcam frame, so new branches only need a registration.
+ *
+ * @example
+ * // Threshold of the grayscale output
+ * filterRegistry.register('grayThreshold', YCbCrThresholdFilter, {
+ *   title: 'Grayscale Threshold', input: 'grayscale', args: ['colorSpace2Threshold']
+ * });
+ *
+ * // YCbCr of the face detection canvas, including any face mask applied to it
+ * filterRegistry.register('maskedYCbCr', YCbCrFilter, { title: 'Masked YCbCr', input: 'faceDetection' });
+ */
+
+/**
+ * Registers the built-in filters
+ * @param {FilterRegistry} [registry=filterRegistry] - The registry to add them to
+ */
+export function registerDefaultFilters(registry = filterRegistry) {
+  // Basic filters
+  registry.register('grayscale', GrayScaleFilter, { title: 'Grayscale + Brightness', params: { brightnessIncrease: 1.2 } });
+  registry.register('redChannel', ChannelFilter, { title: 'Red Channel', args: ['red'] });
+  registry.register('greenChannel', ChannelFilter, { title: 'Green Channel', args: ['green'] });
+  registry.register('blueChannel', ChannelFilter, { title: 'Blue Channel', args: ['blue'] });
+
+  // Threshold filters
+  registry.register('redThreshold', ChannelThresholdFilter, { title: 'Red Threshold', args: ['red', 'redThreshold'] });
+  registry.register('greenThreshold', ChannelThresholdFilter, { title: 'Green Threshold', args: ['green', 'greenThreshold'] });
+  registry.register('blueThreshold', ChannelThresholdFilter, { title: 'Blue Threshold', args: ['blue', 'blueThreshold'] });
+
+  // Webcam repeat is used as the reference image for face effects
+  registry.register('webcamRepeat', WebcamRepeatFilter, { title: 'Webcam Repeat' });
+  // Motion against a background learned from the webcam repeat frames
+  registry.register('motion', MotionFilter, { title: 'Motion', input: 'webcamRepeat' });
+  // Combines the frames recorded by webcam repeat; the mode is chosen in the temporal panel
+  registry.register('temporal', TemporalFilter, { title: 'Temporal', input: 'webcamRepeat' });
+
+  // Color space conversions, face detection and the color space thresholds.
+  // Face detection reads the camera frame directly so it can work at a higher resolution than the grid.
+  registry.register('rgbHsv', RgbHsvFilter, { title: 'HSV' });
+  registry.register('ycbcr', YCbCrFilter, { title: 'YCbCr' });
+  registry.register('faceDetection', FaceDetectionFilter, {
+    title: 'Face Detection',
+    resolution: { width: DETECTION_WIDTH, height: DETECTION_HEIGHT }
+  });
+  registry.register('rgbHsvThreshold', RgbHsvThresholdFilter, { title: 'HSV Key', input: 'rgbHsv' });
+  registry.register('ycbcrThreshold', YCbCrThresholdFilter, { title: 'YCbCr Threshold', input: 'ycbcr', args: ['colorSpace2Threshold'] });
+
+  // Mask cleanup and blob measurement; the morphology panel can move them behind any threshold filter
+  registry.register('morphology', MorphologyFilter, { title: 'Morphology', input: 'ycbcrThreshold' });
+  registry.register('blobs', BlobFilter, { title: 'Blobs', input: 'morphology' });
+
+  // General color space conversion; the space and view are chosen in the color space panel
+  registry.register('colorSpace', ColorSpaceFilter, { title: 'Color Space' });
+
+  // Spatial filtering with a preset or custom kernel, set in the convolution panel
+  registry.register('convolution', ConvolutionFilter, { title: 'Convolution' });
+}
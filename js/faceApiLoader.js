@@ -0,0 +1,53 @@
+import { FACE_API_SCRIPT_URLS } from "./constants.js";
+
+// The pending or finished load, shared by every caller
+let loading = null;
+
+/**
+ * Adds a classic script to the page.
+ * @param {string} url - The script URL
+ * @returns {Promise<void>} Resolves when the script has run; rejects if it cannot be fetched
+ */
+function loadScript(url) {
+  return new Promise((resolve, reject) => {
+    const script = document.createElement("script");
+    script.src = url;
+    script.onload = () => resolve();
+    script.onerror = () => {
+      script.remove();
+      reject(new Error(`Could not load ${url}`));
+    };
+    document.head.appendChild(script);
+  });
+}
+
+/**
+ * Makes face-api.js available as the global `faceapi`, loading it on first use. The URLs are tried
+ * in order, so the CDN is used when it can be reached and a copy in the vendor folder otherwise.
+ * A page that already includes face-api.js with its own script tag is used as is.
+ * @param {Array<string>} [urls=FACE_API_SCRIPT_URLS] - Where to look for face-api.min.js
+ * @returns {Promise<Object>} The faceapi namespace
+ * @throws {Error} If none of the URLs provides face-api.js; a later call tries again
+ */
+export function loadFaceApi(urls = FACE_API_SCRIPT_URLS) {
+  if (!loading) {
+    loading = (async () => {
+      for (const url of urls) {
+        if (typeof faceapi !== "undefined") break;
+        try {
+          await loadScript(url);
+        } catch (error) {
+          console.warn(error.message);
+        }
+      }
+      if (typeof faceapi === "undefined") {
+        throw new Error(`face-api.js could not be loaded from ${urls.join(" or ")}`);
+      }
+      return faceapi;
+    })();
+    loading.catch(() => {
+      loading = null;
+    });
+  }
+  return loading;
+}
@@ -1,9 +1,60 @@
 import { ImageFilter } from './imageFilter.js';
-import { FACE_DETECTION_MODEL_URL } from './constants.js';
+import { FaceTracker } from './faceTracker.js';
+import { CLOSED_GROUPS, groupLandmarks } from './faceLandmarks.js';
+import { matchDescriptor } from './faceRecognition.js';
+import { loadFaceApi } from './faceApiLoader.js';
+import {
+  FACE_DETECTION_MODEL_URL,
+  DEFAULT_DETECTOR_INPUT_SIZE,
+  DEFAULT_DETECTOR_SCORE_THRESHOLD,
+  DEFAULT_RECOGNITION_THRESHOLD
+} from './constants.js';
+
+/**
+ * Face detectors available in face-api.js.
+ * - tiny: TinyFaceDetector, fast and small; inputSize trades speed for accuracy on small faces
+ * - ssd: SSD MobileNet v1, slower but finds more faces, especially small or turned ones
+ * @constant {Object<string, string>}
+ */
+export const FACE_DETECTORS = {
+  TINY: 'tiny',
+  SSD: 'ssd'
+};
+
+/**
+ * Loading states of the face models.
+ * @constant {Object<string, string>}
+ */
+export const MODEL_STATUS = {
+  IDLE: 'idle',
+  LOADING: 'loading',
+  READY: 'ready',
+  ERROR: 'error'
+};
 
 /**
  * Class representing a face detection filter that extends ImageFilter.
- * This filter detects faces in images using the face-api.js library.
+ * This filter detects faces in images using the face-api.js library and follows them
+ * between frames with a FaceTracker, so each face keeps a stable ID and a smoothed box.
+ *
+ * Detection runs on a copy of the frame, so listeners can paint over the visible canvas
+ * without affecting what is detected. The filter dispatches two events per frame:
+ * - `frame` - the new frame was drawn and detection is starting; `detail` is `{ tracks, time }`
+ *   with the tracks of the previous frame
+ * - `detect` - detection finished and the boxes were drawn; `detail` is `{ tracks, detections, time }`
+ * Both are dispatched synchronously after drawing, so anything painted by a listener is on the
+ * canvas before the browser shows it.
+ *
+ * With useLandmarks set, the 68-point landmark model runs on every detected face and each track
+ * carries the grouped landmarks of its face (see faceLandmarks.js); showLandmarks draws them.
+ * With useRecognition set, the recognition model also computes a descriptor for every face, which
+ * is matched against the people passed to setKnownFaces; each track carries the match as its
+ * identity and is labelled with the name.
+ *
+ * Models are not loaded until whenReady() is first called, so modelUrl and the other parameters
+ * can be set beforehand; only the models the current parameters need are loaded, from modelUrl.
+ * The loading state is kept in modelStatus and reported with a `modelstatus` event whose `detail`
+ * is `{ status, error }`. process() waits for the models before detecting.
  */
 export class FaceDetectionFilter extends ImageFilter {
   /**
@@ -13,27 +64,139 @@ export class FaceDetectionFilter extends ImageFilter {
   constructor(canvasId) {
     super(canvasId);
     this.detections = [];
-    this.loadModels();
+    this.modelUrl = FACE_DETECTION_MODEL_URL;
+    this.detector = FACE_DETECTORS.TINY;
+    this.inputSize = DEFAULT_DETECTOR_INPUT_SIZE;
+    this.scoreThreshold = DEFAULT_DETECTOR_SCORE_THRESHOLD;
+    this.modelStatus = MODEL_STATUS.IDLE;
+    this.modelError = null;
+    // Model URL each face-api.js network was loaded from, by network name
+    this.loadedNets = new Map();
+    this.ready = null;
+    this.tracker = new FaceTracker();
+    this.selectedIds = new Set();
+    this.useLandmarks = false;
+    this.showLandmarks = false;
+    this.useRecognition = false;
+    this.recognitionThreshold = DEFAULT_RECOGNITION_THRESHOLD;
+    this.knownFaces = [];
+    // Landmarks, descriptor and identity by track ID, kept through detection dropouts like the track boxes
+    this.trackData = new Map();
+    this.pendingDetection = null;
+    // Unmodified copy of the current frame that detection runs on
+    this.frameCanvas = document.createElement('canvas');
+    this.events = new EventTarget();
+  }
+
+  /**
+   * Assigns parameters. The inputSize is rounded to a multiple of 32 between 128 and 608, as the
+   * tiny face detector requires. If the parameters need a model that is not loaded from modelUrl,
+   * the filter stops being ready until whenReady() loads it; a load in progress picks it up itself.
+   * @param {Object} params - Property values to assign
+   */
+  setParams(params) {
+    super.setParams(params);
+    this.inputSize = Math.min(608, Math.max(128, Math.round(this.inputSize / 32) * 32));
+    if (!this.hasRequiredNets() && this.modelStatus !== MODEL_STATUS.LOADING) {
+      this.ready = null;
+      this.setModelStatus(MODEL_STATUS.IDLE);
+    }
+  }
+
+  /**
+   * Lists the face-api.js networks needed by the current parameters.
+   * @return {Array<string>} Names of networks in faceapi.nets
+   */
+  getRequiredNets() {
+    const nets = [this.detector === FACE_DETECTORS.SSD ? 'ssdMobilenetv1' : 'tinyFaceDetector'];
+    if (this.useLandmarks || this.useRecognition) nets.push('faceLandmark68Net');
+    if (this.useRecognition) nets.push('faceRecognitionNet');
+    return nets;
+  }
+
+  /**
+   * Checks whether every network needed by the current parameters was loaded from modelUrl.
+   * @return {boolean} True if no model has to be loaded
+   */
+  hasRequiredNets() {
+    return this.getRequiredNets().every(name => this.loadedNets.get(name) === this.modelUrl);
+  }
+
+  /**
+   * Returns a promise for the models needed by the current parameters, loading them on first call
+   * and after parameters that need other models. A failed load is retried on the next call.
+   * @return {Promise<void>} Resolves when detection can run; rejects if a model could not be loaded
+   */
+  whenReady() {
+    if (!this.ready) {
+      this.ready = this.loadModels();
+      this.ready.catch(() => {
+        this.ready = null;
+      });
+    }
+    return this.ready;
   }
 
   /**
-   * Loads the required face detection models from the specified URL.
-   * Loads TinyFaceDetector, FaceLandmark68Net, and FaceRecognitionNet models.
+   * Checks whether the models are loaded, without starting to load them.
+   * Used by the live loop to skip detection instead of waiting for the models.
+   * @return {boolean} True once detection can run
+   */
+  isReady() {
+    return this.modelStatus === MODEL_STATUS.READY;
+  }
+
+  /**
+   * Loads face-api.js and the networks needed by the current parameters from modelUrl.
+   * Networks already loaded from that URL are not fetched again.
    * @async
-   * @throws {Error} Throws an error if models fail to load
+   * @throws {Error} Throws an error if face-api.js or a model fails to load
    * @return {Promise<void>}
    */
   async loadModels() {
+    const url = this.modelUrl;
+    const nets = this.getRequiredNets().filter(name => this.loadedNets.get(name) !== url);
+    this.setModelStatus(MODEL_STATUS.LOADING);
     try {
-      await Promise.all([
-        faceapi.nets.tinyFaceDetector.loadFromUri(FACE_DETECTION_MODEL_URL),
-        faceapi.nets.faceLandmark68Net.loadFromUri(FACE_DETECTION_MODEL_URL),
-        faceapi.nets.faceRecognitionNet.loadFromUri(FACE_DETECTION_MODEL_URL)
-      ]);
+      await loadFaceApi();
+      await Promise.all(nets.map(async name => {
+        await faceapi.nets[name].loadFromUri(url);
+        this.loadedNets.set(name, url);
+      }));
       console.log('Face detection models loaded successfully');
     } catch (error) {
-      throw new Error('Error loading face detection models:', error);
+      this.setModelStatus(MODEL_STATUS.ERROR, error);
+      throw new Error(`Error loading face detection models from ${url}: ${error.message}`);
+    }
+    // Parameters may have changed while loading; load what they need as well
+    if (!this.hasRequiredNets()) {
+      return this.loadModels();
     }
+    this.setModelStatus(MODEL_STATUS.READY);
+  }
+
+  /**
+   * Updates the model status and dispatches a modelstatus event.
+   * @private
+   * @param {string} status - One of MODEL_STATUS
+   * @param {?Error} [error=null] - The loading error, for the error status
+   */
+  setModelStatus(status, error = null) {
+    if (status === this.modelStatus && error === this.modelError) return;
+    this.modelStatus = status;
+    this.modelError = error;
+    this.events.dispatchEvent(new CustomEvent('modelstatus', { detail: { status, error } }));
+  }
+
+  /**
+   * Builds the options of the selected detector from inputSize and scoreThreshold.
+   * @return {Object} TinyFaceDetectorOptions or SsdMobilenetv1Options
+   */
+  getDetectorOptions() {
+    if (this.detector === FACE_DETECTORS.SSD) {
+      return new faceapi.SsdMobilenetv1Options({ minConfidence: this.scoreThreshold });
+    }
+    return new faceapi.TinyFaceDetectorOptions({ inputSize: this.inputSize, scoreThreshold: this.scoreThreshold });
   }
 
   /**
@@ -43,35 +206,171 @@ export class FaceDetectionFilter extends ImageFilter {
    * @return {Promise<void>}
    */
   async process(source) {
+    await this.whenReady();
     this.drawImage(source);
-    await this.detectFaces();
+    this.frameCanvas.width = this.canvas.width;
+    this.frameCanvas.height = this.canvas.height;
+    this.frameCanvas.getContext('2d').drawImage(this.canvas, 0, 0);
+    this.dispatch('frame', { tracks: this.getTracks() });
+
+    this.pendingDetection = this.detectFaces();
+    try {
+      await this.pendingDetection;
+    } finally {
+      this.pendingDetection = null;
+    }
+    this.context.drawImage(this.frameCanvas, 0, 0);
     this.drawDetections();
+    this.dispatch('detect', { tracks: this.getTracks(), detections: this.detections });
+  }
+
+  /**
+   * Adds a listener for the frame, detect and modelstatus events.
+   * @param {('frame'|'detect'|'modelstatus')} type - The event type
+   * @param {Function} listener - Called with the event
+   */
+  addEventListener(type, listener) {
+    this.events.addEventListener(type, listener);
+  }
+
+  /**
+   * Removes a listener added with addEventListener.
+   * @param {('frame'|'detect'|'modelstatus')} type - The event type
+   * @param {Function} listener - The listener to remove
+   */
+  removeEventListener(type, listener) {
+    this.events.removeEventListener(type, listener);
+  }
+
+  /**
+   * Dispatches an event with the current time added to its detail.
+   * @private
+   * @param {string} type - The event type
+   * @param {Object} detail - The event detail
+   */
+  dispatch(type, detail) {
+    this.events.dispatchEvent(new CustomEvent(type, { detail: { ...detail, time: performance.now() } }));
   }
 
   /**
-   * Detects all faces in the current canvas image.
-   * Uses TinyFaceDetector for face detection.
+   * Checks whether a face detection call is still running.
+   * Used by the live loop to drop frames instead of queueing detections.
+   * @return {boolean} True while a detection is in progress
+   */
+  isBusy() {
+    return this.pendingDetection !== null;
+  }
+
+  /**
+   * Detects all faces in the current frame and updates the face tracks.
+   * Uses the detector selected by the detector parameter.
    * @async
    * @return {Promise<void>}
    */
   async detectFaces() {
-    this.detections = await faceapi.detectAllFaces(
-      this.canvas,
-      new faceapi.TinyFaceDetectorOptions()
-    );
+    const task = faceapi.detectAllFaces(this.frameCanvas, this.getDetectorOptions());
+    let results;
+    if (this.useRecognition) {
+      results = await task.withFaceLandmarks().withFaceDescriptors();
+    } else if (this.useLandmarks) {
+      results = await task.withFaceLandmarks();
+    } else {
+      results = (await task).map(detection => ({ detection }));
+    }
+    this.detections = results.map(result => result.detection);
+
+    const tracks = this.tracker.update(this.detections.map(detection => detection.box));
+    const liveIds = new Set(tracks.map(({ id }) => id));
+    [...this.trackData.keys()].forEach(id => {
+      if (!liveIds.has(id)) this.trackData.delete(id);
+    });
+    tracks.forEach(({ id, detectionIndex }) => {
+      if (detectionIndex < 0) return;
+      const { landmarks, descriptor } = results[detectionIndex];
+      this.trackData.set(id, {
+        landmarks: landmarks ? groupLandmarks(landmarks.positions) : null,
+        descriptor: descriptor || null,
+        identity: descriptor ? matchDescriptor(descriptor, this.knownFaces, this.recognitionThreshold) : null
+      });
+    });
+  }
+
+  /**
+   * Sets the people recognised when useRecognition is set.
+   * @param {Array<{name: string, descriptors: Array<Array<number>>}>} people - The enrolled people
+   */
+  setKnownFaces(people) {
+    this.knownFaces = people;
+  }
+
+  /**
+   * Marks faces as selected by the user; their boxes are drawn in yellow.
+   * @param {Iterable<number>} ids - Track IDs of the selected faces
+   */
+  setSelectedFaces(ids) {
+    this.selectedIds = new Set(ids);
   }
 
   /**
-   * Draws rectangles around detected faces on the canvas.
-   * Uses green color (#00ff00) with 2px line width.
+   * Draws the tracked face boxes on the canvas, each labelled with its track ID.
+   * Uses green color (#00ff00), or yellow (#ffff00) for selected faces, with 2px line width;
+   * tracks that missed the last detection keep their last box and are drawn dashed.
    */
   drawDetections() {
-    this.detections.forEach(detection => {
-      const { x, y, width, height } = detection.box;
-      this.context.strokeStyle = '#00ff00';
-      this.context.lineWidth = 2;
+    this.context.save();
+    this.context.lineWidth = 2;
+    this.context.font = '14px sans-serif';
+    this.context.textBaseline = 'bottom';
+    this.tracker.getTracks().forEach(({ id, box, missed }) => {
+      const { x, y, width, height } = box;
+      const color = this.selectedIds.has(id) ? '#ffff00' : '#00ff00';
+      this.context.strokeStyle = color;
+      this.context.fillStyle = color;
+      this.context.setLineDash(missed > 0 ? [6, 4] : []);
       this.context.strokeRect(x, y, width, height);
+      this.context.fillText(this.getLabel(id), x, Math.max(14, y - 2));
     });
+    this.context.restore();
+    if (this.showLandmarks) {
+      this.drawLandmarks();
+    }
+  }
+
+  /**
+   * Returns the label drawn above a tracked face: its ID, followed by the recognised name
+   * (or 'unknown') when recognition is on.
+   * @param {number} id - The track ID
+   * @return {string} The label
+   */
+  getLabel(id) {
+    if (!this.useRecognition) return `#${id}`;
+    const data = this.trackData.get(id);
+    return `#${id} ${data && data.identity ? data.identity.name : 'unknown'}`;
+  }
+
+  /**
+   * Draws the landmark points and the contours of the face features of every tracked face.
+   * Uses cyan (#00ffff) with 1px lines; eyes and mouth are drawn as closed outlines.
+   */
+  drawLandmarks() {
+    this.context.save();
+    this.context.strokeStyle = '#00ffff';
+    this.context.fillStyle = '#00ffff';
+    this.context.lineWidth = 1;
+    this.trackData.forEach(({ landmarks }) => {
+      if (!landmarks) return;
+      Object.entries(landmarks).forEach(([name, points]) => {
+        this.context.beginPath();
+        points.forEach(({ x, y }, i) => {
+          if (i === 0) this.context.moveTo(x, y);
+          else this.context.lineTo(x, y);
+        });
+        if (CLOSED_GROUPS.includes(name)) this.context.closePath();
+        this.context.stroke();
+        points.forEach(({ x, y }) => this.context.fillRect(x - 1, y - 1, 2, 2));
+      });
+    });
+    this.context.restore();
   }
 
   /**
@@ -81,4 +380,25 @@ export class FaceDetectionFilter extends ImageFilter {
   getDetections() {
     return this.detections;
   }
+
+  /**
+   * Returns the tracked faces, lowest ID first.
+   * Boxes and landmarks are in the coordinates of this filter's canvas, like the detection boxes.
+   * @return {Array<{id: number, box: Object, detectionIndex: number, missed: number, hits: number,
+   * landmarks: ?Object, descriptor: ?Float32Array, identity: ?{name: string, distance: number}}>}
+   * The live face tracks (see FaceTracker.getTracks). Each carries the grouped landmarks, descriptor
+   * and recognised person from the last frame its face was detected in; they are null when the
+   * landmark or recognition model is off, and identity is null for a face nobody enrolled matches.
+   */
+  getTracks() {
+    return this.tracker.getTracks().map(track => {
+      const data = this.trackData.get(track.id);
+      return {
+        ...track,
+        landmarks: data ? data.landmarks : null,
+        descriptor: data ? data.descriptor : null,
+        identity: data ? data.identity : null
+      };
+    });
+  }
 }
\ No newline at end of file
@@ -0,0 +1,142 @@
+import { DEFAULT_OVERLAY_SCALE } from "./constants.js";
+
+/**
+ * @fileoverview Geometry of the 68-point face landmarks found by face-api.js
+ * @module faceLandmarks
+ *
+ * Landmarks are kept as plain { x, y } points grouped by face feature, in the coordinates of the
+ * canvas they were detected on. The left eye is the one on the left of the image, as in face-api.js.
+ */
+
+/**
+ * Index ranges [start, end) of each feature in the 68 landmark positions.
+ * @constant {Object<string, Array<number>>}
+ */
+export const LANDMARK_GROUPS = {
+  jaw: [0, 17],
+  leftEyebrow: [17, 22],
+  rightEyebrow: [22, 27],
+  nose: [27, 36],
+  leftEye: [36, 42],
+  rightEye: [42, 48],
+  mouth: [48, 68],
+};
+
+/**
+ * Features whose outline is closed when drawn.
+ * @constant {Array<string>}
+ */
+export const CLOSED_GROUPS = ["leftEye", "rightEye", "mouth"];
+
+/**
+ * Parts of a face an effect can be limited to.
+ * - face: the whole face box
+ * - eyes: one bar across both eyes
+ * - mouth: the mouth
+ * @constant {Object<string, string>}
+ */
+export const FACE_PARTS = {
+  FACE: "face",
+  EYES: "eyes",
+  MOUTH: "mouth",
+};
+
+/**
+ * Groups 68 landmark positions by feature.
+ * @param {Array<{x: number, y: number}>} positions - The landmark positions, e.g. FaceLandmarks68.positions
+ * @returns {Object<string, Array<{x: number, y: number}>>} Plain points for each key of LANDMARK_GROUPS
+ */
+export function groupLandmarks(positions) {
+  const groups = {};
+  Object.entries(LANDMARK_GROUPS).forEach(([name, [start, end]]) => {
+    groups[name] = positions.slice(start, end).map(({ x, y }) => ({ x, y }));
+  });
+  return groups;
+}
+
+/**
+ * @param {Array<{x: number, y: number}>} points - At least one point
+ * @returns {{x: number, y: number}} The mean of the points
+ */
+export function centerOf(points) {
+  const sum = points.reduce((total, { x, y }) => ({ x: total.x + x, y: total.y + y }), { x: 0, y: 0 });
+  return { x: sum.x / points.length, y: sum.y / points.length };
+}
+
+/**
+ * Computes the box around points, grown on every side by a margin.
+ * @param {Array<{x: number, y: number}>} points - At least one point
+ * @param {number} [margin=0] - Pixels added on each side
+ * @returns {{x: number, y: number, width: number, height: number}} The bounding box
+ */
+export function boundsOf(points, margin = 0) {
+  const xs = points.map(({ x }) => x);
+  const ys = points.map(({ y }) => y);
+  const x = Math.min(...xs) - margin;
+  const y = Math.min(...ys) - margin;
+  return { x, y, width: Math.max(...xs) + margin - x, height: Math.max(...ys) + margin - y };
+}
+
+/**
+ * Describes the line through the eye centres, which gives the position, roll and scale of a face.
+ * @param {Object<string, Array<{x: number, y: number}>>} landmarks - Grouped landmarks (see groupLandmarks)
+ * @returns {{center: {x: number, y: number}, angle: number, distance: number}} The midpoint between the
+ * eyes, the roll of the face in radians (0 when the eyes are level) and the distance between the eyes
+ */
+export function eyeLine(landmarks) {
+  const left = centerOf(landmarks.leftEye);
+  const right = centerOf(landmarks.rightEye);
+  return {
+    center: { x: (left.x + right.x) / 2, y: (left.y + right.y) / 2 },
+    angle: Math.atan2(right.y - left.y, right.x - left.x),
+    distance: Math.hypot(right.x - left.x, right.y - left.y),
+  };
+}
+
+/**
+ * Finds the region covered by a part of a face. Eye and mouth regions get a margin proportional to the
+ * distance between the eyes, so they cover the feature at any face size.
+ * @param {{x: number, y: number, width: number, height: number}} box - The face box
+ * @param {?Object} landmarks - Grouped landmarks of the face, or null if none were detected
+ * @param {string} part - One of FACE_PARTS
+ * @returns {{x: number, y: number, width: number, height: number}} The region. Without landmarks it is
+ * always the face box, so a masking effect errs on the side of hiding too much.
+ */
+export function partRegion(box, landmarks, part) {
+  if (!landmarks || part === FACE_PARTS.FACE) return box;
+  const { distance } = eyeLine(landmarks);
+  switch (part) {
+    case FACE_PARTS.EYES:
+      return boundsOf([...landmarks.leftEye, ...landmarks.rightEye], distance * 0.25);
+    case FACE_PARTS.MOUTH:
+      return boundsOf(landmarks.mouth, distance * 0.15);
+    default:
+      throw new Error(`Unknown face part: ${part}`);
+  }
+}
+
+/**
+ * Places an overlay image on the eye line: centred between the eyes, rotated with the face and scaled
+ * to the distance between the eyes. Canvas drawing would translate to (x, y), rotate by angle, then
+ * draw the image at (-width / 2, -height / 2).
+ * @param {{center: Object, angle: number, distance: number}} line - The eye line (see eyeLine)
+ * @param {number} imageWidth - Natural width of the overlay image
+ * @param {number} imageHeight - Natural height of the overlay image
+ * @param {Object} [options]
+ * @param {number} [options.scale=DEFAULT_OVERLAY_SCALE] - Overlay width as a multiple of the eye distance
+ * @param {number} [options.offset=0] - Shift along the face's vertical axis, as a multiple of the eye
+ * distance; positive moves towards the chin
+ * @returns {{x: number, y: number, angle: number, width: number, height: number}} Where to draw the overlay
+ */
+export function overlayPlacement(line, imageWidth, imageHeight, { scale = DEFAULT_OVERLAY_SCALE, offset = 0 } = {}) {
+  const width = line.distance * scale;
+  const height = imageWidth > 0 ? (width * imageHeight) / imageWidth : 0;
+  const shift = line.distance * offset;
+  return {
+    x: line.center.x - Math.sin(line.angle) * shift,
+    y: line.center.y + Math.cos(line.angle) * shift,
+    angle: line.angle,
+    width,
+    height,
+  };
+}
@@ -0,0 +1,60 @@
+import { DEFAULT_RECOGNITION_THRESHOLD } from "./constants.js";
+
+/**
+ * @fileoverview Matching of face descriptors against enrolled people
+ * @module faceRecognition
+ *
+ * A descriptor is the 128-number vector face-api.js computes for a face; descriptors of the same
+ * person lie close together. An enrolled person is `{ name, descriptors }` with one descriptor per
+ * captured frame. Nothing here touches the DOM or IndexedDB.
+ */
+
+/**
+ * Length of a face-api.js face descriptor.
+ * @constant {number}
+ */
+export const DESCRIPTOR_LENGTH = 128;
+
+/**
+ * @param {ArrayLike<number>} a - A descriptor
+ * @param {ArrayLike<number>} b - A descriptor of the same length
+ * @returns {number} The Euclidean distance between the descriptors
+ */
+export function descriptorDistance(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    const difference = a[i] - b[i];
+    sum += difference * difference;
+  }
+  return Math.sqrt(sum);
+}
+
+/**
+ * Checks that a value can be used as a descriptor, e.g. after reading it from an imported file.
+ * @param {*} value - The value to check
+ * @returns {boolean} True for an array of DESCRIPTOR_LENGTH finite numbers
+ */
+export function isDescriptor(value) {
+  return Array.isArray(value) && value.length === DESCRIPTOR_LENGTH && value.every(Number.isFinite);
+}
+
+/**
+ * Finds the enrolled person closest to a descriptor. A person's distance is that of their closest
+ * enrolled descriptor, so enrolling more frames (other angles, lighting) only ever helps.
+ * @param {ArrayLike<number>} descriptor - The descriptor of a detected face
+ * @param {Array<{name: string, descriptors: Array<Array<number>>}>} people - The enrolled people
+ * @param {number} [threshold=DEFAULT_RECOGNITION_THRESHOLD] - Largest distance accepted as a match
+ * @returns {?{name: string, distance: number}} The match, or null if nobody is within the threshold
+ */
+export function matchDescriptor(descriptor, people, threshold = DEFAULT_RECOGNITION_THRESHOLD) {
+  let best = null;
+  people.forEach(({ name, descriptors }) => {
+    descriptors.forEach((enrolled) => {
+      const distance = descriptorDistance(descriptor, enrolled);
+      if (distance <= threshold && (!best || distance < best.distance)) {
+        best = { name, distance };
+      }
+    });
+  });
+  return best;
+}
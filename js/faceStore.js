@@ -0,0 +1,221 @@
+import { FACE_DATABASE_NAME } from "./constants.js";
+import { isDescriptor } from "./faceRecognition.js";
+
+const STORE_NAME = "people";
+const EXPORT_VERSION = 1;
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ * @param {IDBRequest} request - The request
+ * @returns {Promise<*>} Resolves with the request's result
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * @class FaceStore
+ * @extends EventTarget
+ * @description Keeps the enrolled people and their face descriptors in IndexedDB, so recognition
+ * works across reloads without anything leaving the browser. A copy of the records is held in memory
+ * for the per-frame matching; call load() once before using it.
+ *
+ * Events:
+ * - `change` - people were added, changed or removed; `detail` is the new list (see getPeople)
+ *
+ * @param {string} [databaseName=FACE_DATABASE_NAME] - The IndexedDB database to use
+ *
+ * @example
+ * const store = new FaceStore();
+ * await store.load();
+ * await store.enrol('Ada', [detection.descriptor]);
+ * downloadBlob(store.exportBlob(), 'faces.json');
+ */
+export class FaceStore extends EventTarget {
+  constructor(databaseName = FACE_DATABASE_NAME) {
+    super();
+    this.databaseName = databaseName;
+    this.database = null;
+    this.people = [];
+  }
+
+  /**
+   * @method isSupported
+   * @static
+   * @returns {boolean} Whether IndexedDB is available in this browser
+   */
+  static isSupported() {
+    return typeof indexedDB !== "undefined";
+  }
+
+  /**
+   * @method open
+   * @private
+   * @async
+   * @returns {Promise<IDBDatabase>} The database, created on first use
+   */
+  async open() {
+    if (!this.database) {
+      const request = indexedDB.open(this.databaseName, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: "name" });
+      };
+      this.database = await requestToPromise(request);
+    }
+    return this.database;
+  }
+
+  /**
+   * @method transaction
+   * @private
+   * @async
+   * @description Runs a function against the object store and waits for the transaction to commit.
+   * @param {('readonly'|'readwrite')} mode - The transaction mode
+   * @param {Function} work - Called with the IDBObjectStore
+   * @returns {Promise<void>}
+   */
+  async transaction(mode, work) {
+    const database = await this.open();
+    const transaction = database.transaction(STORE_NAME, mode);
+    const done = new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+    work(transaction.objectStore(STORE_NAME));
+    await done;
+  }
+
+  /**
+   * @method load
+   * @async
+   * @description Reads every enrolled person from the database into memory.
+   * @returns {Promise<Array<Object>>} The people (see getPeople)
+   */
+  async load() {
+    const database = await this.open();
+    const store = database.transaction(STORE_NAME, "readonly").objectStore(STORE_NAME);
+    this.people = await requestToPromise(store.getAll());
+    this.dispatchChange();
+    return this.people;
+  }
+
+  /**
+   * @method getPeople
+   * @returns {Array<{name: string, descriptors: Array<Array<number>>, updatedAt: string}>} The enrolled
+   * people as last loaded or changed, in name order
+   */
+  getPeople() {
+    return this.people;
+  }
+
+  /**
+   * @method enrol
+   * @async
+   * @description Adds descriptors to a person, creating the person if needed.
+   * @param {string} name - The person's name
+   * @param {Array<ArrayLike<number>>} descriptors - Face descriptors, e.g. from several frames
+   * @returns {Promise<void>}
+   * @throws {Error} If the name is empty or a descriptor is invalid
+   */
+  async enrol(name, descriptors) {
+    await this.put([{ name, descriptors: descriptors.map((descriptor) => Array.from(descriptor)) }], false);
+  }
+
+  /**
+   * @method remove
+   * @async
+   * @param {string} name - The person to forget
+   * @returns {Promise<void>}
+   */
+  async remove(name) {
+    await this.transaction("readwrite", (store) => store.delete(name));
+    await this.load();
+  }
+
+  /**
+   * @method clear
+   * @async
+   * @description Forgets every enrolled person.
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.transaction("readwrite", (store) => store.clear());
+    await this.load();
+  }
+
+  /**
+   * @method exportBlob
+   * @returns {Blob} The enrolled people as a JSON file
+   */
+  exportBlob() {
+    const data = { version: EXPORT_VERSION, people: this.people };
+    return new Blob([JSON.stringify(data)], { type: "application/json" });
+  }
+
+  /**
+   * @method importJson
+   * @async
+   * @description Adds the people of an exported file. Descriptors of a person who is already
+   * enrolled are added to theirs, unless replace is set.
+   * @param {string} text - The contents of a file written by exportBlob
+   * @param {Object} [options]
+   * @param {boolean} [options.replace=false] - Whether to forget everyone else first
+   * @returns {Promise<number>} The number of people imported
+   * @throws {Error} If the file is not a valid export
+   */
+  async importJson(text, { replace = false } = {}) {
+    const data = JSON.parse(text);
+    if (!data || data.version !== EXPORT_VERSION || !Array.isArray(data.people)) {
+      throw new Error("Not a face enrolment file");
+    }
+    await this.put(data.people, replace);
+    return data.people.length;
+  }
+
+  /**
+   * @method put
+   * @private
+   * @async
+   * @description Validates people and merges their descriptors into the database in one transaction.
+   * @param {Array<{name: string, descriptors: Array<Array<number>>}>} people - The people to store
+   * @param {boolean} replace - Whether to clear the database first
+   * @returns {Promise<void>}
+   * @throws {Error} If a name is empty or a descriptor is invalid; nothing is stored then
+   */
+  async put(people, replace) {
+    people.forEach(({ name, descriptors }) => {
+      if (typeof name !== "string" || !name.trim()) {
+        throw new Error("Every enrolled person needs a name");
+      }
+      if (!Array.isArray(descriptors) || descriptors.length === 0 || !descriptors.every(isDescriptor)) {
+        throw new Error(`Invalid face descriptors for ${name}`);
+      }
+    });
+
+    const existing = new Map(replace ? [] : this.people.map((person) => [person.name, person]));
+    const updatedAt = new Date().toISOString();
+    await this.transaction("readwrite", (store) => {
+      if (replace) store.clear();
+      people.forEach(({ name, descriptors }) => {
+        const key = name.trim();
+        const previous = existing.get(key);
+        const record = { name: key, descriptors: [...(previous ? previous.descriptors : []), ...descriptors], updatedAt };
+        existing.set(key, record);
+        store.put(record);
+      });
+    });
+    await this.load();
+  }
+
+  /**
+   * @method dispatchChange
+   * @private
+   */
+  dispatchChange() {
+    this.dispatchEvent(new CustomEvent("change", { detail: this.people }));
+  }
+}
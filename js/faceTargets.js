@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Rules that pick which tracked faces a face effect is applied to
+ * @module faceTargets
+ *
+ * Faces are the tracks of a FaceDetectionFilter ({ id, box, identity, ... }). The rules only look at
+ * the tracks and at the IDs the user picked, so they work the same for one-off and per-frame effects.
+ */
+
+/**
+ * Which faces an effect targets.
+ * - all: every tracked face
+ * - selected: the faces picked by clicking their boxes
+ * - largest: the face with the largest box, usually the person closest to the camera
+ * - allButLargest: every face except the largest, e.g. to hide bystanders behind a presenter
+ * - known: the faces recognised as an enrolled person
+ * - unknown: the faces not recognised, including all faces while recognition is off
+ * @constant {Object<string, string>}
+ */
+export const FACE_TARGETS = {
+  ALL: "all",
+  SELECTED: "selected",
+  LARGEST: "largest",
+  ALL_BUT_LARGEST: "allButLargest",
+  KNOWN: "known",
+  UNKNOWN: "unknown",
+};
+
+/**
+ * @param {Array<{id: number, box: Object}>} tracks - The tracked faces
+ * @returns {?Object} The track with the largest box area, or null if there are none
+ */
+export function findLargestFace(tracks) {
+  let largest = null;
+  tracks.forEach((track) => {
+    if (!largest || track.box.width * track.box.height > largest.box.width * largest.box.height) {
+      largest = track;
+    }
+  });
+  return largest;
+}
+
+/**
+ * Finds the face whose box contains a point. Where boxes overlap, the smallest one wins, so a face
+ * in front of a larger one can still be picked.
+ * @param {Array<{id: number, box: Object}>} tracks - The tracked faces
+ * @param {number} x - Horizontal position in the coordinates of the boxes
+ * @param {number} y - Vertical position in the coordinates of the boxes
+ * @returns {?Object} The track at the point, or null
+ */
+export function findFaceAt(tracks, x, y) {
+  let found = null;
+  tracks.forEach((track) => {
+    const { box } = track;
+    const inside = x >= box.x && x < box.x + box.width && y >= box.y && y < box.y + box.height;
+    if (inside && (!found || box.width * box.height < found.box.width * found.box.height)) {
+      found = track;
+    }
+  });
+  return found;
+}
+
+/**
+ * Applies a target rule to the tracked faces.
+ * @param {Array<{id: number, box: Object}>} tracks - The tracked faces
+ * @param {string} target - One of FACE_TARGETS
+ * @param {Set<number>} [selectedIds] - IDs of the faces picked by the user, for the selected rule
+ * @returns {Array<Object>} The targeted tracks, in the order of tracks
+ * @throws {Error} If the target is unknown
+ */
+export function selectFaces(tracks, target, selectedIds = new Set()) {
+  const largest = findLargestFace(tracks);
+  switch (target) {
+    case FACE_TARGETS.ALL:
+      return [...tracks];
+    case FACE_TARGETS.SELECTED:
+      return tracks.filter((track) => selectedIds.has(track.id));
+    case FACE_TARGETS.LARGEST:
+      return largest ? [largest] : [];
+    case FACE_TARGETS.ALL_BUT_LARGEST:
+      return tracks.filter((track) => track !== largest);
+    case FACE_TARGETS.KNOWN:
+      return tracks.filter((track) => track.identity);
+    case FACE_TARGETS.UNKNOWN:
+      return tracks.filter((track) => !track.identity);
+    default:
+      throw new Error(`Unknown face target: ${target}`);
+  }
+}
+
+/**
+ * Works out which effect each face gets from standing rules such as "pixelate every unknown face".
+ * Rules are evaluated against the current tracks, so faces that appear later are covered too.
+ * @param {Array<{id: number, box: Object}>} tracks - The tracked faces
+ * @param {Array<{target: string, effect: string, part: string}>} rules - The rules; a later rule wins
+ * over an earlier one for the same face
+ * @param {Set<number>} [selectedIds] - IDs of the faces picked by the user, for the selected rule
+ * @returns {Map<number, {effect: string, part: string}>} The effect and face part by track ID
+ */
+export function resolveFaceEffects(tracks, rules, selectedIds = new Set()) {
+  const effects = new Map();
+  rules.forEach(({ target, effect, part }) => {
+    selectFaces(tracks, target, selectedIds).forEach(({ id }) => effects.set(id, { effect, part }));
+  });
+  return effects;
+}
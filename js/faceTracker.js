@@ -0,0 +1,163 @@
+import { intersectionOverUnion } from "./geometry.js";
+import {
+  TRACK_IOU_THRESHOLD,
+  TRACK_MAX_CENTROID_DISTANCE,
+  TRACK_SMOOTHING,
+  TRACK_MAX_MISSED,
+} from "./constants.js";
+
+/**
+ * @class FaceTracker
+ * @description Follows faces across detection runs. Each detection box is matched to the track it
+ * overlaps most; boxes that barely overlap any track fall back to the nearest track centre. Matched
+ * tracks keep their ID and move their box towards the detection, unmatched detections start new
+ * tracks, and a track that goes unmatched is kept for maxMissed runs before it is dropped, so short
+ * detection dropouts do not change the IDs. Nothing here touches the DOM.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.iouThreshold=TRACK_IOU_THRESHOLD] - Smallest overlap that matches a detection to a track
+ * @param {number} [options.maxCentroidDistance=TRACK_MAX_CENTROID_DISTANCE] - Largest centre distance, as a
+ * fraction of the track's larger box side, matched when the overlap is too small
+ * @param {number} [options.smoothing=TRACK_SMOOTHING] - Weight of the previous box when a detection is
+ * matched; 0 follows the detector exactly
+ * @param {number} [options.maxMissed=TRACK_MAX_MISSED] - Runs a track survives without a match
+ *
+ * @example
+ * const tracker = new FaceTracker();
+ * const tracks = tracker.update(detections.map(detection => detection.box));
+ * tracks.forEach(({ id, box }) => console.log(id, box));
+ */
+export class FaceTracker {
+  constructor({
+    iouThreshold = TRACK_IOU_THRESHOLD,
+    maxCentroidDistance = TRACK_MAX_CENTROID_DISTANCE,
+    smoothing = TRACK_SMOOTHING,
+    maxMissed = TRACK_MAX_MISSED,
+  } = {}) {
+    this.iouThreshold = iouThreshold;
+    this.maxCentroidDistance = maxCentroidDistance;
+    this.smoothing = smoothing;
+    this.maxMissed = maxMissed;
+    this.tracks = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * @method reset
+   * @description Drops every track. IDs keep counting up, so an ID is never given to a different face.
+   */
+  reset() {
+    this.tracks = [];
+  }
+
+  /**
+   * @method update
+   * @description Matches the boxes of one detection run to the tracks and updates them.
+   * @param {Array<{x: number, y: number, width: number, height: number}>} boxes - The detected face boxes
+   * @returns {Array<Object>} The live tracks, see getTracks
+   */
+  update(boxes) {
+    const matches = this.match(boxes);
+    const matchedBoxes = new Set();
+
+    this.tracks.forEach((track) => {
+      const index = matches.get(track);
+      if (index === undefined) {
+        track.detectionIndex = -1;
+        track.missed++;
+        return;
+      }
+      matchedBoxes.add(index);
+      track.box = this.smoothBox(track.box, boxes[index]);
+      track.detectionIndex = index;
+      track.missed = 0;
+      track.hits++;
+    });
+    this.tracks = this.tracks.filter((track) => track.missed <= this.maxMissed);
+
+    boxes.forEach((box, index) => {
+      if (matchedBoxes.has(index)) return;
+      const { x, y, width, height } = box;
+      this.tracks.push({ id: this.nextId++, box: { x, y, width, height }, detectionIndex: index, missed: 0, hits: 1 });
+    });
+    return this.getTracks();
+  }
+
+  /**
+   * @method match
+   * @private
+   * @description Pairs tracks and boxes greedily, best pair first. Pairs are scored by their overlap;
+   * pairs that do not overlap enough but whose centres are close enough score below every overlapping pair.
+   * @param {Array<{x: number, y: number, width: number, height: number}>} boxes - The detected face boxes
+   * @returns {Map<Object, number>} The index of the box matched to each matched track
+   */
+  match(boxes) {
+    const candidates = [];
+    this.tracks.forEach((track) => {
+      boxes.forEach((box, index) => {
+        const overlap = intersectionOverUnion(track.box, box);
+        if (overlap >= this.iouThreshold) {
+          candidates.push({ track, index, score: 1 + overlap });
+          return;
+        }
+        const distance = this.centroidDistance(track.box, box);
+        if (distance <= this.maxCentroidDistance) {
+          candidates.push({ track, index, score: 1 - distance / this.maxCentroidDistance });
+        }
+      });
+    });
+    candidates.sort((a, b) => b.score - a.score);
+
+    const matches = new Map();
+    const usedBoxes = new Set();
+    candidates.forEach(({ track, index }) => {
+      if (matches.has(track) || usedBoxes.has(index)) return;
+      matches.set(track, index);
+      usedBoxes.add(index);
+    });
+    return matches;
+  }
+
+  /**
+   * @method centroidDistance
+   * @private
+   * @param {{x: number, y: number, width: number, height: number}} trackBox - The box of a track
+   * @param {{x: number, y: number, width: number, height: number}} box - A detected box
+   * @returns {number} The distance between the box centres relative to the larger side of the track box
+   */
+  centroidDistance(trackBox, box) {
+    const dx = box.x + box.width / 2 - (trackBox.x + trackBox.width / 2);
+    const dy = box.y + box.height / 2 - (trackBox.y + trackBox.height / 2);
+    return Math.hypot(dx, dy) / Math.max(trackBox.width, trackBox.height, 1);
+  }
+
+  /**
+   * @method smoothBox
+   * @private
+   * @param {{x: number, y: number, width: number, height: number}} previous - The tracked box
+   * @param {{x: number, y: number, width: number, height: number}} detected - The matched detection
+   * @returns {{x: number, y: number, width: number, height: number}} The previous box moved towards the detection
+   */
+  smoothBox(previous, detected) {
+    const keep = Math.min(1, Math.max(0, this.smoothing));
+    const blend = (from, to) => from * keep + to * (1 - keep);
+    return {
+      x: blend(previous.x, detected.x),
+      y: blend(previous.y, detected.y),
+      width: blend(previous.width, detected.width),
+      height: blend(previous.height, detected.height),
+    };
+  }
+
+  /**
+   * @method getTracks
+   * @description Tracks that missed the last run are included with their last box, so callers
+   * can keep an effect on a face through a dropout.
+   * @returns {Array<{id: number, box: Object, detectionIndex: number, missed: number, hits: number}>}
+   * The live tracks, oldest (lowest ID) first. detectionIndex is the index of the matched box in the
+   * last run, or -1 if the track was not matched; missed counts the runs since its last match.
+   */
+  getTracks() {
+    return [...this.tracks].sort((a, b) => a.id - b.id);
+  }
+}
@@ -0,0 +1,106 @@
+/**
+ * @class FilterGrid
+ * @description Creates and removes the grid cells that display filter outputs.
+ * Each cell holds a title, an enable checkbox, export and remove buttons and the filter's canvas.
+ *
+ * @param {HTMLElement} container - The grid element cells are appended to
+ * @param {Object} handlers
+ * @param {Function} handlers.onToggle - Called as onToggle(id, enabled) when the checkbox changes
+ * @param {Function} handlers.onRemove - Called as onRemove(id) when the remove button is clicked
+ * @param {Function} handlers.onExport - Called as onExport(id) when the export button is clicked
+ */
+export class FilterGrid {
+  constructor(container, { onToggle, onRemove, onExport }) {
+    this.container = container;
+    this.onToggle = onToggle;
+    this.onRemove = onRemove;
+    this.onExport = onExport;
+    this.cells = new Map();
+  }
+
+  /**
+   * @method addCell
+   * @description Appends a cell for a filter.
+   * @param {string} id - The filter id
+   * @param {string} title - The title shown in the cell
+   * @param {boolean} [enabled=true] - Initial state of the enable checkbox
+   * @returns {HTMLCanvasElement} The canvas the filter should render into
+   */
+  addCell(id, title, enabled = true) {
+    const cell = document.createElement("div");
+    cell.className = "cell";
+    cell.dataset.filterId = id;
+
+    const header = document.createElement("div");
+    header.className = "cell-title";
+
+    const toggle = document.createElement("input");
+    toggle.type = "checkbox";
+    toggle.checked = enabled;
+    toggle.title = "Enable or disable this filter";
+    toggle.addEventListener("change", () => this.onToggle(id, toggle.checked));
+
+    const label = document.createElement("span");
+    label.textContent = title;
+
+    const save = document.createElement("button");
+    save.className = "cell-button";
+    save.textContent = "⤓";
+    save.title = "Save this output as an image";
+    save.addEventListener("click", () => this.onExport(id));
+
+    const remove = document.createElement("button");
+    remove.className = "cell-button";
+    remove.textContent = "×";
+    remove.title = "Remove this filter";
+    remove.addEventListener("click", () => this.onRemove(id));
+
+    header.append(toggle, label, save, remove);
+
+    const canvas = document.createElement("canvas");
+    canvas.id = `${id}Canvas`;
+
+    cell.append(header, canvas);
+    this.container.appendChild(cell);
+    this.cells.set(id, cell);
+    this.setCellEnabled(id, enabled);
+    return canvas;
+  }
+
+  /**
+   * @method getCells
+   * @returns {Array<{id: string, title: string, canvas: HTMLCanvasElement, enabled: boolean}>} The cells in display order
+   */
+  getCells() {
+    return [...this.cells].map(([id, cell]) => ({
+      id,
+      title: cell.querySelector(".cell-title span").textContent,
+      canvas: cell.querySelector("canvas"),
+      enabled: !cell.classList.contains("disabled"),
+    }));
+  }
+
+  /**
+   * @method removeCell
+   * @param {string} id - The filter id
+   */
+  removeCell(id) {
+    const cell = this.cells.get(id);
+    if (!cell) return;
+    cell.remove();
+    this.cells.delete(id);
+  }
+
+  /**
+   * @method setCellEnabled
+   * @description Shows a cell as enabled or disabled and syncs its checkbox.
+   * @param {string} id - The filter id
+   * @param {boolean} enabled - The new state
+   */
+  setCellEnabled(id, enabled) {
+    const cell = this.cells.get(id);
+    if (!cell) return;
+    cell.classList.toggle("disabled", !enabled);
+    cell.querySelector("input[type=checkbox]").checked = enabled;
+  }
+}
@@ -0,0 +1,224 @@
+/**
+ * Input name that refers to the frame passed to FilterPipeline.run rather than to another node.
+ * @constant {string}
+ */
+export const SOURCE_INPUT = "source";
+
+/**
+ * @class FilterPipeline
+ * @description A directed graph of filters. Each node names the node(s) it reads from, and the
+ * pipeline runs the nodes in dependency order, passing each filter the canvases of its inputs.
+ * Cycles and references to unknown nodes are reported as errors when the order is computed.
+ * Disabled nodes stay in the graph but are skipped when it runs.
+ *
+ * @example
+ * const pipeline = new FilterPipeline([
+ *   { id: 'grayscale', filter: new GrayScaleFilter('grayscale'), inputs: [SOURCE_INPUT] },
+ *   { id: 'grayThreshold', filter: new YCbCrThresholdFilter('grayThreshold', 'slider'), inputs: ['grayscale'] },
+ * ]);
+ * await pipeline.run(video);
+ */
+export class FilterPipeline {
+  /**
+   * Creates a pipeline from a list of nodes.
+   * @param {Array<Object>} [nodes=[]] - Nodes as accepted by addNode
+   */
+  constructor(nodes = []) {
+    this.nodes = new Map();
+    this.order = null;
+    nodes.forEach((node) => this.addNode(node));
+  }
+
+  /**
+   * Adds a node to the graph.
+   * @param {Object} node
+   * @param {string} node.id - Unique node id
+   * @param {ImageFilter} node.filter - The filter run for this node
+   * @param {string|Array<string>} [node.inputs=SOURCE_INPUT] - Input node id(s), or SOURCE_INPUT for the frame
+   * @param {Object} [node.params={}] - Parameters assigned to the filter with setParams
+   * @param {boolean} [node.enabled=true] - Whether the node runs
+   * @throws {Error} If a node with the same id already exists
+   */
+  addNode({ id, filter, inputs = SOURCE_INPUT, params = {}, enabled = true }) {
+    if (this.nodes.has(id)) {
+      throw new Error(`Duplicate pipeline node "${id}"`);
+    }
+    const node = { id, filter, inputs: [].concat(inputs), params: {}, enabled };
+    this.nodes.set(id, node);
+    this.setParams(id, params);
+    this.order = null;
+  }
+
+  /**
+   * Removes a node from the graph.
+   * @param {string} id - The node id
+   * @throws {Error} If other nodes still read from it
+   */
+  removeNode(id) {
+    const dependents = this.getDependents(id);
+    if (dependents.length > 0) {
+      throw new Error(`Cannot remove "${id}", it is the input of: ${dependents.join(", ")}`);
+    }
+    this.nodes.delete(id);
+    this.order = null;
+  }
+
+  /**
+   * @param {string} id - The node id
+   * @returns {Array<string>} Ids of the nodes that read directly from the node
+   */
+  getDependents(id) {
+    return [...this.nodes.values()].filter((node) => node.inputs.includes(id)).map((node) => node.id);
+  }
+
+  /**
+   * Enables or disables a node. A disabled node keeps its place in the graph but is not run,
+   * so nodes reading from it see its last output.
+   * @param {string} id - The node id
+   * @param {boolean} enabled - Whether the node runs
+   */
+  setEnabled(id, enabled) {
+    this.nodes.get(id).enabled = enabled;
+  }
+
+  /**
+   * Changes the node(s) a node reads from. The change is undone if the new inputs are unknown or
+   * would create a cycle.
+   * @param {string} id - The node id
+   * @param {string|Array<string>} inputs - Input node id(s), or SOURCE_INPUT for the frame
+   * @throws {Error} If the graph would become invalid
+   */
+  setInputs(id, inputs) {
+    const node = this.nodes.get(id);
+    const previous = node.inputs;
+    node.inputs = [].concat(inputs);
+    this.order = null;
+    try {
+      this.getOrder();
+    } catch (error) {
+      node.inputs = previous;
+      this.order = null;
+      throw error;
+    }
+  }
+
+  /**
+   * @param {string} id - The node id
+   * @returns {Object|undefined} The node, if present
+   */
+  getNode(id) {
+    return this.nodes.get(id);
+  }
+
+  /**
+   * Updates a node's parameters and assigns them to its filter.
+   * @param {string} id - The node id
+   * @param {Object} params - Parameter values to merge into the node's parameters
+   */
+  setParams(id, params) {
+    const node = this.nodes.get(id);
+    Object.assign(node.params, params);
+    node.filter.setParams(params);
+  }
+
+  /**
+   * Computes the execution order with Kahn's algorithm. The result is cached until the graph changes.
+   * @returns {Array<Object>} Nodes in dependency order
+   * @throws {Error} If an input names an unknown node or the graph contains a cycle
+   */
+  getOrder() {
+    if (this.order) return this.order;
+
+    const pending = new Map();
+    const dependents = new Map();
+    this.nodes.forEach((node) => {
+      const upstream = node.inputs.filter((input) => input !== SOURCE_INPUT);
+      upstream.forEach((input) => {
+        if (!this.nodes.has(input)) {
+          throw new Error(`Pipeline node "${node.id}" reads from unknown node "${input}"`);
+        }
+        if (!dependents.has(input)) dependents.set(input, []);
+        dependents.get(input).push(node.id);
+      });
+      pending.set(node.id, upstream.length);
+    });
+
+    const ready = [...pending].filter(([, count]) => count === 0).map(([id]) => id);
+    const order = [];
+    while (ready.length > 0) {
+      const id = ready.shift();
+      order.push(this.nodes.get(id));
+      (dependents.get(id) || []).forEach((dependent) => {
+        pending.set(dependent, pending.get(dependent) - 1);
+        if (pending.get(dependent) === 0) ready.push(dependent);
+      });
+    }
+
+    if (order.length !== this.nodes.size) {
+      const cyclic = [...pending].filter(([, count]) => count > 0).map(([id]) => id);
+      throw new Error(`Pipeline contains a cycle involving: ${cyclic.join(", ")}`);
+    }
+
+    this.order = order;
+    return order;
+  }
+
+  /**
+   * Resolves a node's inputs to drawable sources.
+   * @param {Object} node - The node
+   * @param {HTMLVideoElement|HTMLCanvasElement|HTMLImageElement} source - The frame
+   * @returns {Array<HTMLVideoElement|HTMLCanvasElement|HTMLImageElement>} One source per input
+   */
+  resolveInputs(node, source) {
+    return node.inputs.map((input) => (input === SOURCE_INPUT ? source : this.nodes.get(input).filter.canvas));
+  }
+
+  /**
+   * Runs the enabled nodes in dependency order.
+   * @async
+   * @param {HTMLVideoElement|HTMLCanvasElement|HTMLImageElement} source - The frame fed to SOURCE_INPUT
+   * @param {Function} [runNode] - Called as runNode(node, inputs) for each node; defaults to
+   * node.filter.process(...inputs). May return a Promise, which is awaited before the next node.
+   * @param {Set<string>} [nodeIds] - Only run these nodes; their inputs must already be up to date
+   * @returns {Promise<void>}
+   */
+  async run(source, runNode = (node, inputs) => node.filter.process(...inputs), nodeIds = null) {
+    for (const node of this.getOrder()) {
+      if (!node.enabled || (nodeIds && !nodeIds.has(node.id))) continue;
+      await runNode(node, this.resolveInputs(node, source));
+    }
+  }
+
+  /**
+   * Splits the graph into the part a worker backend can run and the part that must stay on the main thread.
+   * A node can run in a worker if its filter has a kernel spec and it has a single input that is either
+   * the frame or another worker node, and its filter uses the given resolution (workers process one size).
+   * Disabled nodes are left out of both parts.
+   * @param {{width: number, height: number, fit: string}} resolution - The worker processing resolution
+   * @returns {{chain: Array<{id: string, input: ?string, kernel: string, params: Array}>, remaining: Set<string>}}
+   * The worker chain in dependency order, and the ids of the nodes left for the main thread
+   */
+  getWorkerChain({ width, height, fit }) {
+    const chain = [];
+    const inWorker = new Set();
+    const remaining = new Set();
+
+    this.getOrder().forEach((node) => {
+      if (!node.enabled) return;
+      const spec = node.filter.getKernelSpec();
+      const [input] = node.inputs;
+      const workerInput = input === SOURCE_INPUT || inWorker.has(input);
+      const { filter } = node;
+      const sameResolution = filter.width === width && filter.height === height && filter.fit === fit;
+
+      if (spec && node.inputs.length === 1 && workerInput && sameResolution) {
+        chain.push({ id: node.id, input: input === SOURCE_INPUT ? null : input, ...spec });
+        inWorker.add(node.id);
+      } else {
+        remaining.add(node.id);
+      }
+    });
+
+    return { chain, remaining };
+  }
+}
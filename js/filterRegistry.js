@@ -0,0 +1,82 @@
+import { SOURCE_INPUT } from "./filterPipeline.js";
+
+/**
+ * @class FilterRegistry
+ * @extends EventTarget
+ * @description Central list of the filters the application shows. A filter class is registered once
+ * with an id, a display title and a default input; the application then creates its grid cell,
+ * canvas and pipeline node. Registering or unregistering after start-up dispatches `register` and
+ * `unregister` events, so plugins can add filters without editing the core files. The `unregister`
+ * event is cancelable: a listener that cannot remove the filter calls preventDefault() and the
+ * filter stays registered.
+ *
+ * @example
+ * // plugins/sepiaFilter.js, loaded with <script type="module"> after js/index.js
+ * import { filterRegistry } from '../js/filterRegistry.js';
+ * filterRegistry.register('sepia', SepiaFilter, { title: 'Sepia', input: 'grayscale' });
+ */
+export class FilterRegistry extends EventTarget {
+  constructor() {
+    super();
+    this.definitions = new Map();
+  }
+
+  /**
+   * Registers a filter.
+   * @param {string} id - Unique filter id, also used as the pipeline node id
+   * @param {Function} FilterClass - An ImageFilter subclass, constructed as new FilterClass(canvas, ...args)
+   * @param {Object} [options]
+   * @param {string} [options.title=id] - Title shown in the grid cell
+   * @param {string|Array<string>} [options.input=SOURCE_INPUT] - Default input node id(s)
+   * @param {Array} [options.args=[]] - Extra constructor arguments after the canvas
+   * @param {Object} [options.params={}] - Parameters assigned to the filter
+   * @param {boolean} [options.enabled=true] - Whether the filter starts enabled
+   * @param {Object} [options.resolution={}] - Overrides of the app resolution, as accepted by ImageFilter.setResolution
+   * @returns {Object} The stored definition
+   * @throws {Error} If the id is already registered
+   */
+  register(id, FilterClass, { title = id, input = SOURCE_INPUT, args = [], params = {}, enabled = true, resolution = {} } = {}) {
+    if (this.definitions.has(id)) {
+      throw new Error(`Filter "${id}" is already registered`);
+    }
+    const definition = { id, FilterClass, title, input, args, params, enabled, resolution };
+    this.definitions.set(id, definition);
+    this.dispatchEvent(new CustomEvent("register", { detail: definition }));
+    return definition;
+  }
+
+  /**
+   * Removes a filter from the registry, unless a listener of the `unregister` event refuses it.
+   * @param {string} id - The filter id
+   * @returns {boolean} True if the filter was removed or was not registered
+   */
+  unregister(id) {
+    const definition = this.definitions.get(id);
+    if (!definition) return true;
+    const event = new CustomEvent("unregister", { detail: definition, cancelable: true });
+    if (!this.dispatchEvent(event)) return false;
+    this.definitions.delete(id);
+    return true;
+  }
+
+  /**
+   * @param {string} id - The filter id
+   * @returns {Object|undefined} The definition, if registered
+   */
+  get(id) {
+    return this.definitions.get(id);
+  }
+
+  /**
+   * @returns {Array<Object>} All definitions in registration order
+   */
+  getAll() {
+    return [...this.definitions.values()];
+  }
+}
+
+/**
+ * The registry shared by the application and plugins
+ * @constant {FilterRegistry}
+ */
+export const filterRegistry = new FilterRegistry();
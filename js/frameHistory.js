@@ -0,0 +1,96 @@
+import { FRAME_HISTORY_LENGTH, MAX_FRAME_HISTORY } from "./constants.js";
+
+// Histories shared through the canvas they record, so filters reading that canvas can find them
+const sharedHistories = new WeakMap();
+
+/**
+ * @class FrameHistory
+ * @description A ring buffer of the most recent frames, as copies of their RGBA pixel data.
+ * All frames have the same size; pushing a frame of another size starts the history over.
+ * The buffers of dropped frames are reused, so a full history does not allocate.
+ *
+ * @param {number} [capacity=FRAME_HISTORY_LENGTH] - Number of frames kept, at most MAX_FRAME_HISTORY
+ *
+ * @example
+ * const history = new FrameHistory(4);
+ * history.push(imageData.data, imageData.width, imageData.height);
+ * const previous = history.get(1); // null until a second frame arrives
+ */
+export class FrameHistory {
+  constructor(capacity = FRAME_HISTORY_LENGTH) {
+    this.capacity = Math.min(MAX_FRAME_HISTORY, Math.max(1, capacity));
+    this.frames = [];
+    this.width = 0;
+    this.height = 0;
+  }
+
+  /**
+   * @method push
+   * @description Adds a copy of a frame as the newest one, dropping the oldest if the history is full.
+   * @param {Uint8ClampedArray} data - RGBA pixel data
+   * @param {number} width - Image width in pixels
+   * @param {number} height - Image height in pixels
+   */
+  push(data, width, height) {
+    if (width !== this.width || height !== this.height) {
+      this.clear();
+      this.width = width;
+      this.height = height;
+    }
+    const frame = this.frames.length >= this.capacity ? this.frames.pop() : new Uint8ClampedArray(data.length);
+    frame.set(data);
+    this.frames.unshift(frame);
+  }
+
+  /**
+   * @method get
+   * @param {number} age - 0 for the newest frame, 1 for the one before, ...
+   * @returns {?Uint8ClampedArray} The frame, or null if the history does not reach that far back
+   */
+  get(age) {
+    return this.frames[age] || null;
+  }
+
+  /**
+   * @method getSize
+   * @returns {number} Number of frames held
+   */
+  getSize() {
+    return this.frames.length;
+  }
+
+  /**
+   * @method ensureCapacity
+   * @description Grows the history so it can hold at least the given number of frames. It never shrinks,
+   * so several readers can share one history.
+   * @param {number} capacity - Number of frames needed, at most MAX_FRAME_HISTORY
+   */
+  ensureCapacity(capacity) {
+    this.capacity = Math.min(MAX_FRAME_HISTORY, Math.max(this.capacity, capacity));
+  }
+
+  /**
+   * @method clear
+   * @description Drops every frame.
+   */
+  clear() {
+    this.frames = [];
+  }
+}
+
+/**
+ * Makes a history available to filters that read the given canvas (see getFrameHistory).
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas - The canvas whose frames the history records
+ * @param {FrameHistory} history - The history
+ */
+export function attachFrameHistory(canvas, history) {
+  sharedHistories.set(canvas, history);
+}
+
+/**
+ * @param {*} source - A drawable source, typically the input canvas of a filter
+ * @returns {?FrameHistory} The history recording that source, if one was attached
+ */
+export function getFrameHistory(source) {
+  return sharedHistories.get(source) || null;
+}
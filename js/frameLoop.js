@@ -0,0 +1,206 @@
+/**
+ * @class FrameLoop
+ * @description Drives a callback once per video frame so the filter grid can be processed live.
+ * Uses `requestVideoFrameCallback` while a video is playing and falls back to
+ * `requestAnimationFrame` otherwise, so still images and paused videos keep being processed.
+ * Frames that arrive while the previous callback is still running, or sooner than the target
+ * frame rate allows, are dropped rather than queued.
+ *
+ * @param {HTMLVideoElement|HTMLImageElement} video - The element whose frames drive the loop
+ * @param {Function} callback - Called for every accepted frame, may return a Promise
+ * @param {Object} [options]
+ * @param {number} [options.targetFps=30] - Maximum number of frames processed per second
+ *
+ * @property {boolean} running - Whether the loop is scheduling frames
+ * @property {boolean} paused - Whether the loop is started but currently paused
+ * @property {number} droppedFrames - Number of frames skipped because the callback was still busy
+ *
+ * @example
+ * const loop = new FrameLoop(video, () => app.processImage(), { targetFps: 15 });
+ * loop.start();
+ */
+export class FrameLoop {
+  constructor(video, callback, { targetFps = 30 } = {}) {
+    this.video = null;
+    this.callback = callback;
+    this.running = false;
+    this.paused = false;
+    this.busy = false;
+    this.droppedFrames = 0;
+    this.lastFrameTime = 0;
+    this.handle = null;
+    this.setTargetFps(targetFps);
+    this.onFrame = this.onFrame.bind(this);
+    this.reschedule = this.reschedule.bind(this);
+    this.setVideo(video);
+  }
+
+  /**
+   * @method start
+   * @description Starts scheduling frames. Does nothing if the loop is already running.
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.paused = false;
+    this.lastFrameTime = 0;
+    this.scheduleNext();
+  }
+
+  /**
+   * @method stop
+   * @description Stops the loop and cancels any pending frame request.
+   */
+  stop() {
+    this.running = false;
+    this.paused = false;
+    this.cancelPending();
+  }
+
+  /**
+   * @method pause
+   * @description Pauses a running loop. The loop can be continued with resume().
+   */
+  pause() {
+    if (!this.running || this.paused) return;
+    this.paused = true;
+    this.cancelPending();
+  }
+
+  /**
+   * @method resume
+   * @description Resumes a paused loop.
+   */
+  resume() {
+    if (!this.running || !this.paused) return;
+    this.paused = false;
+    this.lastFrameTime = 0;
+    this.scheduleNext();
+  }
+
+  /**
+   * @method step
+   * @description Runs the callback for exactly one frame. Intended for use while paused or stopped.
+   * @returns {Promise<void>}
+   */
+  async step() {
+    if (this.busy) return;
+    await this.runCallback();
+  }
+
+  /**
+   * @method setTargetFps
+   * @description Sets the frame rate cap. Values below 1 are clamped to 1.
+   * @param {number} fps - The maximum number of frames to process per second
+   */
+  setTargetFps(fps) {
+    this.targetFps = Math.max(1, Number(fps) || 1);
+    this.frameInterval = 1000 / this.targetFps;
+  }
+
+  /**
+   * @method setVideo
+   * @description Switches the element that drives the loop, e.g. when the input source changes.
+   * @param {HTMLVideoElement|HTMLImageElement} video - The new element
+   */
+  setVideo(video) {
+    if (this.video) {
+      this.video.removeEventListener("play", this.reschedule);
+      this.video.removeEventListener("pause", this.reschedule);
+    }
+    this.video = video;
+    // A paused video delivers no more video frame callbacks, so switch APIs whenever playback changes
+    video.addEventListener("play", this.reschedule);
+    video.addEventListener("pause", this.reschedule);
+    this.reschedule();
+  }
+
+  /**
+   * @method reschedule
+   * @private
+   * @description Replaces the pending frame request with one suited to the current element state.
+   */
+  reschedule() {
+    this.cancelPending();
+    if (this.isRunning()) {
+      this.scheduleNext();
+    }
+  }
+
+  /**
+   * @method isRunning
+   * @returns {boolean} True if the loop is started and not paused
+   */
+  isRunning() {
+    return this.running && !this.paused;
+  }
+
+  /**
+   * @method scheduleNext
+   * @private
+   * @description Requests the next frame using the best available browser API.
+   */
+  scheduleNext() {
+    const video = this.video;
+    if (typeof video.requestVideoFrameCallback === "function" && !video.paused) {
+      this.handle = { type: "video", video, id: video.requestVideoFrameCallback(this.onFrame) };
+    } else {
+      this.handle = { type: "animation", id: requestAnimationFrame(this.onFrame) };
+    }
+  }
+
+  /**
+   * @method cancelPending
+   * @private
+   * @description Cancels the outstanding frame request, if any.
+   */
+  cancelPending() {
+    if (!this.handle) return;
+    if (this.handle.type === "video") {
+      this.handle.video.cancelVideoFrameCallback(this.handle.id);
+    } else {
+      cancelAnimationFrame(this.handle.id);
+    }
+    this.handle = null;
+  }
+
+  /**
+   * @method onFrame
+   * @private
+   * @description Frame callback. Applies the frame rate cap and drops the frame if the previous
+   * callback has not finished yet.
+   * @param {DOMHighResTimeStamp} now - Timestamp provided by the browser
+   */
+  onFrame(now) {
+    this.handle = null;
+    if (!this.isRunning()) return;
+    this.scheduleNext();
+
+    // Allow a small tolerance so a 30 fps cap on a 30 fps camera does not skip every other frame
+    if (now - this.lastFrameTime < this.frameInterval - 2) return;
+    this.lastFrameTime = now;
+
+    if (this.busy) {
+      this.droppedFrames++;
+      return;
+    }
+    this.runCallback();
+  }
+
+  /**
+   * @method runCallback
+   * @private
+   * @description Invokes the callback and keeps the busy flag set until it settles.
+   * @returns {Promise<void>}
+   */
+  async runCallback() {
+    this.busy = true;
+    try {
+      await this.callback();
+    } catch (error) {
+      console.error("Error in frame loop callback:", error);
+    } finally {
+      this.busy = false;
+    }
+  }
+}
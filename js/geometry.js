@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Helpers for fitting a source image into a canvas and mapping boxes between resolutions
+ * @module geometry
+ *
+ * A fit is described by the source rectangle (sx, sy, sw, sh) that is drawn into the destination
+ * rectangle (dx, dy, dw, dh), matching the arguments of `CanvasRenderingContext2D.drawImage`.
+ */
+
+/**
+ * How a source is fitted into a canvas of a different aspect ratio.
+ * - letterbox: scale to fit inside the canvas, pad the rest with black bars
+ * - crop: scale to cover the canvas, cut off what does not fit
+ * - stretch: scale each axis independently, distorting the image
+ * @constant {Object<string, string>}
+ */
+export const FIT_MODES = {
+  LETTERBOX: "letterbox",
+  CROP: "crop",
+  STRETCH: "stretch",
+};
+
+/**
+ * Returns the intrinsic size of anything drawImage accepts.
+ * @param {HTMLVideoElement|HTMLImageElement|HTMLCanvasElement|ImageBitmap|OffscreenCanvas} source - The image source
+ * @returns {{width: number, height: number}} The size in pixels, 0x0 if not known yet
+ */
+export function getSourceSize(source) {
+  if (typeof HTMLVideoElement !== "undefined" && source instanceof HTMLVideoElement) {
+    return { width: source.videoWidth, height: source.videoHeight };
+  }
+  if (typeof HTMLImageElement !== "undefined" && source instanceof HTMLImageElement) {
+    return { width: source.naturalWidth, height: source.naturalHeight };
+  }
+  return { width: source.width || 0, height: source.height || 0 };
+}
+
+/**
+ * Computes the drawImage rectangles that fit a source into a destination.
+ * @param {number} sourceWidth - Source width in pixels
+ * @param {number} sourceHeight - Source height in pixels
+ * @param {number} destWidth - Destination width in pixels
+ * @param {number} destHeight - Destination height in pixels
+ * @param {string} [fit=FIT_MODES.STRETCH] - One of FIT_MODES
+ * @returns {{sx: number, sy: number, sw: number, sh: number, dx: number, dy: number, dw: number, dh: number}}
+ */
+export function computeFitRects(sourceWidth, sourceHeight, destWidth, destHeight, fit = FIT_MODES.STRETCH) {
+  const full = { sx: 0, sy: 0, sw: sourceWidth, sh: sourceHeight, dx: 0, dy: 0, dw: destWidth, dh: destHeight };
+  if (!sourceWidth || !sourceHeight || fit === FIT_MODES.STRETCH) {
+    return full;
+  }
+
+  const scaleX = destWidth / sourceWidth;
+  const scaleY = destHeight / sourceHeight;
+
+  if (fit === FIT_MODES.LETTERBOX) {
+    const scale = Math.min(scaleX, scaleY);
+    const dw = sourceWidth * scale;
+    const dh = sourceHeight * scale;
+    return { ...full, dx: (destWidth - dw) / 2, dy: (destHeight - dh) / 2, dw, dh };
+  }
+
+  // Crop: cover the destination and take the centre of the source
+  const scale = Math.max(scaleX, scaleY);
+  const sw = destWidth / scale;
+  const sh = destHeight / scale;
+  return { ...full, sx: (sourceWidth - sw) / 2, sy: (sourceHeight - sh) / 2, sw, sh };
+}
+
+/**
+ * Maps a box from destination (canvas) coordinates back to source coordinates.
+ * @param {{x: number, y: number, width: number, height: number}} box - Box in canvas coordinates
+ * @param {Object} rects - Fit rectangles from computeFitRects
+ * @returns {{x: number, y: number, width: number, height: number}} Box in source coordinates
+ */
+export function boxToSource(box, rects) {
+  const scaleX = rects.sw / rects.dw;
+  const scaleY = rects.sh / rects.dh;
+  return {
+    x: rects.sx + (box.x - rects.dx) * scaleX,
+    y: rects.sy + (box.y - rects.dy) * scaleY,
+    width: box.width * scaleX,
+    height: box.height * scaleY,
+  };
+}
+
+/**
+ * Maps a box from source coordinates into destination (canvas) coordinates.
+ * @param {{x: number, y: number, width: number, height: number}} box - Box in source coordinates
+ * @param {Object} rects - Fit rectangles from computeFitRects
+ * @returns {{x: number, y: number, width: number, height: number}} Box in canvas coordinates
+ */
+export function boxFromSource(box, rects) {
+  const scaleX = rects.dw / rects.sw;
+  const scaleY = rects.dh / rects.sh;
+  return {
+    x: rects.dx + (box.x - rects.sx) * scaleX,
+    y: rects.dy + (box.y - rects.sy) * scaleY,
+    width: box.width * scaleX,
+    height: box.height * scaleY,
+  };
+}
+
+/**
+ * Rounds a box to whole pixels and clamps it to the given bounds.
+ * @param {{x: number, y: number, width: number, height: number}} box - The box to clamp
+ * @param {number} width - Width of the area the box must stay inside
+ * @param {number} height - Height of the area the box must stay inside
+ * @returns {{x: number, y: number, width: number, height: number}} The clamped box, possibly empty
+ */
+export function clampBox(box, width, height) {
+  const x = Math.max(0, Math.round(box.x));
+  const y = Math.max(0, Math.round(box.y));
+  const right = Math.min(width, Math.round(box.x + box.width));
+  const bottom = Math.min(height, Math.round(box.y + box.height));
+  return { x, y, width: Math.max(0, right - x), height: Math.max(0, bottom - y) };
+}
+
+/**
+ * Measures how much two boxes overlap.
+ * @param {{x: number, y: number, width: number, height: number}} a - The first box
+ * @param {{x: number, y: number, width: number, height: number}} b - The second box
+ * @returns {number} The area of their intersection divided by the area of their union, 0-1
+ */
+export function intersectionOverUnion(a, b) {
+  const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  if (width <= 0 || height <= 0) return 0;
+  const intersection = width * height;
+  return intersection / (a.width * a.height + b.width * b.height - intersection);
+}
@@ -1,4 +1,5 @@
 import { ImageFilter } from "./imageFilter.js";
+import { grayscale } from "./pixelKernels.js";
 
 /**
  * @class GrayScaleFilter
@@ -28,7 +29,7 @@ export class GrayScaleFilter extends ImageFilter {
    * @param {ImageData} imageData - The ImageData object containing the pixel data of the image
    *
    * @details
-   * The conversion to grayscale is done by averaging the R, G, and B values for each pixel.
+   * Delegates to the grayscale pixel kernel. The conversion to grayscale is done by averaging the R, G, and B values for each pixel.
    * The brightness adjustment is applied after the grayscale conversion.
    * The final values are clamped to the valid range of 0-255.
    *
@@ -37,15 +38,15 @@ export class GrayScaleFilter extends ImageFilter {
    * final = min(gray * brightnessIncrease, 255)
    */
   processImageData(imageData) {
-    const data = imageData.data;
-
-    for (let i = 0; i < data.length; i += 4) {
-      const gray = (data[i] + data[i + 1] + data[i + 2]) / 3;
-      const brightened = Math.min(gray * this.brightnessIncrease, 255);
+    grayscale(imageData.data, imageData.width, imageData.height, this.brightnessIncrease);
+  }
 
-      data[i] = brightened; // R
-      data[i + 1] = brightened; // G
-      data[i + 2] = brightened; // B
-    }
+  /**
+   * @method getKernelSpec
+   * @description Returns the grayscale kernel and brightness multiplier for the worker backend
+   * @returns {{kernel: string, params: Array}}
+   */
+  getKernelSpec() {
+    return { kernel: "grayscale", params: [this.brightnessIncrease] };
   }
 }
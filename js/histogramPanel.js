@@ -0,0 +1,216 @@
+/**
+ * Display modes of the histogram panel.
+ * - linear: bar heights proportional to the counts
+ * - log: bar heights proportional to log(1 + count), so small populations stay visible
+ * - cumulative: the fraction of pixels at or below each value
+ * @constant {Object<string, string>}
+ */
+export const HISTOGRAM_MODES = {
+  LINEAR: "linear",
+  LOG: "log",
+  CUMULATIVE: "cumulative",
+};
+
+const CHANNEL_COLORS = ["#e53935", "#43a047", "#1e88e5"];
+const LABEL_WIDTH = 24;
+const MARKER_HIT_DISTANCE = 5;
+
+/**
+ * @class HistogramPanel
+ * @description Draws one histogram row per channel into a canvas and overlays threshold markers.
+ * Draggable markers can be moved with the pointer; the new value is reported through onMarkerDrag,
+ * and the owner decides what it changes.
+ *
+ * @param {HTMLCanvasElement} canvas - The canvas to draw into
+ * @param {Object} [options]
+ * @param {Function} [options.onMarkerDrag] - Called as onMarkerDrag(marker, value) while a marker is dragged
+ *
+ * @example
+ * const panel = new HistogramPanel(canvas, { onMarkerDrag: (marker, value) => {} });
+ * panel.setData(histograms, ['Y', 'Cb', 'Cr']);
+ * panel.setMarkers([{ channel: 0, value: 128, draggable: true }]);
+ */
+export class HistogramPanel {
+  constructor(canvas, { onMarkerDrag = () => {} } = {}) {
+    this.canvas = canvas;
+    this.context = canvas.getContext("2d");
+    this.onMarkerDrag = onMarkerDrag;
+    this.histograms = [];
+    this.labels = [];
+    this.markers = [];
+    this.mode = HISTOGRAM_MODES.LINEAR;
+    this.dragging = null;
+
+    canvas.addEventListener("pointerdown", (e) => this.handlePointerDown(e));
+    canvas.addEventListener("pointermove", (e) => this.handlePointerMove(e));
+    canvas.addEventListener("pointerup", () => {
+      this.dragging = null;
+    });
+  }
+
+  /**
+   * @method setData
+   * @param {Array<Uint32Array>} histograms - 256 bins per channel
+   * @param {Array<string>} labels - Channel names, one per histogram
+   */
+  setData(histograms, labels) {
+    this.histograms = histograms;
+    this.labels = labels;
+    this.draw();
+  }
+
+  /**
+   * @method setMarkers
+   * @description Replaces the threshold markers. The marker being dragged, if any, keeps following the pointer.
+   * @param {Array<{channel: number, value: number, draggable: boolean, label: string}>} markers - Markers to draw
+   */
+  setMarkers(markers) {
+    if (this.dragging) {
+      const { id, channel } = this.dragging;
+      this.dragging = markers.find((marker) => marker.id === id && marker.channel === channel) || null;
+    }
+    this.markers = markers;
+    this.draw();
+  }
+
+  /**
+   * @method setMode
+   * @param {string} mode - One of HISTOGRAM_MODES
+   */
+  setMode(mode) {
+    this.mode = mode;
+    this.draw();
+  }
+
+  /**
+   * @method getRowHeight
+   * @private
+   * @returns {number} Height of one channel row in canvas pixels
+   */
+  getRowHeight() {
+    return this.canvas.height / Math.max(1, this.histograms.length);
+  }
+
+  /**
+   * @method valueToX
+   * @private
+   * @param {number} value - A value 0-255
+   * @returns {number} Its x position in canvas pixels
+   */
+  valueToX(value) {
+    return LABEL_WIDTH + ((value + 0.5) / 256) * (this.canvas.width - LABEL_WIDTH);
+  }
+
+  /**
+   * @method scaleBins
+   * @private
+   * @description Converts a histogram to bar heights between 0 and 1 according to the display mode.
+   * @param {Uint32Array} histogram - 256 bins
+   * @returns {Array<number>} 256 heights
+   */
+  scaleBins(histogram) {
+    if (this.mode === HISTOGRAM_MODES.CUMULATIVE) {
+      const total = histogram.reduce((sum, count) => sum + count, 0) || 1;
+      let running = 0;
+      return Array.from(histogram, (count) => {
+        running += count;
+        return running / total;
+      });
+    }
+    const transform = this.mode === HISTOGRAM_MODES.LOG ? Math.log1p : (count) => count;
+    const max = transform(Math.max(...histogram)) || 1;
+    return Array.from(histogram, (count) => transform(count) / max);
+  }
+
+  /**
+   * @method draw
+   * @description Redraws the histograms and markers.
+   */
+  draw() {
+    const { context, canvas } = this;
+    const rowHeight = this.getRowHeight();
+    const barWidth = (canvas.width - LABEL_WIDTH) / 256;
+
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    context.font = "11px sans-serif";
+    context.textBaseline = "middle";
+
+    this.histograms.forEach((histogram, channel) => {
+      const top = channel * rowHeight;
+      const color = CHANNEL_COLORS[channel % CHANNEL_COLORS.length];
+      context.fillStyle = "#f4f4f4";
+      context.fillRect(LABEL_WIDTH, top + 1, canvas.width - LABEL_WIDTH, rowHeight - 2);
+      context.fillStyle = color;
+      context.fillText(this.labels[channel] || "", 2, top + rowHeight / 2);
+
+      this.scaleBins(histogram).forEach((height, value) => {
+        const barHeight = height * (rowHeight - 2);
+        context.fillRect(LABEL_WIDTH + value * barWidth, top + rowHeight - 1 - barHeight, Math.max(1, barWidth), barHeight);
+      });
+    });
+
+    this.markers.forEach((marker) => {
+      const x = Math.round(this.valueToX(marker.value)) + 0.5;
+      const top = marker.channel * rowHeight;
+      context.strokeStyle = marker.draggable ? "#000" : "#888";
+      context.setLineDash(marker.draggable ? [] : [3, 2]);
+      context.beginPath();
+      context.moveTo(x, top);
+      context.lineTo(x, top + rowHeight);
+      context.stroke();
+      context.setLineDash([]);
+      context.fillStyle = context.strokeStyle;
+      context.fillText(`${marker.label} ${marker.value}`, Math.min(x + 3, canvas.width - 60), top + 8);
+    });
+  }
+
+  /**
+   * @method getPointerPosition
+   * @private
+   * @param {PointerEvent} event - The pointer event
+   * @returns {{x: number, y: number}} The pointer position in canvas pixels
+   */
+  getPointerPosition(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    return {
+      x: ((event.clientX - rect.left) / rect.width) * this.canvas.width,
+      y: ((event.clientY - rect.top) / rect.height) * this.canvas.height,
+    };
+  }
+
+  /**
+   * @method handlePointerDown
+   * @private
+   * @description Starts dragging the draggable marker under the pointer, if any.
+   * @param {PointerEvent} event - The pointer event
+   */
+  handlePointerDown(event) {
+    const { x, y } = this.getPointerPosition(event);
+    const channel = Math.floor(y / this.getRowHeight());
+    this.dragging =
+      this.markers.find(
+        (marker) =>
+          marker.draggable && marker.channel === channel && Math.abs(this.valueToX(marker.value) - x) <= MARKER_HIT_DISTANCE
+      ) || null;
+    if (this.dragging) {
+      this.canvas.setPointerCapture(event.pointerId);
+    }
+  }
+
+  /**
+   * @method handlePointerMove
+   * @private
+   * @description Moves the dragged marker to the value under the pointer and reports it.
+   * @param {PointerEvent} event - The pointer event
+   */
+  handlePointerMove(event) {
+    if (!this.dragging) return;
+    const { x } = this.getPointerPosition(event);
+    const value = Math.round(((x - LABEL_WIDTH) / (this.canvas.width - LABEL_WIDTH)) * 256 - 0.5);
+    const clamped = Math.min(255, Math.max(0, value));
+    if (clamped === this.dragging.value) return;
+    this.dragging.value = clamped;
+    this.draw();
+    this.onMarkerDrag(this.dragging, clamped);
+  }
+}
@@ -1,38 +1,75 @@
-import { CANVAS_WIDTH, CANVAS_HEIGHT } from "./constants.js";
+import { CANVAS_WIDTH, CANVAS_HEIGHT, DEFAULT_FIT_MODE } from "./constants.js";
+import { FIT_MODES, boxFromSource, boxToSource, computeFitRects, getSourceSize } from "./geometry.js";
 
 /**
  * A class that provides basic image filtering functionality using HTML5 Canvas.
+ * Each filter has its own processing resolution and fit mode (see setResolution), so a filter
+ * can work at full camera resolution while the preview grid stays small.
  * @class ImageFilter
  */
 export class ImageFilter {
   /**
    * Creates an instance of ImageFilter.
    * @constructor
-   * @param {string} canvasId - The ID of the canvas element to use for image processing.
+   * @param {string|HTMLCanvasElement|OffscreenCanvas} canvasId - The ID of the canvas element to use for
+   * image processing, or the canvas itself.
    */
   constructor(canvasId) {
-    this.canvas = document.getElementById(canvasId);
+    this.canvas = typeof canvasId === "string" ? document.getElementById(canvasId) : canvasId;
+    this.width = CANVAS_WIDTH;
+    this.height = CANVAS_HEIGHT;
+    this.fit = DEFAULT_FIT_MODE;
+    this.fitRects = computeFitRects(CANVAS_WIDTH, CANVAS_HEIGHT, CANVAS_WIDTH, CANVAS_HEIGHT);
+    // What the first three channels of the output hold, for displays such as the histogram panel
+    this.channelLabels = ["R", "G", "B"];
     this.initializeCanvas();
   }
 
   /**
-   * Initializes the canvas with predefined width and height settings.
+   * Initializes the canvas with the filter's width and height settings.
    * Sets up the 2D rendering context.
    * @private
    * @throws {Error} If canvas element is not found or context cannot be obtained
    */
   initializeCanvas() {
-    this.canvas.width = CANVAS_WIDTH;
-    this.canvas.height = CANVAS_HEIGHT;
+    this.canvas.width = this.width || CANVAS_WIDTH;
+    this.canvas.height = this.height || CANVAS_HEIGHT;
     this.context = this.canvas.getContext("2d");
   }
 
+  /**
+   * Sets the processing resolution and fit mode. Omitted values are left unchanged.
+   * @param {Object} resolution
+   * @param {?number} [resolution.width] - Width in pixels, or null to follow the source width
+   * @param {?number} [resolution.height] - Height in pixels, or null to follow the source height
+   * @param {string} [resolution.fit] - How a source of another aspect ratio is fitted, one of FIT_MODES
+   */
+  setResolution({ width = this.width, height = this.height, fit = this.fit } = {}) {
+    this.width = width;
+    this.height = height;
+    this.fit = fit;
+    this.resizeCanvas(width || this.canvas.width, height || this.canvas.height);
+  }
+
+  /**
+   * Resizes the canvas if its size differs. Resizing clears the canvas.
+   * @private
+   * @param {number} width - Width in pixels
+   * @param {number} height - Height in pixels
+   */
+  resizeCanvas(width, height) {
+    if (this.canvas.width !== width || this.canvas.height !== height) {
+      this.canvas.width = width;
+      this.canvas.height = height;
+    }
+  }
+
   /**
    * Retrieves the current image data from the canvas.
    * @returns {ImageData} The image data object containing pixel information
    */
   getImageData() {
-    return this.context.getImageData(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+    return this.context.getImageData(0, 0, this.canvas.width, this.canvas.height);
   }
 
   /**
@@ -44,11 +81,48 @@ export class ImageFilter {
   }
 
   /**
-   * Draws an image source onto the canvas with specified dimensions.
+   * Draws an image source onto the canvas at the filter's resolution, applying its fit mode.
+   * Letterboxed areas are filled with black. The rectangles used are kept in fitRects so boxes
+   * can be mapped between this canvas and the source (see toSourceBox and fromSourceBox).
    * @param {HTMLImageElement|HTMLVideoElement|HTMLCanvasElement} source - The source image to draw
    */
   drawImage(source) {
-    this.context.drawImage(source, 0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+    const sourceSize = getSourceSize(source);
+    const width = this.width || sourceSize.width || CANVAS_WIDTH;
+    const height = this.height || sourceSize.height || CANVAS_HEIGHT;
+    this.resizeCanvas(width, height);
+
+    if (!sourceSize.width || !sourceSize.height) {
+      // Size not known yet (e.g. video still loading), draw as before without a fit
+      this.context.drawImage(source, 0, 0, width, height);
+      return;
+    }
+
+    const rects = computeFitRects(sourceSize.width, sourceSize.height, width, height, this.fit);
+    this.fitRects = rects;
+    if (this.fit === FIT_MODES.LETTERBOX) {
+      this.context.fillStyle = "#000";
+      this.context.fillRect(0, 0, width, height);
+    }
+    this.context.drawImage(source, rects.sx, rects.sy, rects.sw, rects.sh, rects.dx, rects.dy, rects.dw, rects.dh);
+  }
+
+  /**
+   * Maps a box on this canvas to the coordinates of the source last drawn.
+   * @param {{x: number, y: number, width: number, height: number}} box - Box in canvas coordinates
+   * @returns {{x: number, y: number, width: number, height: number}} Box in source coordinates
+   */
+  toSourceBox(box) {
+    return boxToSource(box, this.fitRects);
+  }
+
+  /**
+   * Maps a box in source coordinates onto this canvas.
+   * @param {{x: number, y: number, width: number, height: number}} box - Box in source coordinates
+   * @returns {{x: number, y: number, width: number, height: number}} Box in canvas coordinates
+   */
+  fromSourceBox(box) {
+    return boxFromSource(box, this.fitRects);
   }
 
   /**
@@ -63,6 +137,25 @@ export class ImageFilter {
     this.putImageData(imageData);
   }
 
+  /**
+   * Assigns parameter values to the filter, e.g. `{ brightnessIncrease: 1.5 }` for GrayScaleFilter.
+   * Used by FilterPipeline to apply per-node parameters from configuration.
+   * @param {Object} params - Property values to assign
+   */
+  setParams(params) {
+    Object.assign(this, params);
+  }
+
+  /**
+   * Describes the filter's pixel kernel so the filter can run off the main thread.
+   * Filters that need the DOM or face-api.js return null and always run on the main thread.
+   * @returns {?{kernel: string, params: Array}} The kernel name from KERNELS and the arguments
+   * that follow width and height, or null
+   */
+  getKernelSpec() {
+    return null;
+  }
+
   /**
    * Abstract method to be implemented by child classes for actual image processing.
    * @abstract
@@ -1,4 +1,5 @@
 import { ImageProcessorApp } from "./app.js";
+import { registerDefaultFilters } from "./defaultFilters.js";
 import { CANVAS_WIDTH, CANVAS_HEIGHT } from "./constants.js";
 
 /**
@@ -13,9 +14,13 @@ import { CANVAS_WIDTH, CANVAS_HEIGHT } from "./constants.js";
 class ImageProcessing {
   /**
    * @constructor
-   * @description Initializes the ImageProcessing class and checks for DOM loading before setup
+   * @description Initializes the ImageProcessing class and checks for DOM loading before setup.
+   * The built-in filters are registered synchronously, before any plugin module registered after
+   * this script runs, so they keep their place at the start of the grid.
    */
   constructor() {
+    registerDefaultFilters();
+
     // Initialize the application when DOM is loaded
     this.checkDOMLoaded().then(() => {
       this.initializeApp();
@@ -109,6 +114,9 @@ class ImageProcessing {
    * // 3: YCbCr effect
    * // 4: Pixelation effect
    * // C: Capture frame
+   * // E: Export grid
+   * // L: Start/Stop live processing
+   * // P: Pause/Resume live processing
    * // S: Start/Stop camera
    */
   setupKeyboardShortcuts() {
@@ -118,6 +126,9 @@ class ImageProcessing {
       { key: "3", description: "Apply YCbCr effect to detected face" },
       { key: "4", description: "Apply pixelation effect to detected face" },
       { key: "C", description: "Capture and process current frame" },
+      { key: "E", description: "Export the whole grid as an image" },
+      { key: "L", description: "Start/Stop live processing" },
+      { key: "P", description: "Pause/Resume live processing" },
       { key: "S", description: "Start/Stop camera" },
     ];
 
@@ -136,8 +147,16 @@ class ImageProcessing {
 
     // Add global keyboard handlers
     document.addEventListener("keydown", (e) => {
+      // Letters typed into a form field, e.g. a name to enrol, are not shortcuts
+      if (e.target.closest && e.target.closest("input, select, textarea")) return;
       if (e.key.toLowerCase() === "c") {
         document.getElementById("captureImage").click();
+      } else if (e.key.toLowerCase() === "e") {
+        document.getElementById("exportGrid").click();
+      } else if (e.key.toLowerCase() === "l") {
+        document.getElementById("startLive").click();
+      } else if (e.key.toLowerCase() === "p") {
+        document.getElementById("pauseLive").click();
       } else if (e.key.toLowerCase() === "s") {
         document.getElementById("startCamera").click();
       }
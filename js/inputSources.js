@@ -0,0 +1,273 @@
+import { VIDEO_STEP_FPS } from "./constants.js";
+
+/**
+ * @fileoverview Input sources that feed frames into the filter pipeline
+ * @module inputSources
+ *
+ * Every source exposes a drawable element (video or image) through getElement(), so filters,
+ * face detection and face effects work the same way whatever the frames come from.
+ */
+
+/**
+ * @class InputSource
+ * @description Base class of all input sources.
+ * @param {string} kind - Source type ('webcam', 'image' or 'video')
+ * @param {string} label - Human-readable name shown in the UI
+ */
+export class InputSource {
+  constructor(kind, label) {
+    this.kind = kind;
+    this.label = label;
+  }
+
+  /**
+   * @method getElement
+   * @abstract
+   * @returns {HTMLVideoElement|HTMLImageElement} The element frames are drawn from
+   */
+  getElement() {
+    throw new Error("getElement must be implemented by child classes");
+  }
+
+  /**
+   * @method isReady
+   * @returns {boolean} True once the element has a frame to draw
+   */
+  isReady() {
+    return true;
+  }
+
+  /**
+   * @method getCurrentTime
+   * @returns {number} Position of the current frame in seconds; a still image always shows the frame at 0
+   */
+  getCurrentTime() {
+    return 0;
+  }
+
+  /**
+   * @method load
+   * @async
+   * @description Prepares the source. Resolves once the first frame is available.
+   * @returns {Promise<void>}
+   */
+  async load() {}
+
+  /**
+   * @method dispose
+   * @description Releases the resources held by the source.
+   */
+  dispose() {}
+}
+
+/**
+ * @class WebcamSource
+ * @extends InputSource
+ * @description The live camera. The stream itself is owned by CameraManager; this source only
+ * exposes its video element to the pipeline.
+ * @param {HTMLVideoElement} video - The video element the camera stream is attached to
+ */
+export class WebcamSource extends InputSource {
+  constructor(video) {
+    super("webcam", "Webcam Image");
+    this.video = video;
+  }
+
+  getElement() {
+    return this.video;
+  }
+
+  isReady() {
+    return this.video.readyState >= HTMLMediaElement.HAVE_CURRENT_DATA;
+  }
+
+  getCurrentTime() {
+    return this.video.currentTime;
+  }
+}
+
+/**
+ * @class ImageFileSource
+ * @extends InputSource
+ * @description A still image loaded from a file. The same frame is processed every time.
+ * @param {File|Blob} file - The image file
+ */
+export class ImageFileSource extends InputSource {
+  constructor(file) {
+    super("image", file.name || "Image file");
+    this.url = URL.createObjectURL(file);
+    this.image = new Image();
+  }
+
+  getElement() {
+    return this.image;
+  }
+
+  isReady() {
+    return this.image.complete && this.image.naturalWidth > 0;
+  }
+
+  /**
+   * @method load
+   * @async
+   * @returns {Promise<void>}
+   * @throws {Error} If the file cannot be decoded as an image
+   */
+  async load() {
+    this.image.src = this.url;
+    await this.image.decode();
+  }
+
+  dispose() {
+    URL.revokeObjectURL(this.url);
+  }
+}
+
+/**
+ * @class VideoFileSource
+ * @extends InputSource
+ * @description A recorded clip loaded from a file, with play, pause, seek and frame-step controls.
+ * @param {File|Blob} file - The video file
+ * @param {number} [frameRate=VIDEO_STEP_FPS] - Frame rate assumed when stepping frame by frame
+ */
+export class VideoFileSource extends InputSource {
+  constructor(file, frameRate = VIDEO_STEP_FPS) {
+    super("video", file.name || "Video file");
+    this.url = URL.createObjectURL(file);
+    this.frameRate = frameRate;
+    this.video = document.createElement("video");
+    this.video.muted = true;
+    this.video.loop = true;
+    this.video.playsInline = true;
+  }
+
+  getElement() {
+    return this.video;
+  }
+
+  isReady() {
+    return this.video.readyState >= HTMLMediaElement.HAVE_CURRENT_DATA;
+  }
+
+  /**
+   * @method load
+   * @async
+   * @returns {Promise<void>}
+   * @throws {Error} If the file cannot be decoded as a video
+   */
+  async load() {
+    await new Promise((resolve, reject) => {
+      this.video.addEventListener("loadeddata", resolve, { once: true });
+      this.video.addEventListener("error", () => reject(new Error(`Cannot play ${this.label}`)), { once: true });
+      this.video.src = this.url;
+    });
+  }
+
+  /**
+   * @method play
+   * @returns {Promise<void>}
+   */
+  play() {
+    return this.video.play();
+  }
+
+  /**
+   * @method pause
+   */
+  pause() {
+    this.video.pause();
+  }
+
+  /**
+   * @method isPaused
+   * @returns {boolean}
+   */
+  isPaused() {
+    return this.video.paused;
+  }
+
+  /**
+   * @method getDuration
+   * @returns {number} Clip length in seconds, 0 until known
+   */
+  getDuration() {
+    return Number.isFinite(this.video.duration) ? this.video.duration : 0;
+  }
+
+  /**
+   * @method getCurrentTime
+   * @returns {number} Playback position in seconds
+   */
+  getCurrentTime() {
+    return this.video.currentTime;
+  }
+
+  /**
+   * @method seek
+   * @async
+   * @description Moves to a position in the clip and resolves once the frame there is decoded.
+   * @param {number} seconds - Target position, clamped to the clip length
+   * @returns {Promise<void>}
+   */
+  seek(seconds) {
+    const target = Math.min(Math.max(0, seconds), this.getDuration());
+    return new Promise((resolve) => {
+      this.video.addEventListener("seeked", () => resolve(), { once: true });
+      this.video.currentTime = target;
+    });
+  }
+
+  /**
+   * @method step
+   * @async
+   * @description Pauses playback and moves by a number of frames.
+   * @param {number} [frames=1] - Frames to move; negative values step backwards
+   * @returns {Promise<void>}
+   */
+  step(frames = 1) {
+    this.pause();
+    return this.seek(this.video.currentTime + frames / this.frameRate);
+  }
+
+  dispose() {
+    this.video.pause();
+    this.video.removeAttribute("src");
+    this.video.load();
+    URL.revokeObjectURL(this.url);
+  }
+}
+
+/**
+ * Creates the right source for a file based on its MIME type.
+ * @param {File} file - An image or video file
+ * @returns {ImageFileSource|VideoFileSource} The source, not loaded yet
+ * @throws {Error} If the file is neither an image nor a video
+ */
+export function createFileSource(file) {
+  if (file.type.startsWith("image/")) {
+    return new ImageFileSource(file);
+  }
+  if (file.type.startsWith("video/")) {
+    return new VideoFileSource(file);
+  }
+  throw new Error(`Unsupported file type: ${file.type || file.name}`);
+}
+
+/**
+ * Lets image and video files be dropped onto an element.
+ * @param {HTMLElement} target - The drop target
+ * @param {Function} onFile - Called with the first dropped file
+ */
+export function enableFileDrop(target, onFile) {
+  target.addEventListener("dragover", (e) => {
+    e.preventDefault();
+    target.classList.add("drag-over");
+  });
+  target.addEventListener("dragleave", () => target.classList.remove("drag-over"));
+  target.addEventListener("drop", (e) => {
+    e.preventDefault();
+    target.classList.remove("drag-over");
+    const [file] = e.dataTransfer.files;
+    if (file) onFile(file);
+  });
+}
@@ -1,5 +1,8 @@
 import { ImageFilter } from "./imageFilter.js";
 import { BLOCK_SIZE, BLUR_RADIUS } from "./constants.js";
+import { clampBox } from "./geometry.js";
+import { rgbToYCbCr } from "./pixelKernels.js";
+import { FACE_PARTS, partRegion } from "./faceLandmarks.js";
 
 /**
  * Class representing a face filter that applies various masking effects to detected faces.
@@ -19,19 +22,137 @@ export class MaskFaceFilter extends ImageFilter {
       pixelate: this.applyPixelateMask.bind(this),
       ycbcr: this.applyYCbCrMask.bind(this),
     };
+    this.activeEffect = null;
+    // Effect and face part by face track ID, for effects that differ from face to face
+    this.faceEffects = new Map();
+    // Effects painted since the canvas was last redrawn, see getAppliedEffects
+    this.appliedEffects = [];
+  }
+
+  /**
+   * Assigns an effect to a tracked face, or removes its effect.
+   * @param {number} faceId - The track ID of the face.
+   * @param {?string} effect - The name of the effect, or null to leave the face untouched.
+   * @param {string} [part=FACE_PARTS.FACE] - The part of the face the effect covers, one of FACE_PARTS.
+   * @throws {Error} If the effect or the part is unknown.
+   */
+  setFaceEffect(faceId, effect, part = FACE_PARTS.FACE) {
+    if (!effect) {
+      this.faceEffects.delete(faceId);
+      return;
+    }
+    if (!this.effectHandlers[effect]) {
+      throw new Error(`Unknown face effect: ${effect}`);
+    }
+    if (!Object.values(FACE_PARTS).includes(part)) {
+      throw new Error(`Unknown face part: ${part}`);
+    }
+    this.faceEffects.set(faceId, { effect, part });
+  }
+
+  /**
+   * Returns the effect assigned to a tracked face.
+   * @param {number} faceId - The track ID of the face.
+   * @returns {?{effect: string, part: string}} The effect and the face part it covers, or null if the face has none.
+   */
+  getFaceEffect(faceId) {
+    return this.faceEffects.get(faceId) || null;
+  }
+
+  /**
+   * Forgets the effects of faces that are no longer tracked, or of every face when no IDs are given.
+   * @param {Array<number>} [faceIds=[]] - Track IDs whose effects are kept.
+   */
+  clearFaceEffects(faceIds = []) {
+    const kept = new Set(faceIds);
+    [...this.faceEffects.keys()].forEach(faceId => {
+      if (!kept.has(faceId)) this.faceEffects.delete(faceId);
+    });
+  }
+
+  /**
+   * Applies the assigned effect of each face to the assigned part; faces without an effect are left
+   * untouched. Eye and mouth effects need the face landmarks and cover the whole face without them.
+   * @param {Array<{id: number, box: Object, landmarks: ?Object, effect: ?Object}>} faces - The faces, with
+   * their boxes and grouped landmarks on this canvas. A face's own effect ({ effect, part }) is used
+   * when none was assigned to its ID with setFaceEffect.
+   * @param {HTMLCanvasElement} sourceCanvas - The source canvas containing the original image.
+   * @param {Function} [toSourceRegion] - Maps a region on this canvas to the source canvas; by default
+   * both canvases are taken to have the same coordinates.
+   */
+  applyFaceEffects(faces, sourceCanvas, toSourceRegion = region => region) {
+    faces.forEach(({ id, box, landmarks, effect }) => {
+      const assigned = this.faceEffects.get(id) || effect;
+      if (!assigned) return;
+      const region = partRegion(box, landmarks, assigned.part);
+      if (this.applyEffect(assigned.effect, region, sourceCanvas, toSourceRegion(region))) {
+        this.appliedEffects.push({ id, effect: assigned.effect, part: assigned.part });
+      }
+    });
+  }
+
+  /**
+   * Applies an effect to the whole canvas, e.g. when no face can be located.
+   * @param {string} effect - The name of the effect to apply.
+   * @param {HTMLCanvasElement} sourceCanvas - The source canvas containing the original image.
+   * @param {Object} [sourceRegion] - The whole canvas in source canvas coordinates; by default both
+   * canvases are taken to have the same coordinates.
+   */
+  applyFrameEffect(effect, sourceCanvas, sourceRegion) {
+    const frame = { x: 0, y: 0, width: this.canvas.width, height: this.canvas.height };
+    if (this.applyEffect(effect, frame, sourceCanvas, sourceRegion || frame)) {
+      this.appliedEffects.push({ id: null, effect, part: null });
+    }
+  }
+
+  /**
+   * Returns the effects painted on the canvas since it was last redrawn, e.g. to describe a snapshot.
+   * @returns {?Array<{id: ?number, effect: string, part: ?string}>} The effects with the track ID and
+   * face part they were applied to (null for the whole frame), or null if none were applied.
+   */
+  getAppliedEffects() {
+    return this.appliedEffects.length > 0 ? [...this.appliedEffects] : null;
+  }
+
+  /**
+   * Forgets the applied effects; call this whenever the canvas is redrawn.
+   */
+  clearAppliedEffects() {
+    this.appliedEffects = [];
   }
 
   /**
    * Applies the specified effect to a face region.
+   * The region is clamped to the canvas. When the source canvas has a different resolution than this
+   * canvas, pass the matching region in source coordinates as sourceRegion; it is scaled to fit.
+   * The name of the last applied effect is kept in activeEffect.
    * @param {string} effect - The name of the effect to apply ('grayscale', 'blur', 'pixelate', or 'ycbcr').
    * @param {Object} faceRegion - The region coordinates and dimensions of the detected face.
    * @param {HTMLCanvasElement} sourceCanvas - The source canvas containing the original image.
+   * @param {Object} [sourceRegion=faceRegion] - The same region in source canvas coordinates.
+   * @returns {boolean} False if the effect is unknown or the region lies outside the canvas.
    */
-  applyEffect(effect, faceRegion, sourceCanvas) {
+  applyEffect(effect, faceRegion, sourceCanvas, sourceRegion = faceRegion) {
     const handler = this.effectHandlers[effect];
-    if (handler) {
-      handler(faceRegion, sourceCanvas);
-    }
+    const region = clampBox(faceRegion, this.canvas.width, this.canvas.height);
+    if (!handler || region.width <= 0 || region.height <= 0) return false;
+    handler(region, sourceCanvas, sourceRegion);
+    this.activeEffect = effect;
+    return true;
+  }
+
+  /**
+   * Draws an image rotated and scaled to a placement, e.g. glasses on the eye line.
+   * @param {CanvasImageSource} image - The overlay image.
+   * @param {{x: number, y: number, angle: number, width: number, height: number}} placement - The centre,
+   * rotation in radians and size of the overlay (see overlayPlacement).
+   */
+  drawOverlay(image, { x, y, angle, width, height }) {
+    this.context.save();
+    this.context.translate(x, y);
+    this.context.rotate(angle);
+    this.context.drawImage(image, -width / 2, -height / 2, width, height);
+    this.context.restore();
   }
 
   /**
@@ -39,9 +160,10 @@ export class MaskFaceFilter extends ImageFilter {
    * Each pixel's RGB channels are set to the average of their original values.
    * @param {Object} faceRegion - The region coordinates and dimensions of the detected face.
    * @param {HTMLCanvasElement} sourceCanvas - The source canvas containing the original image.
+   * @param {Object} sourceRegion - The face region in source canvas coordinates.
    */
-  applyGrayscaleMask(faceRegion, sourceCanvas) {
-    const imageData = this.getRegionImageData(faceRegion, sourceCanvas);
+  applyGrayscaleMask(faceRegion, sourceCanvas, sourceRegion) {
+    const imageData = this.getRegionImageData(faceRegion, sourceCanvas, sourceRegion);
     const data = imageData.data;
 
     for (let i = 0; i < data.length; i += 4) {
@@ -59,41 +181,14 @@ export class MaskFaceFilter extends ImageFilter {
    * Uses CSS blur filter with a predefined radius (BLUR_RADIUS).
    * @param {Object} faceRegion - The region coordinates and dimensions of the detected face.
    * @param {HTMLCanvasElement} sourceCanvas - The source canvas containing the original image.
+   * @param {Object} sourceRegion - The face region in source canvas coordinates.
    */
-  applyBlurMask(faceRegion, sourceCanvas) {
-    this.context.filter = `blur(${BLUR_RADIUS}px)`;
-    const tempCanvas = document.createElement("canvas");
-    tempCanvas.width = faceRegion.width;
-    tempCanvas.height = faceRegion.height;
-    const tempCtx = tempCanvas.getContext("2d");
-
-    // Draw the face region from source canvas to temp canvas
-    tempCtx.drawImage(
-      sourceCanvas,
-      faceRegion.x,
-      faceRegion.y,
-      faceRegion.width,
-      faceRegion.height,
-      0,
-      0,
-      faceRegion.width,
-      faceRegion.height
-    );
+  applyBlurMask(faceRegion, sourceCanvas, sourceRegion) {
+    // Draw the face region from source canvas to temp canvas, blurred
+    const tempCanvas = this.drawSourceRegion(faceRegion, sourceCanvas, sourceRegion, `blur(${BLUR_RADIUS}px)`);
 
-    // Apply blur
-    this.context.filter = "none";
     this.context.clearRect(faceRegion.x, faceRegion.y, faceRegion.width, faceRegion.height);
-    this.context.drawImage(
-      tempCanvas,
-      0,
-      0,
-      faceRegion.width,
-      faceRegion.height,
-      faceRegion.x,
-      faceRegion.y,
-      faceRegion.width,
-      faceRegion.height
-    );
+    this.context.drawImage(tempCanvas, faceRegion.x, faceRegion.y);
   }
 
   /**
@@ -101,25 +196,12 @@ export class MaskFaceFilter extends ImageFilter {
    * Divides the region into blocks of size BLOCK_SIZE and fills each with average color.
    * @param {Object} faceRegion - The region coordinates and dimensions of the detected face.
    * @param {HTMLCanvasElement} sourceCanvas - The source canvas containing the original image.
+   * @param {Object} sourceRegion - The face region in source canvas coordinates.
    */
-  applyPixelateMask(faceRegion, sourceCanvas) {
-    const tempCanvas = document.createElement("canvas");
-    tempCanvas.width = faceRegion.width;
-    tempCanvas.height = faceRegion.height;
-    const tempCtx = tempCanvas.getContext("2d");
-
+  applyPixelateMask(faceRegion, sourceCanvas, sourceRegion) {
     // Draw face region from source canvas to temp canvas
-    tempCtx.drawImage(
-      sourceCanvas,
-      faceRegion.x,
-      faceRegion.y,
-      faceRegion.width,
-      faceRegion.height,
-      0,
-      0,
-      faceRegion.width,
-      faceRegion.height
-    );
+    const tempCanvas = this.drawSourceRegion(faceRegion, sourceCanvas, sourceRegion);
+    const tempCtx = tempCanvas.getContext("2d");
 
     // Process blocks
     for (let y = 0; y < faceRegion.height; y += BLOCK_SIZE) {
@@ -136,56 +218,63 @@ export class MaskFaceFilter extends ImageFilter {
     }
 
     // Draw pixelated result back
-    this.context.drawImage(
-      tempCanvas,
-      0,
-      0,
-      faceRegion.width,
-      faceRegion.height,
-      faceRegion.x,
-      faceRegion.y,
-      faceRegion.width,
-      faceRegion.height
-    );
+    this.context.drawImage(tempCanvas, faceRegion.x, faceRegion.y);
   }
 
   /**
    * Converts the face region to YCbCr color space from RGB.
    * Y (luminance), Cb (blue-difference), Cr (red-difference) components are calculated
-   * using standard conversion formulas.
+   * by the same rgbToYCbCr kernel as the YCbCr filter, so both use the RGB_TO_YCBCR coefficients.
    * @param {Object} faceRegion - The region coordinates and dimensions of the detected face.
    * @param {HTMLCanvasElement} sourceCanvas - The source canvas containing the original image.
+   * @param {Object} sourceRegion - The face region in source canvas coordinates.
    */
-  applyYCbCrMask(faceRegion, sourceCanvas) {
-    const imageData = this.getRegionImageData(faceRegion, sourceCanvas);
-    const data = imageData.data;
-
-    for (let i = 0; i < data.length; i += 4) {
-      const r = data[i];
-      const g = data[i + 1];
-      const b = data[i + 2];
-
-      const y = 0.299 * r + 0.587 * g + 0.114 * b;
-      const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
-      const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+  applyYCbCrMask(faceRegion, sourceCanvas, sourceRegion) {
+    const imageData = this.getRegionImageData(faceRegion, sourceCanvas, sourceRegion);
+    rgbToYCbCr(imageData.data, imageData.width, imageData.height);
+    this.putRegionImageData(imageData, faceRegion);
+  }
 
-      data[i] = y;
-      data[i + 1] = cb;
-      data[i + 2] = cr;
-    }
+  /**
+   * Draws a region of the source canvas into a temporary canvas the size of the face region,
+   * scaling it if the source region has a different size.
+   * @param {Object} region - The face region on this canvas; its size is the temporary canvas size.
+   * @param {HTMLCanvasElement} sourceCanvas - The source canvas containing the original image.
+   * @param {Object} sourceRegion - The face region in source canvas coordinates.
+   * @param {string} [filter="none"] - A CSS filter applied while drawing.
+   * @returns {HTMLCanvasElement} The temporary canvas.
+   */
+  drawSourceRegion(region, sourceCanvas, sourceRegion, filter = "none") {
+    const tempCanvas = document.createElement("canvas");
+    tempCanvas.width = region.width;
+    tempCanvas.height = region.height;
+    const tempCtx = tempCanvas.getContext("2d");
 
-    this.putRegionImageData(imageData, faceRegion);
+    tempCtx.filter = filter;
+    tempCtx.drawImage(
+      sourceCanvas,
+      sourceRegion.x,
+      sourceRegion.y,
+      sourceRegion.width,
+      sourceRegion.height,
+      0,
+      0,
+      region.width,
+      region.height
+    );
+    return tempCanvas;
   }
 
   /**
    * Retrieves the image data for a specific region from the source canvas.
-   * @param {Object} region - The region coordinates and dimensions to get data from.
+   * @param {Object} region - The region coordinates and dimensions on this canvas.
    * @param {HTMLCanvasElement} sourceCanvas - The source canvas containing the original image.
-   * @returns {ImageData} The image data for the specified region.
+   * @param {Object} [sourceRegion=region] - The same region in source canvas coordinates.
+   * @returns {ImageData} The image data for the specified region, at the size of region.
    */
-  getRegionImageData(region, sourceCanvas) {
-    const ctx = sourceCanvas.getContext("2d");
-    return ctx.getImageData(region.x, region.y, region.width, region.height);
+  getRegionImageData(region, sourceCanvas, sourceRegion = region) {
+    const tempCanvas = this.drawSourceRegion(region, sourceCanvas, sourceRegion);
+    return tempCanvas.getContext("2d").getImageData(0, 0, region.width, region.height);
   }
 
   /**
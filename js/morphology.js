@@ -0,0 +1,167 @@
+import { writeMask } from "./thresholding.js";
+import { maskFromData } from "./regionAnalysis.js";
+
+/**
+ * @fileoverview Binary morphology on masks
+ * @module morphology
+ *
+ * Masks are Uint8Array planes with 1 for foreground and 0 for background, as produced by
+ * thresholding.js. A structuring element is a list of [dx, dy] offsets around the centre pixel.
+ * Offsets that fall outside the image are ignored, so erosion does not eat in from the borders.
+ * Like the pixel kernels, nothing here touches the DOM.
+ *
+ * @example
+ * const element = createStructuringElement(STRUCTURING_ELEMENTS.DISK, 2);
+ * const cleaned = applyMorphology(mask, width, height, MORPHOLOGY_OPERATIONS.OPEN, element);
+ */
+
+/**
+ * Shapes of structuring element.
+ * - square: every offset within the radius in both directions
+ * - cross: the centre row and column
+ * - disk: offsets within the radius of the centre
+ * @constant {Object<string, string>}
+ */
+export const STRUCTURING_ELEMENTS = {
+  SQUARE: "square",
+  CROSS: "cross",
+  DISK: "disk",
+};
+
+/**
+ * Morphology operations.
+ * - erode: keeps pixels whose whole neighbourhood is foreground
+ * - dilate: sets pixels with any foreground in their neighbourhood
+ * - open: erode then dilate, removing specks smaller than the element
+ * - close: dilate then erode, filling holes smaller than the element
+ * - gradient: dilation minus erosion, the outline of each shape
+ * - topHat: the mask minus its opening, only the specks that opening removes
+ * @constant {Object<string, string>}
+ */
+export const MORPHOLOGY_OPERATIONS = {
+  ERODE: "erode",
+  DILATE: "dilate",
+  OPEN: "open",
+  CLOSE: "close",
+  GRADIENT: "gradient",
+  TOP_HAT: "topHat",
+};
+
+/**
+ * Builds a structuring element.
+ * @param {string} shape - One of STRUCTURING_ELEMENTS
+ * @param {number} radius - Distance from the centre to the edge of the element in pixels
+ * @returns {Array<Array<number>>} [dx, dy] offsets, including [0, 0]
+ * @throws {Error} If the shape is unknown
+ */
+export function createStructuringElement(shape, radius) {
+  if (!Object.values(STRUCTURING_ELEMENTS).includes(shape)) {
+    throw new Error(`Unknown structuring element "${shape}"`);
+  }
+  const offsets = [];
+  for (let dy = -radius; dy <= radius; dy++) {
+    for (let dx = -radius; dx <= radius; dx++) {
+      const inside =
+        shape === STRUCTURING_ELEMENTS.SQUARE ||
+        (shape === STRUCTURING_ELEMENTS.CROSS && (dx === 0 || dy === 0)) ||
+        // Half a pixel of slack rounds the disk off; radius 1 gives a plus, radius 2 a 5x5 without corners
+        (shape === STRUCTURING_ELEMENTS.DISK && dx * dx + dy * dy <= radius * radius + radius / 2);
+      if (inside) {
+        offsets.push([dx, dy]);
+      }
+    }
+  }
+  return offsets;
+}
+
+/**
+ * Sets each pixel to the minimum (erosion) or maximum (dilation) of its neighbourhood.
+ * @private
+ */
+function rankFilter(mask, width, height, element, keepIfAll) {
+  const result = new Uint8Array(mask.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let value = keepIfAll ? 1 : 0;
+      for (const [dx, dy] of element) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+        if (mask[ny * width + nx] !== value) {
+          value = 1 - value;
+          break;
+        }
+      }
+      result[y * width + x] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Erodes a mask: a pixel stays foreground only if every pixel under the element is foreground.
+ * @param {Uint8Array} mask - 1 for foreground, 0 for background
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {Array<Array<number>>} element - The structuring element
+ * @returns {Uint8Array} The eroded mask
+ */
+export function erode(mask, width, height, element) {
+  return rankFilter(mask, width, height, element, true);
+}
+
+/**
+ * Dilates a mask: a pixel becomes foreground if any pixel under the element is foreground.
+ * @param {Uint8Array} mask - 1 for foreground, 0 for background
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {Array<Array<number>>} element - The structuring element
+ * @returns {Uint8Array} The dilated mask
+ */
+export function dilate(mask, width, height, element) {
+  return rankFilter(mask, width, height, element, false);
+}
+
+/**
+ * Applies any of MORPHOLOGY_OPERATIONS.
+ * @param {Uint8Array} mask - 1 for foreground, 0 for background
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {string} operation - One of MORPHOLOGY_OPERATIONS
+ * @param {Array<Array<number>>} element - The structuring element
+ * @returns {Uint8Array} A new mask
+ * @throws {Error} If the operation is unknown
+ */
+export function applyMorphology(mask, width, height, operation, element) {
+  const difference = (a, b) => a.map((value, p) => (value && !b[p] ? 1 : 0));
+  switch (operation) {
+    case MORPHOLOGY_OPERATIONS.ERODE:
+      return erode(mask, width, height, element);
+    case MORPHOLOGY_OPERATIONS.DILATE:
+      return dilate(mask, width, height, element);
+    case MORPHOLOGY_OPERATIONS.OPEN:
+      return dilate(erode(mask, width, height, element), width, height, element);
+    case MORPHOLOGY_OPERATIONS.CLOSE:
+      return erode(dilate(mask, width, height, element), width, height, element);
+    case MORPHOLOGY_OPERATIONS.GRADIENT:
+      return difference(dilate(mask, width, height, element), erode(mask, width, height, element));
+    case MORPHOLOGY_OPERATIONS.TOP_HAT:
+      return difference(mask, applyMorphology(mask, width, height, MORPHOLOGY_OPERATIONS.OPEN, element));
+    default:
+      throw new Error(`Unknown morphology operation "${operation}"`);
+  }
+}
+
+/**
+ * Applies a morphology operation to RGBA mask data (see maskFromData) and writes the result back
+ * as white on black. Every pixel is made opaque.
+ * @param {Uint8ClampedArray} data - RGBA mask data, modified in place
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {string} operation - One of MORPHOLOGY_OPERATIONS
+ * @param {string} shape - One of STRUCTURING_ELEMENTS
+ * @param {number} radius - Radius of the structuring element in pixels
+ */
+export function morphologyMask(data, width, height, operation, shape, radius) {
+  writeMask(applyMorphology(maskFromData(data), width, height, operation, createStructuringElement(shape, radius)), data);
+}
@@ -0,0 +1,47 @@
+import { ImageFilter } from "./imageFilter.js";
+import { MORPHOLOGY_OPERATIONS, STRUCTURING_ELEMENTS, morphologyMask } from "./morphology.js";
+import { DEFAULT_MORPHOLOGY_RADIUS } from "./constants.js";
+
+/**
+ * @class MorphologyFilter
+ * @extends ImageFilter
+ * @description A filter that cleans up the binary output of a threshold filter with one of
+ * MORPHOLOGY_OPERATIONS. Any non-black pixel of the input counts as foreground, so it can follow
+ * the channel, HSV or YCbCr thresholds alike; the output is white on black.
+ *
+ * @param {string} canvasId - The ID of the canvas element to apply the filter to
+ *
+ * @property {string} operation - One of MORPHOLOGY_OPERATIONS
+ * @property {string} shape - Shape of the structuring element, one of STRUCTURING_ELEMENTS
+ * @property {number} radius - Radius of the structuring element in pixels
+ *
+ * @example
+ * // Fill small holes in a skin mask
+ * filter.setParams({ operation: 'close', shape: 'disk', radius: 2 });
+ */
+export class MorphologyFilter extends ImageFilter {
+  constructor(canvasId) {
+    super(canvasId);
+    this.operation = MORPHOLOGY_OPERATIONS.OPEN;
+    this.shape = STRUCTURING_ELEMENTS.SQUARE;
+    this.radius = DEFAULT_MORPHOLOGY_RADIUS;
+  }
+
+  /**
+   * @method processImageData
+   * @description Applies the operation with the morphologyMask kernel.
+   * @param {ImageData} imageData - The image data to process
+   */
+  processImageData(imageData) {
+    morphologyMask(imageData.data, imageData.width, imageData.height, this.operation, this.shape, this.radius);
+  }
+
+  /**
+   * @method getKernelSpec
+   * @description Returns the morphologyMask kernel with the current operation and element, for the worker backend.
+   * @returns {{kernel: string, params: Array}}
+   */
+  getKernelSpec() {
+    return { kernel: "morphologyMask", params: [this.operation, this.shape, this.radius] };
+  }
+}
@@ -0,0 +1,193 @@
+import { ImageFilter } from "./imageFilter.js";
+import { BackgroundModel, BACKGROUND_METHODS } from "./backgroundModel.js";
+import { labelComponents } from "./regionAnalysis.js";
+import { writeMask } from "./thresholding.js";
+import {
+  DEFAULT_LEARNING_RATE,
+  DEFAULT_MOTION_SENSITIVITY,
+  DEFAULT_MOTION_COOLDOWN,
+  DEFAULT_MIN_MOTION_AREA,
+} from "./constants.js";
+
+/**
+ * @class MotionFilter
+ * @extends ImageFilter
+ * @description A filter that detects motion against a learned background. It is meant to read the
+ * WebcamRepeatFilter canvas. The output is the foreground mask, with the changed regions of at least
+ * minArea pixels outlined as motion boxes.
+ *
+ * The filter dispatches events, so other features (auto-capture, recording) can react to motion:
+ * - `motionstart` - motion was found while idle; `detail` is `{ boxes, time }`
+ * - `motionstop` - no motion was found for `cooldown` milliseconds; `detail` is `{ duration, time }`.
+ *   A timer measures the cooldown, so this also fires when no more frames arrive (live paused, camera
+ *   stopped, filter disabled).
+ *
+ * @param {string} canvasId - The ID of the canvas element to apply the filter to
+ *
+ * @property {string} method - How the background is learned, one of BACKGROUND_METHODS
+ * @property {number} learningRate - How fast the background adapts (see BackgroundModel)
+ * @property {number} sensitivity - 0 to 100; at 100 any change in luminance is foreground
+ * @property {number} cooldown - Milliseconds without motion before motionstop is dispatched
+ * @property {number} minArea - Smallest changed region, in pixels, that counts as motion
+ * @property {boolean} showBoxes - Whether motion boxes are drawn on the output
+ * @property {Array<{x: number, y: number, width: number, height: number, area: number}>} boxes - Motion boxes of the last frame
+ * @property {boolean} moving - Whether motion is in progress (between motionstart and motionstop)
+ *
+ * @example
+ * filter.addEventListener('motionstart', (e) => console.log('Motion', e.detail.boxes));
+ * filter.setParams({ method: 'median', sensitivity: 80, cooldown: 5000 });
+ */
+export class MotionFilter extends ImageFilter {
+  constructor(canvasId) {
+    super(canvasId);
+    this.method = BACKGROUND_METHODS.AVERAGE;
+    this.learningRate = DEFAULT_LEARNING_RATE;
+    this.sensitivity = DEFAULT_MOTION_SENSITIVITY;
+    this.cooldown = DEFAULT_MOTION_COOLDOWN;
+    this.minArea = DEFAULT_MIN_MOTION_AREA;
+    this.showBoxes = true;
+    this.boxes = [];
+    this.moving = false;
+    this.motionStartTime = null;
+    this.lastMotionTime = null;
+    this.stopTimer = null;
+    this.model = new BackgroundModel({ method: this.method, learningRate: this.learningRate });
+    this.events = new EventTarget();
+  }
+
+  /**
+   * @method addEventListener
+   * @param {('motionstart'|'motionstop')} type - The event type
+   * @param {Function} listener - Called with the event
+   */
+  addEventListener(type, listener) {
+    this.events.addEventListener(type, listener);
+  }
+
+  /**
+   * @method removeEventListener
+   * @param {('motionstart'|'motionstop')} type - The event type
+   * @param {Function} listener - A listener added with addEventListener
+   */
+  removeEventListener(type, listener) {
+    this.events.removeEventListener(type, listener);
+  }
+
+  /**
+   * @method setParams
+   * @description Assigns the parameters and passes the method and learning rate on to the background model.
+   * Changing the method starts a new background.
+   * @param {Object} params - Property values to assign
+   */
+  setParams(params) {
+    super.setParams(params);
+    if (this.model.method !== this.method) {
+      this.model.reset();
+    }
+    this.model.method = this.method;
+    this.model.learningRate = this.learningRate;
+  }
+
+  /**
+   * @method resetBackground
+   * @description Relearns the background from the next frame, e.g. after the camera was moved.
+   */
+  resetBackground() {
+    this.model.reset();
+  }
+
+  /**
+   * @method getThreshold
+   * @returns {number} The luminance difference (0-255) above which a pixel counts as changed
+   */
+  getThreshold() {
+    return Math.round(((100 - this.sensitivity) / 100) * 255);
+  }
+
+  /**
+   * @method process
+   * @description Finds the changed pixels of the source, draws the motion boxes and updates the motion state.
+   * @param {HTMLCanvasElement} source - The frame, normally the WebcamRepeatFilter canvas
+   */
+  process(source) {
+    super.process(source);
+    if (this.showBoxes) {
+      this.context.strokeStyle = "#f00";
+      this.context.lineWidth = 1;
+      this.boxes.forEach(({ x, y, width, height }) => {
+        this.context.strokeRect(x + 0.5, y + 0.5, width - 1, height - 1);
+      });
+    }
+    this.updateMotionState(performance.now());
+  }
+
+  /**
+   * @method processImageData
+   * @description Replaces the frame with its foreground mask and measures the motion boxes.
+   * @param {ImageData} imageData - The frame
+   */
+  processImageData(imageData) {
+    const { data, width, height } = imageData;
+    const mask = this.model.apply(data, width, height, this.getThreshold());
+    const { labels, components } = labelComponents(mask, width, height, { connectivity: 8, minArea: this.minArea });
+    writeMask(labels, data);
+    this.boxes = components.map(({ x, y, width: boxWidth, height: boxHeight, area }) => ({
+      x,
+      y,
+      width: boxWidth,
+      height: boxHeight,
+      area,
+    }));
+  }
+
+  /**
+   * @method updateMotionState
+   * @private
+   * @description Dispatches motionstart when motion appears, and restarts the cooldown timer after
+   * which motionstop is dispatched, whenever motion is found.
+   * @param {number} time - The current time in milliseconds
+   */
+  updateMotionState(time) {
+    if (this.boxes.length === 0) return;
+    this.lastMotionTime = time;
+    if (!this.moving) {
+      this.moving = true;
+      this.motionStartTime = time;
+      this.events.dispatchEvent(new CustomEvent("motionstart", { detail: { boxes: this.boxes, time } }));
+    }
+    clearTimeout(this.stopTimer);
+    this.stopTimer = setTimeout(() => this.stopMotion(), this.cooldown);
+  }
+
+  /**
+   * @method stopMotion
+   * @private
+   * @description Ends the motion in progress and dispatches motionstop.
+   */
+  stopMotion() {
+    clearTimeout(this.stopTimer);
+    this.stopTimer = null;
+    if (!this.moving) return;
+    this.moving = false;
+    const time = performance.now();
+    this.events.dispatchEvent(
+      new CustomEvent("motionstop", { detail: { duration: this.lastMotionTime - this.motionStartTime, time } })
+    );
+  }
+
+  /**
+   * @method getMotionBoxes
+   * @returns {Array<{x: number, y: number, width: number, height: number, area: number}>} The motion boxes of the last frame in canvas coordinates
+   */
+  getMotionBoxes() {
+    return this.boxes;
+  }
+
+  /**
+   * @method isMoving
+   * @returns {boolean} Whether motion is in progress
+   */
+  isMoving() {
+    return this.moving;
+  }
+}
@@ -0,0 +1,92 @@
+/**
+ * @class PerformanceMonitor
+ * @description Collects per-filter processing times and rates using exponential moving averages,
+ * so the live readout stays stable instead of flickering with every frame.
+ *
+ * @param {number} [smoothing=0.1] - Weight given to the newest sample (0-1)
+ *
+ * @example
+ * const monitor = new PerformanceMonitor();
+ * const start = performance.now();
+ * filter.process(video);
+ * monitor.record('grayscale', performance.now() - start);
+ */
+export class PerformanceMonitor {
+  constructor(smoothing = 0.1) {
+    this.smoothing = smoothing;
+    this.entries = new Map();
+  }
+
+  /**
+   * @method getEntry
+   * @private
+   * @param {string} name - The filter or stage name
+   * @returns {Object} The statistics entry for the name, created on first use
+   */
+  getEntry(name) {
+    if (!this.entries.has(name)) {
+      this.entries.set(name, { ms: 0, interval: 0, lastTime: 0, dropped: 0 });
+    }
+    return this.entries.get(name);
+  }
+
+  /**
+   * @method record
+   * @description Records one completed run of a filter or stage.
+   * @param {string} name - The filter or stage name
+   * @param {number} duration - How long the run took in milliseconds
+   */
+  record(name, duration) {
+    const entry = this.getEntry(name);
+    const now = performance.now();
+
+    entry.ms = entry.lastTime === 0 ? duration : this.smooth(entry.ms, duration);
+    if (entry.lastTime !== 0) {
+      const interval = now - entry.lastTime;
+      entry.interval = entry.interval === 0 ? interval : this.smooth(entry.interval, interval);
+    }
+    entry.lastTime = now;
+  }
+
+  /**
+   * @method recordDrop
+   * @description Records a frame that was skipped for the given filter or stage.
+   * @param {string} name - The filter or stage name
+   */
+  recordDrop(name) {
+    this.getEntry(name).dropped++;
+  }
+
+  /**
+   * @method smooth
+   * @private
+   * @param {number} previous - The current average
+   * @param {number} sample - The new sample
+   * @returns {number} The updated moving average
+   */
+  smooth(previous, sample) {
+    return previous + (sample - previous) * this.smoothing;
+  }
+
+  /**
+   * @method getStats
+   * @description Returns the current statistics for every recorded name.
+   * @returns {Array<{name: string, ms: number, fps: number, dropped: number}>}
+   */
+  getStats() {
+    return [...this.entries].map(([name, entry]) => ({
+      name,
+      ms: entry.ms,
+      fps: entry.interval > 0 ? 1000 / entry.interval : 0,
+      dropped: entry.dropped,
+    }));
+  }
+
+  /**
+   * @method reset
+   * @description Clears all recorded statistics.
+   */
+  reset() {
+    this.entries.clear();
+  }
+}
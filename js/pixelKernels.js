@@ -0,0 +1,333 @@
+import { RGB_TO_YCBCR } from "./constants.js";
+import { COLOR_SPACES, normalizeChannel, rgbToHsvPixel, hsvToRgb, rgbToYCbCrPixel } from "./colorSpaces.js";
+import { convolve, gradientMagnitude } from "./convolution.js";
+import { morphologyMask } from "./morphology.js";
+
+/**
+ * @fileoverview Pure per-pixel kernels behind the canvas filters.
+ * @module pixelKernels
+ *
+ * Every kernel takes an RGBA pixel array (typically `ImageData.data`) plus the image width and
+ * height, and modifies the array in place. Kernels never touch the DOM, so they can run in a
+ * worker or be exercised headlessly against hand-built pixel fixtures.
+ *
+ * @example
+ * const data = new Uint8ClampedArray([255, 0, 0, 255]);
+ * isolateChannel(data, 1, 1, CHANNEL_INDEX.red);
+ */
+
+/**
+ * Maps a channel name to its offset within an RGBA pixel.
+ * @constant {Object<string, number>}
+ */
+export const CHANNEL_INDEX = { red: 0, green: 1, blue: 2 };
+
+// The single-pixel HSV conversions moved to colorSpaces.js; re-exported for existing importers
+export { rgbToHsvPixel, hsvToRgb };
+
+/**
+ * Converts pixels to grayscale by averaging R, G and B, then scales the result by a brightness factor.
+ * gray = (R + G + B) / 3, final = min(gray * brightnessIncrease, 255)
+ * @param {Uint8ClampedArray} data - RGBA pixel data, modified in place
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {number} [brightnessIncrease=1] - Brightness multiplier applied after the conversion
+ */
+export function grayscale(data, width, height, brightnessIncrease = 1) {
+  for (let i = 0; i < data.length; i += 4) {
+    const gray = (data[i] + data[i + 1] + data[i + 2]) / 3;
+    const brightened = Math.min(gray * brightnessIncrease, 255);
+
+    data[i] = brightened; // R
+    data[i + 1] = brightened; // G
+    data[i + 2] = brightened; // B
+  }
+}
+
+/**
+ * Keeps one colour channel and zeroes the other two. Alpha is preserved.
+ * @param {Uint8ClampedArray} data - RGBA pixel data, modified in place
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {number} channelIndex - Offset of the channel to keep (see CHANNEL_INDEX)
+ */
+export function isolateChannel(data, width, height, channelIndex) {
+  for (let i = 0; i < data.length; i += 4) {
+    const value = data[i + channelIndex];
+    data[i] = channelIndex === 0 ? value : 0; // R
+    data[i + 1] = channelIndex === 1 ? value : 0; // G
+    data[i + 2] = channelIndex === 2 ? value : 0; // B
+  }
+}
+
+/**
+ * Thresholds one colour channel to 0 or 255, zeroes the other two and makes every pixel opaque.
+ * @param {Uint8ClampedArray} data - RGBA pixel data, modified in place
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {number} channelIndex - Offset of the channel to threshold (see CHANNEL_INDEX)
+ * @param {number} threshold - Values strictly above this become 255
+ */
+export function channelThreshold(data, width, height, channelIndex, threshold) {
+  for (let i = 0; i < data.length; i += 4) {
+    const value = data[i + channelIndex] > threshold ? 255 : 0;
+    data[i] = channelIndex === 0 ? value : 0; // R
+    data[i + 1] = channelIndex === 1 ? value : 0; // G
+    data[i + 2] = channelIndex === 2 ? value : 0; // B
+    data[i + 3] = 255; // A
+  }
+}
+
+/**
+ * Converts pixels from RGB to HSV and stores the components in the RGB channels for visualization:
+ * H in R (360° scaled to 255), S in G (0-255) and V in B (0-255).
+ * @param {Uint8ClampedArray} data - RGBA pixel data, modified in place
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ */
+export function rgbToHsv(data, width, height) {
+  for (let i = 0; i < data.length; i += 4) {
+    const { h, s, v } = rgbToHsvPixel(data[i], data[i + 1], data[i + 2]);
+
+    data[i] = (h * 255) / 360; // H in R channel
+    data[i + 1] = s * 255; // S in G channel
+    data[i + 2] = v * 255; // V in B channel
+  }
+}
+
+/**
+ * Keeps HSV-encoded pixels whose V component is above the threshold, converting them back to RGB,
+ * and turns all other pixels black. Every pixel is made opaque.
+ * @param {Uint8ClampedArray} data - HSV-encoded RGBA pixel data (see rgbToHsv), modified in place
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {number} threshold - V values strictly above this are kept
+ */
+export function hsvValueThreshold(data, width, height, threshold) {
+  for (let i = 0; i < data.length; i += 4) {
+    const h = data[i]; // H from R channel
+    const s = data[i + 1]; // S from G channel
+    const v = data[i + 2]; // V from B channel
+
+    if (v > threshold) {
+      const rgb = hsvToRgb(h, s, v);
+      data[i] = rgb.r;
+      data[i + 1] = rgb.g;
+      data[i + 2] = rgb.b;
+    } else {
+      data[i] = 0;
+      data[i + 1] = 0;
+      data[i + 2] = 0;
+    }
+    data[i + 3] = 255; // A
+  }
+}
+
+/**
+ * Checks whether a hue lies in a range. A range whose minimum is greater than its maximum wraps
+ * around 0/360, so (300, 30) covers magentas, reds and oranges.
+ * @param {number} hue - Hue in degrees (0-360)
+ * @param {number} min - Start of the range in degrees
+ * @param {number} max - End of the range in degrees, inclusive
+ * @returns {boolean} True if the hue is inside the range
+ */
+export function hueInRange(hue, min, max) {
+  if (min <= max) {
+    return hue >= min && hue <= max;
+  }
+  return hue >= min || hue <= max;
+}
+
+/**
+ * Keys HSV-encoded pixels by a range for each of H, S and V. Pixels inside all three ranges are kept,
+ * either in their original colour or as white, and all other pixels turn black. Every pixel is made opaque.
+ * @param {Uint8ClampedArray} data - HSV-encoded RGBA pixel data (see rgbToHsv), modified in place
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {number} hueMin - Start of the hue range in degrees; may be above hueMax to wrap around 0/360
+ * @param {number} hueMax - End of the hue range in degrees
+ * @param {number} satMin - Minimum saturation (0-255)
+ * @param {number} satMax - Maximum saturation (0-255)
+ * @param {number} valMin - Minimum value (0-255)
+ * @param {number} valMax - Maximum value (0-255)
+ * @param {boolean} [mask=false] - Output a binary mask instead of the keyed colours
+ */
+export function hsvRangeKey(data, width, height, hueMin, hueMax, satMin, satMax, valMin, valMax, mask = false) {
+  for (let i = 0; i < data.length; i += 4) {
+    const h = data[i]; // H from R channel
+    const s = data[i + 1]; // S from G channel
+    const v = data[i + 2]; // V from B channel
+
+    const inside =
+      hueInRange((h * 360) / 255, hueMin, hueMax) && s >= satMin && s <= satMax && v >= valMin && v <= valMax;
+
+    if (!inside) {
+      data[i] = 0;
+      data[i + 1] = 0;
+      data[i + 2] = 0;
+    } else if (mask) {
+      data[i] = 255;
+      data[i + 1] = 255;
+      data[i + 2] = 255;
+    } else {
+      const rgb = hsvToRgb(h, s, v);
+      data[i] = rgb.r;
+      data[i + 1] = rgb.g;
+      data[i + 2] = rgb.b;
+    }
+    data[i + 3] = 255; // A
+  }
+}
+
+/**
+ * Converts pixels from RGB to YCbCr using the RGB_TO_YCBCR coefficients and stores
+ * Y in R, Cb in G and Cr in B. Alpha is preserved.
+ * @param {Uint8ClampedArray} data - RGBA pixel data, modified in place
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ */
+export function rgbToYCbCr(data, width, height) {
+  for (let i = 0; i < data.length; i += 4) {
+    const [y, cb, cr] = rgbToYCbCrPixel(data[i], data[i + 1], data[i + 2], RGB_TO_YCBCR);
+
+    data[i] = y; // Y
+    data[i + 1] = cb; // Cb
+    data[i + 2] = cr; // Cr
+  }
+}
+
+/**
+ * Produces a black and white image from the Y component of YCbCr-encoded pixels.
+ * Every pixel is made opaque.
+ * @param {Uint8ClampedArray} data - YCbCr-encoded RGBA pixel data (see rgbToYCbCr), modified in place
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {number} threshold - Y values strictly above this become white
+ */
+export function lumaThreshold(data, width, height, threshold) {
+  for (let i = 0; i < data.length; i += 4) {
+    const value = data[i] > threshold ? 255 : 0;
+    data[i] = value; // R
+    data[i + 1] = value; // G
+    data[i + 2] = value; // B
+    data[i + 3] = 255; // A
+  }
+}
+
+/**
+ * Classifies YCbCr-encoded pixels by their chroma: pixels whose Cb and Cr both lie in the given
+ * inclusive ranges become white, all others black. Luminance is ignored, which makes the result
+ * fairly robust to lighting; with the default ranges of YCbCrThresholdFilter it segments skin tones.
+ * @param {Uint8ClampedArray} data - YCbCr-encoded RGBA pixel data (see rgbToYCbCr), modified in place
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {number} cbMin - Minimum Cb (0-255)
+ * @param {number} cbMax - Maximum Cb (0-255)
+ * @param {number} crMin - Minimum Cr (0-255)
+ * @param {number} crMax - Maximum Cr (0-255)
+ */
+export function chromaRangeMask(data, width, height, cbMin, cbMax, crMin, crMax) {
+  for (let i = 0; i < data.length; i += 4) {
+    const cb = data[i + 1]; // Cb from G channel
+    const cr = data[i + 2]; // Cr from B channel
+    const value = cb >= cbMin && cb <= cbMax && cr >= crMin && cr <= crMax ? 255 : 0;
+    data[i] = value; // R
+    data[i + 1] = value; // G
+    data[i + 2] = value; // B
+    data[i + 3] = 255; // A
+  }
+}
+
+/**
+ * Ways of showing a colour space with colorSpaceView.
+ * - composite: the first three channels, each scaled to 0-255, in R, G and B
+ * - channel: one channel as grayscale
+ * - falseColor: one channel through a colour map; hue channels show their hue, others run blue to red
+ * - roundTrip: the image converted to the space and back, to check the inverse conversion
+ * @constant {Object<string, string>}
+ */
+export const COLOR_SPACE_VIEWS = {
+  COMPOSITE: "composite",
+  CHANNEL: "channel",
+  FALSE_COLOR: "falseColor",
+  ROUND_TRIP: "roundTrip",
+};
+
+/**
+ * Converts pixels to one of COLOR_SPACES and draws the result as selected by the view.
+ * Alpha is preserved.
+ * @param {Uint8ClampedArray} data - RGBA pixel data, modified in place
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {string} space - Key of COLOR_SPACES
+ * @param {string} [view=COLOR_SPACE_VIEWS.COMPOSITE] - One of COLOR_SPACE_VIEWS
+ * @param {number} [channel=0] - Channel shown by the channel and falseColor views
+ */
+export function colorSpaceView(data, width, height, space, view = COLOR_SPACE_VIEWS.COMPOSITE, channel = 0) {
+  const colorSpace = COLOR_SPACES[space];
+  if (!colorSpace) {
+    throw new Error(`Unknown colour space "${space}"`);
+  }
+  const { channels, fromRgb, toRgb } = colorSpace;
+  const shown = channels[Math.min(channel, channels.length - 1)];
+  const shownIndex = channels.indexOf(shown);
+
+  for (let i = 0; i < data.length; i += 4) {
+    const values = fromRgb(data[i], data[i + 1], data[i + 2]);
+
+    if (view === COLOR_SPACE_VIEWS.ROUND_TRIP) {
+      const [r, g, b] = toRgb(...values);
+      data[i] = r;
+      data[i + 1] = g;
+      data[i + 2] = b;
+    } else if (view === COLOR_SPACE_VIEWS.CHANNEL) {
+      const value = normalizeChannel(values[shownIndex], shown);
+      data[i] = value;
+      data[i + 1] = value;
+      data[i + 2] = value;
+    } else if (view === COLOR_SPACE_VIEWS.FALSE_COLOR) {
+      const value = normalizeChannel(values[shownIndex], shown);
+      // Hue channels keep their own hue; other values map from blue (low) through green to red (high)
+      const hue = shown.hue ? value : ((255 - value) * 240) / 360;
+      const { r, g, b } = hsvToRgb(hue, 255, 255);
+      data[i] = r;
+      data[i + 1] = g;
+      data[i + 2] = b;
+    } else {
+      data[i] = normalizeChannel(values[0], channels[0]);
+      data[i + 1] = normalizeChannel(values[1], channels[1]);
+      data[i + 2] = normalizeChannel(values[2], channels[2]);
+    }
+  }
+}
+
+/**
+ * Leaves the pixels untouched. Used for filters that only copy the frame, such as WebcamRepeatFilter.
+ * @param {Uint8ClampedArray} data - RGBA pixel data
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ */
+export function passthrough(data, width, height) {}
+
+/**
+ * Kernels by name, so a filter chain can be described with plain data and run in a worker.
+ * @constant {Object<string, Function>}
+ */
+export const KERNELS = {
+  passthrough,
+  grayscale,
+  isolateChannel,
+  channelThreshold,
+  rgbToHsv,
+  hsvValueThreshold,
+  hsvRangeKey,
+  rgbToYCbCr,
+  lumaThreshold,
+  chromaRangeMask,
+  colorSpaceView,
+  // Spatial kernels from convolution.js
+  convolve,
+  gradientMagnitude,
+  // Mask cleanup from morphology.js
+  morphologyMask,
+};
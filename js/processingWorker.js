@@ -0,0 +1,66 @@
+import { KERNELS } from "./pixelKernels.js";
+import { FIT_MODES, computeFitRects } from "./geometry.js";
+
+/**
+ * @fileoverview Worker entry point that runs a chain of pixel kernels on an OffscreenCanvas.
+ * @module processingWorker
+ *
+ * Receives `{ frameId, bitmap, width, height, fit, chain }` where the bitmap is the full-size frame,
+ * fitted into width x height with the given fit mode (see FIT_MODES), and chain is an ordered list of
+ * `{ id, input, kernel, params }` steps. A step with a null input reads the frame itself,
+ * otherwise it reads the output of the step named by input. Replies with
+ * `{ frameId, outputs }`, where outputs maps each step id to a transferred RGBA ArrayBuffer,
+ * or with `{ frameId, error }` if a step fails.
+ */
+
+let canvas = null;
+let context = null;
+
+/**
+ * Returns an OffscreenCanvas context of the requested size, reusing the previous one when possible.
+ * @param {number} width - Canvas width in pixels
+ * @param {number} height - Canvas height in pixels
+ * @returns {OffscreenCanvasRenderingContext2D}
+ */
+function getContext(width, height) {
+  if (!canvas || canvas.width !== width || canvas.height !== height) {
+    canvas = new OffscreenCanvas(width, height);
+    context = canvas.getContext("2d", { willReadFrequently: true });
+  }
+  return context;
+}
+
+self.onmessage = ({ data }) => {
+  const { frameId, bitmap, width, height, fit, chain } = data;
+
+  try {
+    const ctx = getContext(width, height);
+    const rects = computeFitRects(bitmap.width, bitmap.height, width, height, fit);
+    if (fit === FIT_MODES.LETTERBOX) {
+      ctx.fillStyle = "#000";
+      ctx.fillRect(0, 0, width, height);
+    }
+    ctx.drawImage(bitmap, rects.sx, rects.sy, rects.sw, rects.sh, rects.dx, rects.dy, rects.dw, rects.dh);
+    bitmap.close();
+    const frame = ctx.getImageData(0, 0, width, height).data;
+
+    const outputs = {};
+    chain.forEach(({ id, input, kernel, params }) => {
+      const kernelFn = KERNELS[kernel];
+      if (!kernelFn) {
+        throw new Error(`Unknown kernel: ${kernel}`);
+      }
+      const pixels = new Uint8ClampedArray(input ? outputs[input] : frame);
+      kernelFn(pixels, width, height, ...params);
+      outputs[id] = pixels;
+    });
+
+    const buffers = {};
+    Object.entries(outputs).forEach(([id, pixels]) => {
+      buffers[id] = pixels.buffer;
+    });
+    self.postMessage({ frameId, outputs: buffers }, Object.values(buffers));
+  } catch (error) {
+    self.postMessage({ frameId, error: error.message });
+  }
+};
@@ -0,0 +1,104 @@
+/**
+ * @class RangeSlider
+ * @description A dual-handle range control built from two overlapping range inputs, one per handle.
+ * Normally the low handle cannot pass the high one. With `wrap` enabled the handles may cross, which
+ * describes a range that wraps around the ends of the scale (used for hue).
+ *
+ * @param {HTMLElement} container - Element the control is rendered into
+ * @param {Object} options
+ * @param {number} [options.min=0] - Lowest selectable value
+ * @param {number} [options.max=255] - Highest selectable value
+ * @param {number} [options.step=1] - Step between values
+ * @param {Array<number>} [options.value=[min, max]] - Initial [low, high] range
+ * @param {boolean} [options.wrap=false] - Allow low above high for wrapping ranges
+ * @param {string} [options.unit=""] - Suffix shown after the values
+ * @param {Function} [options.onChange] - Called with [low, high] whenever a handle moves
+ *
+ * @example
+ * new RangeSlider(document.getElementById('hueRange'), { max: 360, wrap: true, onChange: ([low, high]) => {} });
+ */
+export class RangeSlider {
+  constructor(container, { min = 0, max = 255, step = 1, value = [min, max], wrap = false, unit = "", onChange = () => {} }) {
+    this.wrap = wrap;
+    this.unit = unit;
+    this.onChange = onChange;
+
+    container.classList.add("range-slider");
+    this.low = this.createHandle(container, min, max, step, value[0], "Minimum");
+    this.high = this.createHandle(container, min, max, step, value[1], "Maximum");
+    this.display = document.createElement("span");
+    this.display.className = "range-slider-value";
+    container.after(this.display);
+
+    this.low.addEventListener("input", () => this.handleInput(this.low));
+    this.high.addEventListener("input", () => this.handleInput(this.high));
+    this.updateDisplay();
+  }
+
+  /**
+   * @method createHandle
+   * @private
+   * @returns {HTMLInputElement} A range input appended to the container
+   */
+  createHandle(container, min, max, step, value, label) {
+    const input = document.createElement("input");
+    input.type = "range";
+    input.min = min;
+    input.max = max;
+    input.step = step;
+    input.value = value;
+    input.setAttribute("aria-label", label);
+    container.appendChild(input);
+    return input;
+  }
+
+  /**
+   * @method getRange
+   * @returns {Array<number>} The current [low, high] range
+   */
+  getRange() {
+    return [Number(this.low.value), Number(this.high.value)];
+  }
+
+  /**
+   * @method setRange
+   * @description Moves both handles without calling onChange.
+   * @param {Array<number>} range - The new [low, high] range
+   */
+  setRange([low, high]) {
+    this.low.value = low;
+    this.high.value = high;
+    this.updateDisplay();
+  }
+
+  /**
+   * @method handleInput
+   * @private
+   * @description Keeps the handles in order unless wrapping is allowed, then reports the new range.
+   * @param {HTMLInputElement} moved - The handle that moved
+   */
+  handleInput(moved) {
+    if (!this.wrap && Number(this.low.value) > Number(this.high.value)) {
+      if (moved === this.low) {
+        this.low.value = this.high.value;
+      } else {
+        this.high.value = this.low.value;
+      }
+    }
+    // The handle being dragged stays on top so it can be moved back after reaching the other one
+    this.low.style.zIndex = moved === this.low ? 2 : 1;
+    this.high.style.zIndex = moved === this.high ? 2 : 1;
+    this.updateDisplay();
+    this.onChange(this.getRange());
+  }
+
+  /**
+   * @method updateDisplay
+   * @private
+   */
+  updateDisplay() {
+    const [low, high] = this.getRange();
+    const wraps = low > high ? " (wraps)" : "";
+    this.display.textContent = `${low}${this.unit} – ${high}${this.unit}${wraps}`;
+  }
+}
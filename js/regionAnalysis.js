@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Measurements on binary masks produced by the threshold and segmentation filters
+ * @module regionAnalysis
+ *
+ * A mask is RGBA pixel data in which a pixel belongs to the foreground when any of its R, G or B
+ * channels is non-zero, so single-channel threshold outputs count as well as white-on-black masks.
+ * Like the pixel kernels, these functions never touch the DOM.
+ */
+
+/**
+ * Reads the foreground of RGBA mask data into a plane.
+ * @param {Uint8ClampedArray} data - RGBA mask data
+ * @returns {Uint8Array} 1 for foreground, 0 for background, one value per pixel
+ */
+export function maskFromData(data) {
+  const mask = new Uint8Array(data.length / 4);
+  for (let i = 0, j = 0; i < data.length; i += 4, j++) {
+    mask[j] = data[i] !== 0 || data[i + 1] !== 0 || data[i + 2] !== 0 ? 1 : 0;
+  }
+  return mask;
+}
+
+/**
+ * Labels the connected foreground regions (blobs) of a mask and measures each of them.
+ * @param {Uint8Array} mask - 1 for foreground, 0 for background
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {Object} [options]
+ * @param {(4|8)} [options.connectivity=4] - Whether diagonal neighbours are connected (8) or not (4)
+ * @param {number} [options.minArea=0] - Blobs with fewer pixels are left unlabelled and not reported
+ * @returns {{labels: Int32Array, components: Array<{label: number, area: number, centroid: {x: number, y: number}, x: number, y: number, width: number, height: number}>}}
+ * The label of every pixel (0 for background and dropped blobs, otherwise 1, 2, ... in scan order of
+ * the kept blobs) and the area, centroid and bounding box of each kept blob
+ */
+export function labelComponents(mask, width, height, { connectivity = 4, minArea = 0 } = {}) {
+  const size = width * height;
+  const labels = new Int32Array(size);
+  // Every pixel is pushed at most once, so the stack never needs more than one slot per pixel
+  const stack = new Int32Array(size);
+  // Pixels of the blob being filled, so a blob below minArea can be unlabelled again
+  const members = new Int32Array(size);
+  const components = [];
+  const diagonal = connectivity === 8;
+
+  for (let start = 0; start < size; start++) {
+    if (labels[start] !== 0 || !mask[start]) continue;
+
+    // -1 marks pixels of the current blob until its size is known
+    let top = 0;
+    stack[top++] = start;
+    labels[start] = -1;
+    let area = 0;
+    let sumX = 0;
+    let sumY = 0;
+    let minX = width;
+    let minY = height;
+    let maxX = -1;
+    let maxY = -1;
+
+    while (top > 0) {
+      const p = stack[--top];
+      members[area++] = p;
+      const x = p % width;
+      const y = (p - x) / width;
+      sumX += x;
+      sumY += y;
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+
+      for (let dy = -1; dy <= 1; dy++) {
+        const ny = y + dy;
+        if (ny < 0 || ny >= height) continue;
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx;
+          if (nx < 0 || nx >= width || (dx === 0 && dy === 0) || (!diagonal && dx !== 0 && dy !== 0)) continue;
+          const q = ny * width + nx;
+          if (labels[q] === 0 && mask[q]) {
+            labels[q] = -1;
+            stack[top++] = q;
+          }
+        }
+      }
+    }
+
+    // Dropped blobs stay marked with -2 so they are not filled again, and are cleared at the end
+    const label = area >= minArea ? components.length + 1 : -2;
+    for (let k = 0; k < area; k++) {
+      labels[members[k]] = label;
+    }
+    if (label < 0) continue;
+    components.push({
+      label,
+      area,
+      centroid: { x: sumX / area, y: sumY / area },
+      x: minX,
+      y: minY,
+      width: maxX - minX + 1,
+      height: maxY - minY + 1,
+    });
+  }
+
+  for (let p = 0; p < size; p++) {
+    if (labels[p] < 0) labels[p] = 0;
+  }
+  return { labels, components };
+}
+
+/**
+ * Finds the largest 4-connected foreground region of a mask.
+ * @param {Uint8ClampedArray} data - RGBA mask data
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @returns {?{x: number, y: number, width: number, height: number, pixelCount: number}}
+ * The bounding box and size of the region, or null if the mask is empty
+ */
+export function findLargestRegion(data, width, height) {
+  const { components } = labelComponents(maskFromData(data), width, height);
+  if (components.length === 0) return null;
+  const { x, y, width: regionWidth, height: regionHeight, area } = components.reduce((largest, component) =>
+    component.area > largest.area ? component : largest
+  );
+  return { x, y, width: regionWidth, height: regionHeight, pixelCount: area };
+}
@@ -1,4 +1,5 @@
 import { ImageFilter } from "./imageFilter.js";
+import { hsvToRgb, rgbToHsv } from "./pixelKernels.js";
 
 /**
  * @class RgbHsvFilter
@@ -7,11 +8,16 @@ import { ImageFilter } from "./imageFilter.js";
  * and stores the HSV components in the RGB channels for visualization purposes.
  */
 export class RgbHsvFilter extends ImageFilter {
+  constructor(canvasId) {
+    super(canvasId);
+    this.channelLabels = ["H", "S", "V"];
+  }
+
   /**
    * @method processImageData
    * @param {ImageData} imageData - The image data object containing RGBA values
-   * @description Processes the image data by converting RGB values to HSV color space.
-   * The conversion is done by:
+   * @description Processes the image data by converting RGB values to HSV color space
+   * with the rgbToHsv pixel kernel. The conversion is done by:
    * 1. Normalizing RGB values to range [0,1]
    * 2. Computing HSV components using color space conversion formulas
    * 3. Storing HSV values back in RGB channels:
@@ -20,36 +26,7 @@ export class RgbHsvFilter extends ImageFilter {
    *    - Value is stored in Blue channel (0-255)
    */
   processImageData(imageData) {
-    const data = imageData.data;
-
-    for (let i = 0; i < data.length; i += 4) {
-      const r = data[i] / 255;
-      const g = data[i + 1] / 255;
-      const b = data[i + 2] / 255;
-
-      const max = Math.max(r, g, b);
-      const min = Math.min(r, g, b);
-      const diff = max - min;
-
-      let h = 0;
-      if (diff !== 0) {
-        if (max === r) {
-          h = 60 * (((g - b) / diff) % 6);
-        } else if (max === g) {
-          h = 60 * ((b - r) / diff + 2);
-        } else {
-          h = 60 * ((r - g) / diff + 4);
-        }
-      }
-
-      const s = max === 0 ? 0 : diff / max;
-      const v = max;
-
-      // Store HSV components in RGB channels for visualization
-      data[i] = (h * 255) / 360; // H in R channel
-      data[i + 1] = s * 255; // S in G channel
-      data[i + 2] = v * 255; // V in B channel
-    }
+    rgbToHsv(imageData.data, imageData.width, imageData.height);
   }
 
   /**
@@ -59,55 +36,22 @@ export class RgbHsvFilter extends ImageFilter {
    * @param {number} s - Saturation value (0-255)
    * @param {number} v - Value/Brightness value (0-255)
    * @returns {Object} RGB color object with properties r, g, b (each 0-255)
-   * @description Converts HSV color values back to RGB color space.
-   * The conversion process:
+   * @description Converts HSV color values back to RGB color space. Kept for existing callers;
+   * delegates to the hsvToRgb pixel kernel. The conversion process:
    * 1. Denormalizes input values (h to 360°, s and v to range [0,1])
    * 2. Uses the HSV to RGB conversion algorithm based on color wheel sectors
    * 3. Returns an object with RGB components normalized to 0-255 range
    */
   static hsvToRgb(h, s, v) {
-    h = (h / 255) * 360;
-    s = s / 255;
-    v = v / 255;
-
-    const c = v * s;
-    const x = c * (1 - Math.abs(((h / 60) % 2) - 1));
-    const m = v - c;
-
-    let r = 0,
-      g = 0,
-      b = 0;
-
-    if (0 <= h && h < 60) {
-      r = c;
-      g = x;
-      b = 0;
-    } else if (60 <= h && h < 120) {
-      r = x;
-      g = c;
-      b = 0;
-    } else if (120 <= h && h < 180) {
-      r = 0;
-      g = c;
-      b = x;
-    } else if (180 <= h && h < 240) {
-      r = 0;
-      g = x;
-      b = c;
-    } else if (240 <= h && h < 300) {
-      r = x;
-      g = 0;
-      b = c;
-    } else if (300 <= h && h < 360) {
-      r = c;
-      g = 0;
-      b = x;
-    }
+    return hsvToRgb(h, s, v);
+  }
 
-    return {
-      r: Math.round((r + m) * 255),
-      g: Math.round((g + m) * 255),
-      b: Math.round((b + m) * 255),
-    };
+  /**
+   * @method getKernelSpec
+   * @description Names the rgbToHsv kernel for the worker backend; the conversion takes no parameters
+   * @returns {{kernel: string, params: Array}}
+   */
+  getKernelSpec() {
+    return { kernel: "rgbToHsv", params: [] };
   }
 }
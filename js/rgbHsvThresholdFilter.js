@@ -1,61 +1,88 @@
-import { ImageFilter } from "./imageFilter.js";
-import { RgbHsvFilter } from "./rgbHsvFilter.js";
+import { ThresholdFilter } from "./thresholdFilter.js";
+import { THRESHOLD_METHODS, extractChannel } from "./thresholding.js";
+import { hsvRangeKey } from "./pixelKernels.js";
 
 /**
  * @class RgbHsvThresholdFilter
- * @extends ImageFilter
- * @description A filter that applies threshold-based filtering on HSV color space.
- * The filter processes image data by comparing the Value (V) component of HSV color space
- * against a user-defined threshold value. Pixels with V values above the threshold retain
- * their colors (converted back from HSV to RGB), while pixels below the threshold are set to black.
+ * @extends ThresholdFilter
+ * @description A filter that keys HSV-encoded pixels by a range for each of hue, saturation and value.
+ * Pixels inside all three ranges are kept, all others are set to black. The hue range wraps around
+ * 0/360 when its start is greater than its end, so reds can be isolated with e.g. [330, 20].
+ * Kept pixels are converted back to RGB, or drawn white when the output is a binary mask.
+ * With a threshold method other than manual, the lower end of the value range is replaced by that
+ * method applied to the V plane.
  *
  * @param {string} canvasId - The ID of the canvas element to apply the filter to
- * @param {string} thresholdSliderId - The ID of the input slider element that controls the threshold value
  *
- * @property {HTMLElement} thresholdSlider - Reference to the threshold slider DOM element
+ * @property {Array<number>} hueRange - [min, max] hue in degrees (0-360)
+ * @property {Array<number>} saturationRange - [min, max] saturation (0-255)
+ * @property {Array<number>} valueRange - [min, max] value (0-255)
+ * @property {('color'|'mask')} output - Whether kept pixels show their colour or white
+ *
+ * @example
+ * // Saturated blue objects as a mask
+ * filter.setParams({ hueRange: [200, 250], saturationRange: [120, 255], output: 'mask' });
  */
-export class RgbHsvThresholdFilter extends ImageFilter {
-  constructor(canvasId, thresholdSliderId) {
+export class RgbHsvThresholdFilter extends ThresholdFilter {
+  constructor(canvasId) {
     super(canvasId);
-    this.thresholdSlider = document.getElementById(thresholdSliderId);
+    this.hueRange = [0, 360];
+    this.saturationRange = [0, 255];
+    this.valueRange = [128, 255];
+    this.output = "color";
   }
 
   /**
    * @method processImageData
-   * @description Processes the image data by applying HSV threshold filtering.
-   * For each pixel, if its V value is above the threshold, the HSV values are
-   * converted back to RGB. If below threshold, the pixel is set to black.
+   * @description Keys the image data with the hsvRangeKey pixel kernel.
    * The alpha channel is always set to fully opaque (255).
    *
    * @param {ImageData} imageData - The image data to process
    * @param {Uint8ClampedArray} imageData.data - The array containing pixel data
-   *
-   * @example
-   * const filter = new RgbHsvThresholdFilter('myCanvas', 'thresholdSlider');
-   * filter.processImageData(ctx.getImageData(0, 0, width, height));
    */
   processImageData(imageData) {
-    const data = imageData.data;
-    const threshold = parseInt(this.thresholdSlider.value);
+    const { data, width, height } = imageData;
+    const [hueMin, hueMax] = this.hueRange;
+    const [satMin, satMax] = this.saturationRange;
+    const [valMin, valMax] = this.valueRange;
+    const mask = this.output === "mask";
 
-    for (let i = 0; i < data.length; i += 4) {
-      const h = data[i]; // H from R channel
-      const s = data[i + 1]; // S from G channel
-      const v = data[i + 2]; // V from B channel
+    if (this.thresholdMethod === THRESHOLD_METHODS.MANUAL) {
+      hsvRangeKey(data, width, height, hueMin, hueMax, satMin, satMax, valMin, valMax, mask);
+      this.appliedThreshold = valMin;
+      return;
+    }
 
-      if (v > threshold) {
-        // If above threshold, convert HSV back to RGB
-        const rgb = RgbHsvFilter.hsvToRgb(h, s, v);
-        data[i] = rgb.r;
-        data[i + 1] = rgb.g;
-        data[i + 2] = rgb.b;
-      } else {
-        // If below threshold, set to black
+    const valueMask = this.thresholdPlane(extractChannel(data, 2), width, height, valMin);
+    hsvRangeKey(data, width, height, hueMin, hueMax, satMin, satMax, 0, valMax, mask);
+    for (let i = 0, j = 0; i < data.length; i += 4, j++) {
+      if (!valueMask[j]) {
         data[i] = 0;
         data[i + 1] = 0;
         data[i + 2] = 0;
       }
-      data[i + 3] = 255; // Alpha channel
     }
   }
+
+  /**
+   * @method getThresholdChannel
+   * @returns {number} 2, the V channel, whose lower limit acts as the threshold
+   */
+  getThresholdChannel() {
+    return 2;
+  }
+
+  /**
+   * @method getKernelSpec
+   * @description Returns the hsvRangeKey kernel with the current ranges, for the worker backend.
+   * Only the manual method can be expressed as a kernel.
+   * @returns {?{kernel: string, params: Array}}
+   */
+  getKernelSpec() {
+    if (this.thresholdMethod !== THRESHOLD_METHODS.MANUAL) return null;
+    return {
+      kernel: "hsvRangeKey",
+      params: [...this.hueRange, ...this.saturationRange, ...this.valueRange, this.output === "mask"],
+    };
+  }
 }
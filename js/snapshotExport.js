@@ -0,0 +1,144 @@
+import { FIT_MODES, computeFitRects, getSourceSize } from "./geometry.js";
+import {
+  EXPORT_QUALITY,
+  CONTACT_SHEET_COLUMNS,
+  CONTACT_SHEET_TILE_WIDTH,
+  CONTACT_SHEET_TILE_HEIGHT,
+} from "./constants.js";
+
+/**
+ * @fileoverview Saving filter outputs as image files
+ * @module snapshotExport
+ *
+ * A snapshot is an image (one canvas or a contact sheet of the whole grid) downloaded together with
+ * a JSON sidecar of the same base name, which records the settings it was captured with.
+ */
+
+/**
+ * Image formats offered for export, mapped to their MIME types.
+ * @constant {Object<string, string>}
+ */
+export const EXPORT_FORMATS = {
+  png: "image/png",
+  jpeg: "image/jpeg",
+  webp: "image/webp",
+};
+
+const LABEL_HEIGHT = 20;
+const TILE_PADDING = 8;
+
+/**
+ * Encodes a canvas as an image file.
+ * @param {HTMLCanvasElement} canvas - The canvas to encode
+ * @param {string} [format="png"] - A key of EXPORT_FORMATS
+ * @param {number} [quality=EXPORT_QUALITY] - Quality between 0 and 1, used by the lossy formats
+ * @returns {Promise<Blob>} The encoded image. Browsers that cannot encode the format return PNG; check blob.type.
+ * @throws {Error} If the format is unknown or the canvas cannot be encoded
+ */
+export function canvasToBlob(canvas, format = "png", quality = EXPORT_QUALITY) {
+  const type = EXPORT_FORMATS[format];
+  if (!type) {
+    return Promise.reject(new Error(`Unknown export format: ${format}`));
+  }
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("Canvas could not be encoded"))), type, quality);
+  });
+}
+
+/**
+ * Draws several images side by side into one labelled contact sheet.
+ * Each image is letterboxed into a tile of the same size, with its label above it.
+ * @param {Array<{title: string, source: CanvasImageSource}>} tiles - The images in display order
+ * @param {Object} [options]
+ * @param {number} [options.columns=CONTACT_SHEET_COLUMNS] - Tiles per row
+ * @param {number} [options.tileWidth=CONTACT_SHEET_TILE_WIDTH] - Image width of a tile in pixels
+ * @param {number} [options.tileHeight=CONTACT_SHEET_TILE_HEIGHT] - Image height of a tile in pixels
+ * @param {HTMLCanvasElement} [options.canvas] - Canvas to redraw, e.g. one that is being recorded; a new one if omitted
+ * @returns {HTMLCanvasElement} The contact sheet
+ */
+export function buildContactSheet(
+  tiles,
+  {
+    columns = CONTACT_SHEET_COLUMNS,
+    tileWidth = CONTACT_SHEET_TILE_WIDTH,
+    tileHeight = CONTACT_SHEET_TILE_HEIGHT,
+    canvas = document.createElement("canvas"),
+  } = {}
+) {
+  const rows = Math.ceil(tiles.length / columns);
+  const cellWidth = tileWidth + TILE_PADDING * 2;
+  const cellHeight = tileHeight + LABEL_HEIGHT + TILE_PADDING * 2;
+  const width = cellWidth * Math.min(columns, tiles.length);
+  const height = cellHeight * rows;
+
+  // Only resize when needed, resizing clears the canvas
+  if (canvas.width !== width || canvas.height !== height) {
+    canvas.width = width;
+    canvas.height = height;
+  }
+  const context = canvas.getContext("2d");
+  context.fillStyle = "white";
+  context.fillRect(0, 0, width, height);
+  context.font = "14px sans-serif";
+  context.textBaseline = "middle";
+
+  tiles.forEach(({ title, source }, index) => {
+    const x = (index % columns) * cellWidth + TILE_PADDING;
+    const y = Math.floor(index / columns) * cellHeight + TILE_PADDING;
+
+    context.fillStyle = "black";
+    context.fillText(title, x, y + LABEL_HEIGHT / 2, tileWidth);
+    context.fillRect(x, y + LABEL_HEIGHT, tileWidth, tileHeight);
+
+    const size = getSourceSize(source);
+    if (size.width > 0 && size.height > 0) {
+      const rects = computeFitRects(size.width, size.height, tileWidth, tileHeight, FIT_MODES.LETTERBOX);
+      context.drawImage(source, rects.sx, rects.sy, rects.sw, rects.sh, x + rects.dx, y + LABEL_HEIGHT + rects.dy, rects.dw, rects.dh);
+    }
+  });
+
+  return canvas;
+}
+
+/**
+ * Builds a file name from a prefix and the current date and time, without characters file systems reject.
+ * @param {string} prefix - Start of the name, e.g. the filter id
+ * @param {Date} [date=new Date()] - Capture time
+ * @returns {string} A name such as "ycbcrThreshold-2024-05-01T14-03-22"
+ */
+export function snapshotName(prefix, date = new Date()) {
+  return `${prefix}-${date.toISOString().slice(0, 19).replace(/:/g, "-")}`;
+}
+
+/**
+ * Lets the browser download a blob as a file.
+ * @param {Blob} blob - The file contents
+ * @param {string} filename - The suggested file name
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Revoke later, some browsers start the download asynchronously
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Downloads a canvas as an image file together with its JSON sidecar.
+ * @param {HTMLCanvasElement} canvas - The canvas to save
+ * @param {string} baseName - File name without extension, shared by the image and the sidecar
+ * @param {string} format - A key of EXPORT_FORMATS
+ * @param {Object} metadata - Recorded in the sidecar
+ * @returns {Promise<void>}
+ */
+export async function exportSnapshot(canvas, baseName, format, metadata) {
+  const blob = await canvasToBlob(canvas, format);
+  // The browser may have fallen back to PNG, name the file after what was actually encoded
+  const extension = blob.type.split("/")[1] || format;
+  downloadBlob(blob, `${baseName}.${extension}`);
+
+  const sidecar = { ...metadata, image: `${baseName}.${extension}`, format: blob.type, width: canvas.width, height: canvas.height };
+  downloadBlob(new Blob([JSON.stringify(sidecar, null, 2)], { type: "application/json" }), `${baseName}.json`);
+}
@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Pixel operations across several frames
+ * @module temporal
+ *
+ * Frames are RGBA pixel arrays of the same size, newest first, as held by a FrameHistory.
+ * Results are written into an output array of the same size; alpha is always set opaque.
+ * Like the pixel kernels, nothing here touches the DOM.
+ */
+
+/**
+ * Ways of combining frames over time.
+ * - average: the mean of the last N frames, which removes sensor noise from still scenes
+ * - exponential: an exponential moving average whose span is N frames
+ * - trails: the newest frame with the changes of the last N frames added on top, fading with age
+ * - difference: the absolute difference between the newest frame and the one N-1 frames before
+ * - longExposure: the mean of every frame since the last reset, however many there are
+ * @constant {Object<string, string>}
+ */
+export const TEMPORAL_MODES = {
+  AVERAGE: "average",
+  EXPONENTIAL: "exponential",
+  TRAILS: "trails",
+  DIFFERENCE: "difference",
+  LONG_EXPOSURE: "longExposure",
+};
+
+/**
+ * Writes the per-channel mean of frames.
+ * @param {Array<Uint8ClampedArray>} frames - The frames to average
+ * @param {Uint8ClampedArray} output - Receives the result
+ */
+export function averageFrames(frames, output) {
+  const sums = new Float32Array(output.length);
+  frames.forEach((frame) => {
+    for (let i = 0; i < frame.length; i++) {
+      sums[i] += frame[i];
+    }
+  });
+  for (let i = 0; i < output.length; i += 4) {
+    output[i] = sums[i] / frames.length;
+    output[i + 1] = sums[i + 1] / frames.length;
+    output[i + 2] = sums[i + 2] / frames.length;
+    output[i + 3] = 255;
+  }
+}
+
+/**
+ * Moves a running state towards a frame: state += alpha * (frame - state).
+ * @param {Float32Array} state - R, G, B and A per pixel, updated in place
+ * @param {Uint8ClampedArray} frame - The new frame
+ * @param {number} alpha - Weight of the new frame, 0-1
+ */
+export function blendInto(state, frame, alpha) {
+  for (let i = 0; i < frame.length; i++) {
+    state[i] += alpha * (frame[i] - state[i]);
+  }
+}
+
+/**
+ * Writes the absolute per-channel difference of two frames.
+ * @param {Uint8ClampedArray} newer - The newer frame
+ * @param {Uint8ClampedArray} older - The older frame
+ * @param {Uint8ClampedArray} output - Receives the result
+ */
+export function frameDifference(newer, older, output) {
+  for (let i = 0; i < output.length; i += 4) {
+    output[i] = Math.abs(newer[i] - older[i]);
+    output[i + 1] = Math.abs(newer[i + 1] - older[i + 1]);
+    output[i + 2] = Math.abs(newer[i + 2] - older[i + 2]);
+    output[i + 3] = 255;
+  }
+}
+
+/**
+ * Writes the newest frame with the changes between consecutive older frames added on top. The change
+ * between frames k and k+1 is weighted by 1 - k / frames.length, so moving objects leave a fading trail.
+ * @param {Array<Uint8ClampedArray>} frames - The frames, newest first
+ * @param {Uint8ClampedArray} output - Receives the result
+ */
+export function motionTrails(frames, output) {
+  const [newest] = frames;
+  for (let i = 0; i < output.length; i += 4) {
+    for (let c = 0; c < 3; c++) {
+      let trail = 0;
+      for (let k = 0; k + 1 < frames.length; k++) {
+        const change = Math.abs(frames[k][i + c] - frames[k + 1][i + c]) * (1 - k / frames.length);
+        if (change > trail) trail = change;
+      }
+      output[i + c] = newest[i + c] + trail;
+    }
+    output[i + 3] = 255;
+  }
+}
+
+/**
+ * Copies a running state into pixel data, scaled by a factor.
+ * @param {Float32Array} state - R, G, B and A per pixel
+ * @param {Uint8ClampedArray} output - Receives the result
+ * @param {number} [scale=1] - Multiplier, e.g. 1 / count for an accumulated sum
+ */
+export function writeState(state, output, scale = 1) {
+  for (let i = 0; i < output.length; i += 4) {
+    output[i] = state[i] * scale;
+    output[i + 1] = state[i + 1] * scale;
+    output[i + 2] = state[i + 2] * scale;
+    output[i + 3] = 255;
+  }
+}
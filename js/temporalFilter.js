@@ -0,0 +1,143 @@
+import { ImageFilter } from "./imageFilter.js";
+import { FrameHistory, getFrameHistory } from "./frameHistory.js";
+import {
+  TEMPORAL_MODES,
+  averageFrames,
+  blendInto,
+  frameDifference,
+  motionTrails,
+  writeState,
+} from "./temporal.js";
+import { FRAME_HISTORY_LENGTH, MAX_FRAME_HISTORY } from "./constants.js";
+
+/**
+ * @class TemporalFilter
+ * @extends ImageFilter
+ * @description A filter that combines the current frame with earlier ones in one of TEMPORAL_MODES.
+ * When its input is a WebcamRepeatFilter it reads that filter's frame history, so several temporal
+ * filters share one buffer; with any other input, or at a different resolution, it keeps its own.
+ *
+ * @param {string} canvasId - The ID of the canvas element to apply the filter to
+ *
+ * @property {string} mode - One of TEMPORAL_MODES
+ * @property {number} historyLength - Number of frames combined (the span of the exponential mode)
+ *
+ * @example
+ * // Denoise the webcam repeat frames over the last 12 frames
+ * filterRegistry.register('denoise', TemporalFilter, {
+ *   title: 'Denoised', input: 'webcamRepeat', params: { mode: 'average', historyLength: 12 }
+ * });
+ */
+export class TemporalFilter extends ImageFilter {
+  constructor(canvasId) {
+    super(canvasId);
+    this.mode = TEMPORAL_MODES.AVERAGE;
+    this.historyLength = FRAME_HISTORY_LENGTH;
+    this.ownHistory = new FrameHistory(this.historyLength);
+    this.sharedHistory = null;
+    // Running state of the exponential and long exposure modes
+    this.state = null;
+    this.frameCount = 0;
+    // Frames seen since the last reset, so older frames of a shared history are not combined
+    this.framesSinceReset = 0;
+  }
+
+  /**
+   * @method setParams
+   * @description Assigns the parameters. Changing the mode starts over; a longer history grows the buffer.
+   * @param {Object} params - Property values to assign
+   */
+  setParams(params) {
+    const previousMode = this.mode;
+    super.setParams(params);
+    this.historyLength = Math.min(MAX_FRAME_HISTORY, Math.max(2, Math.round(this.historyLength)));
+    this.ownHistory.ensureCapacity(this.historyLength);
+    if (this.mode !== previousMode) {
+      this.reset();
+    }
+  }
+
+  /**
+   * @method reset
+   * @description Forgets the earlier frames and the running state. A shared history belongs to the
+   * filter recording it and is left as is; frames it recorded before the reset are skipped instead.
+   */
+  reset() {
+    this.ownHistory.clear();
+    this.state = null;
+    this.frameCount = 0;
+    this.framesSinceReset = 0;
+  }
+
+  /**
+   * @method process
+   * @description Looks up the frame history of the source before processing it.
+   * @param {HTMLCanvasElement|HTMLVideoElement} source - The frame
+   */
+  process(source) {
+    this.sharedHistory = getFrameHistory(source);
+    if (this.sharedHistory) {
+      this.sharedHistory.ensureCapacity(this.historyLength);
+    }
+    super.process(source);
+  }
+
+  /**
+   * @method getFrames
+   * @private
+   * @description Returns the frames to combine, newest first; the current frame is recorded first
+   * unless a shared history already holds it. Frames from before the last reset are left out.
+   * @param {ImageData} imageData - The current frame
+   * @returns {Array<Uint8ClampedArray>} Up to historyLength frames
+   */
+  getFrames({ data, width, height }) {
+    const shared = this.sharedHistory;
+    let history = shared;
+    if (!shared || shared.width !== width || shared.height !== height || shared.getSize() === 0) {
+      history = this.ownHistory;
+      history.push(data, width, height);
+    }
+    this.framesSinceReset++;
+    const frames = [];
+    for (let age = 0; age < Math.min(this.historyLength, history.getSize(), this.framesSinceReset); age++) {
+      frames.push(history.get(age));
+    }
+    return frames;
+  }
+
+  /**
+   * @method processImageData
+   * @description Replaces the frame with the combination selected by the mode.
+   * @param {ImageData} imageData - The current frame
+   */
+  processImageData(imageData) {
+    const { data } = imageData;
+    if (this.state && this.state.length !== data.length) {
+      this.state = null;
+      this.frameCount = 0;
+    }
+
+    switch (this.mode) {
+      case TEMPORAL_MODES.EXPONENTIAL:
+        if (!this.state) this.state = Float32Array.from(data);
+        blendInto(this.state, data, 2 / (this.historyLength + 1));
+        writeState(this.state, data);
+        return;
+      case TEMPORAL_MODES.LONG_EXPOSURE:
+        if (!this.state) this.state = new Float32Array(data.length);
+        this.frameCount++;
+        blendInto(this.state, data, 1 / this.frameCount);
+        writeState(this.state, data);
+        return;
+    }
+
+    const frames = this.getFrames(imageData);
+    if (this.mode === TEMPORAL_MODES.TRAILS) {
+      motionTrails(frames, data);
+    } else if (this.mode === TEMPORAL_MODES.DIFFERENCE) {
+      frameDifference(frames[0], frames[frames.length - 1], data);
+    } else {
+      averageFrames(frames, data);
+    }
+  }
+}
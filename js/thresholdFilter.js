@@ -0,0 +1,68 @@
+import { ImageFilter } from "./imageFilter.js";
+import { THRESHOLD_METHODS, isAutomaticMethod, thresholdPlane } from "./thresholding.js";
+import { ADAPTIVE_BLOCK_SIZE, ADAPTIVE_OFFSET, HYSTERESIS_RATIO } from "./constants.js";
+
+/**
+ * @class ThresholdFilter
+ * @extends ImageFilter
+ * @description Base class of the filters that turn one plane of the image into a mask. Holds the
+ * selected threshold method and its settings, which are changed with setParams like any other
+ * filter parameter, and remembers the threshold that was applied to the last frame so automatic
+ * methods can show their choice in the UI.
+ *
+ * @param {string} canvasId - The ID of the canvas element to apply the filter to
+ *
+ * @property {string} thresholdMethod - One of THRESHOLD_METHODS
+ * @property {number} blockSize - Block size of the adaptive methods in pixels
+ * @property {number} thresholdOffset - Subtracted from the local mean by the adaptive methods
+ * @property {number} hysteresisRatio - Low hysteresis threshold as a fraction of the high one
+ * @property {?number} appliedThreshold - The threshold used for the last frame
+ */
+export class ThresholdFilter extends ImageFilter {
+  constructor(canvasId) {
+    super(canvasId);
+    this.thresholdMethod = THRESHOLD_METHODS.MANUAL;
+    this.blockSize = ADAPTIVE_BLOCK_SIZE;
+    this.thresholdOffset = ADAPTIVE_OFFSET;
+    this.hysteresisRatio = HYSTERESIS_RATIO;
+    this.appliedThreshold = null;
+  }
+
+  /**
+   * @method isAutomatic
+   * @returns {boolean} True if the threshold is chosen from the image rather than by the user
+   */
+  isAutomatic() {
+    return isAutomaticMethod(this.thresholdMethod);
+  }
+
+  /**
+   * @method getThresholdChannel
+   * @description Subclasses return the channel of their input that the threshold applies to.
+   * @returns {?number} Channel index 0-2, or null when the current settings use no threshold
+   */
+  getThresholdChannel() {
+    return 0;
+  }
+
+  /**
+   * @method thresholdPlane
+   * @description Thresholds a plane with the selected method and records the applied threshold.
+   * @param {Uint8Array} plane - One value per pixel
+   * @param {number} width - Image width in pixels
+   * @param {number} height - Image height in pixels
+   * @param {number} threshold - The user's value, used by the manual and hysteresis methods
+   * @returns {Uint8Array} 1 for foreground pixels, 0 for background
+   */
+  thresholdPlane(plane, width, height, threshold) {
+    const result = thresholdPlane(plane, width, height, {
+      method: this.thresholdMethod,
+      threshold,
+      blockSize: this.blockSize,
+      offset: this.thresholdOffset,
+      hysteresisRatio: this.hysteresisRatio,
+    });
+    this.appliedThreshold = result.threshold;
+    return result.mask;
+  }
+}
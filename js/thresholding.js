@@ -0,0 +1,291 @@
+/**
+ * @fileoverview Threshold selection for single-channel image planes
+ * @module thresholding
+ *
+ * A plane is a Uint8Array with one 0-255 value per pixel, e.g. one channel extracted from RGBA data
+ * with extractChannel(). Thresholding a plane gives a mask with 1 for foreground and 0 for background.
+ * Like the pixel kernels, nothing here touches the DOM.
+ */
+
+/**
+ * Ways of choosing the threshold.
+ * - manual: a fixed value
+ * - otsu: the global value that best separates the histogram into two classes (Otsu's method)
+ * - mean: per pixel, the mean of the surrounding block minus an offset
+ * - gaussian: per pixel, the Gaussian-weighted mean of the surrounding block minus an offset
+ * - hysteresis: pixels above the value, plus pixels above a lower value connected to them
+ * @constant {Object<string, string>}
+ */
+export const THRESHOLD_METHODS = {
+  MANUAL: "manual",
+  OTSU: "otsu",
+  MEAN: "mean",
+  GAUSSIAN: "gaussian",
+  HYSTERESIS: "hysteresis",
+};
+
+/**
+ * @param {string} method - One of THRESHOLD_METHODS
+ * @returns {boolean} True if the method picks the threshold itself rather than using the given value
+ */
+export function isAutomaticMethod(method) {
+  return method === THRESHOLD_METHODS.OTSU || method === THRESHOLD_METHODS.MEAN || method === THRESHOLD_METHODS.GAUSSIAN;
+}
+
+/**
+ * Copies one channel of RGBA data into a plane.
+ * @param {Uint8ClampedArray} data - RGBA pixel data
+ * @param {number} channelIndex - Offset of the channel within a pixel (0-3)
+ * @returns {Uint8Array} One value per pixel
+ */
+export function extractChannel(data, channelIndex) {
+  const plane = new Uint8Array(data.length / 4);
+  for (let i = 0, j = 0; i < data.length; i += 4, j++) {
+    plane[j] = data[i + channelIndex];
+  }
+  return plane;
+}
+
+/**
+ * Writes a mask back into RGBA data as white on black, or only into one channel. Alpha is set opaque.
+ * @param {Uint8Array} mask - 1 for foreground, 0 for background
+ * @param {Uint8ClampedArray} data - RGBA pixel data, modified in place
+ * @param {?number} [channelIndex=null] - Only set this channel to 255 for foreground, others to 0
+ */
+export function writeMask(mask, data, channelIndex = null) {
+  for (let i = 0, j = 0; i < data.length; i += 4, j++) {
+    const value = mask[j] ? 255 : 0;
+    data[i] = channelIndex === null || channelIndex === 0 ? value : 0;
+    data[i + 1] = channelIndex === null || channelIndex === 1 ? value : 0;
+    data[i + 2] = channelIndex === null || channelIndex === 2 ? value : 0;
+    data[i + 3] = 255;
+  }
+}
+
+/**
+ * Counts how often each value occurs in a plane.
+ * @param {Uint8Array} plane - Values 0-255
+ * @returns {Uint32Array} 256 bins
+ */
+export function computeHistogram(plane) {
+  const histogram = new Uint32Array(256);
+  for (let i = 0; i < plane.length; i++) {
+    histogram[plane[i]]++;
+  }
+  return histogram;
+}
+
+/**
+ * Counts the values of the R, G and B channels of RGBA data separately.
+ * @param {Uint8ClampedArray} data - RGBA pixel data
+ * @returns {Array<Uint32Array>} Three histograms of 256 bins, in channel order
+ */
+export function computeChannelHistograms(data) {
+  const histograms = [new Uint32Array(256), new Uint32Array(256), new Uint32Array(256)];
+  for (let i = 0; i < data.length; i += 4) {
+    histograms[0][data[i]]++;
+    histograms[1][data[i + 1]]++;
+    histograms[2][data[i + 2]]++;
+  }
+  return histograms;
+}
+
+/**
+ * Picks the threshold that maximizes the between-class variance of a histogram (Otsu's method).
+ * @param {Uint32Array|Array<number>} histogram - 256 bins
+ * @returns {number} The highest background value; values above it are foreground
+ */
+export function otsuThreshold(histogram) {
+  let total = 0;
+  let sum = 0;
+  for (let t = 0; t < 256; t++) {
+    total += histogram[t];
+    sum += t * histogram[t];
+  }
+
+  let backgroundWeight = 0;
+  let backgroundSum = 0;
+  let best = 0;
+  let maxVariance = -1;
+  for (let t = 0; t < 256; t++) {
+    backgroundWeight += histogram[t];
+    if (backgroundWeight === 0) continue;
+    const foregroundWeight = total - backgroundWeight;
+    if (foregroundWeight === 0) break;
+
+    backgroundSum += t * histogram[t];
+    const meanDifference = backgroundSum / backgroundWeight - (sum - backgroundSum) / foregroundWeight;
+    const variance = backgroundWeight * foregroundWeight * meanDifference * meanDifference;
+    if (variance > maxVariance) {
+      maxVariance = variance;
+      best = t;
+    }
+  }
+  return best;
+}
+
+/**
+ * Computes the mean of the block around every pixel, using an integral image.
+ * Blocks are cut off at the image edges and averaged over the pixels they contain.
+ * @param {Uint8Array} plane - Values 0-255
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {number} radius - Half the block size
+ * @returns {Float32Array} One mean per pixel
+ */
+export function localMean(plane, width, height, radius) {
+  const stride = width + 1;
+  const integral = new Float64Array(stride * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    for (let x = 0; x < width; x++) {
+      rowSum += plane[y * width + x];
+      integral[(y + 1) * stride + x + 1] = integral[y * stride + x + 1] + rowSum;
+    }
+  }
+
+  const means = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.max(0, y - radius);
+    const y1 = Math.min(height, y + radius + 1);
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.max(0, x - radius);
+      const x1 = Math.min(width, x + radius + 1);
+      const sum = integral[y1 * stride + x1] - integral[y0 * stride + x1] - integral[y1 * stride + x0] + integral[y0 * stride + x0];
+      means[y * width + x] = sum / ((x1 - x0) * (y1 - y0));
+    }
+  }
+  return means;
+}
+
+/**
+ * Computes the Gaussian-weighted mean of the block around every pixel with a separable blur.
+ * The standard deviation follows the block size the same way OpenCV derives it; edges are clamped.
+ * @param {Uint8Array} plane - Values 0-255
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {number} radius - Half the block size
+ * @returns {Float32Array} One weighted mean per pixel
+ */
+export function localGaussianMean(plane, width, height, radius) {
+  const sigma = 0.3 * (radius - 1) + 0.8;
+  const weights = new Float32Array(radius * 2 + 1);
+  let weightSum = 0;
+  for (let k = -radius; k <= radius; k++) {
+    weights[k + radius] = Math.exp(-(k * k) / (2 * sigma * sigma));
+    weightSum += weights[k + radius];
+  }
+  weights.forEach((weight, k) => {
+    weights[k] = weight / weightSum;
+  });
+
+  const horizontal = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      for (let k = -radius; k <= radius; k++) {
+        const sx = Math.min(width - 1, Math.max(0, x + k));
+        sum += plane[y * width + sx] * weights[k + radius];
+      }
+      horizontal[y * width + x] = sum;
+    }
+  }
+
+  const means = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      for (let k = -radius; k <= radius; k++) {
+        const sy = Math.min(height - 1, Math.max(0, y + k));
+        sum += horizontal[sy * width + x] * weights[k + radius];
+      }
+      means[y * width + x] = sum;
+    }
+  }
+  return means;
+}
+
+/**
+ * Keeps weak pixels only where they are 8-connected to a strong pixel.
+ * @param {Uint8Array} plane - Values 0-255
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {number} low - Pixels above this are weak
+ * @param {number} high - Pixels above this are strong
+ * @returns {Uint8Array} The mask
+ */
+export function hysteresisMask(plane, width, height, low, high) {
+  const mask = new Uint8Array(width * height);
+  const stack = new Int32Array(width * height);
+  let top = 0;
+  for (let p = 0; p < plane.length; p++) {
+    if (plane[p] > high) {
+      mask[p] = 1;
+      stack[top++] = p;
+    }
+  }
+
+  while (top > 0) {
+    const p = stack[--top];
+    const x = p % width;
+    const y = (p - x) / width;
+    for (let dy = -1; dy <= 1; dy++) {
+      const ny = y + dy;
+      if (ny < 0 || ny >= height) continue;
+      for (let dx = -1; dx <= 1; dx++) {
+        const nx = x + dx;
+        if (nx < 0 || nx >= width) continue;
+        const q = ny * width + nx;
+        if (!mask[q] && plane[q] > low) {
+          mask[q] = 1;
+          stack[top++] = q;
+        }
+      }
+    }
+  }
+  return mask;
+}
+
+/**
+ * Thresholds a plane with any of THRESHOLD_METHODS.
+ * @param {Uint8Array} plane - Values 0-255
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {Object} options
+ * @param {string} options.method - One of THRESHOLD_METHODS
+ * @param {number} options.threshold - The manual value; the high value for hysteresis
+ * @param {number} options.blockSize - Block size of the adaptive methods, rounded up to an odd number
+ * @param {number} options.offset - Subtracted from the local mean by the adaptive methods
+ * @param {number} options.hysteresisRatio - Low value of hysteresis as a fraction of the high value
+ * @returns {{mask: Uint8Array, threshold: number}} The mask, and the threshold that was applied.
+ * For the adaptive methods this is the average of the per-pixel thresholds, rounded.
+ */
+export function thresholdPlane(plane, width, height, { method, threshold, blockSize, offset, hysteresisRatio }) {
+  const mask = new Uint8Array(plane.length);
+
+  if (method === THRESHOLD_METHODS.MEAN || method === THRESHOLD_METHODS.GAUSSIAN) {
+    const radius = Math.max(1, Math.floor(blockSize / 2));
+    const means =
+      method === THRESHOLD_METHODS.MEAN
+        ? localMean(plane, width, height, radius)
+        : localGaussianMean(plane, width, height, radius);
+    let thresholdSum = 0;
+    for (let p = 0; p < plane.length; p++) {
+      const local = means[p] - offset;
+      mask[p] = plane[p] > local ? 1 : 0;
+      thresholdSum += local;
+    }
+    const average = plane.length > 0 ? thresholdSum / plane.length : 0;
+    return { mask, threshold: Math.min(255, Math.max(0, Math.round(average))) };
+  }
+
+  if (method === THRESHOLD_METHODS.HYSTERESIS) {
+    return { mask: hysteresisMask(plane, width, height, threshold * hysteresisRatio, threshold), threshold };
+  }
+
+  const value = method === THRESHOLD_METHODS.OTSU ? otsuThreshold(computeHistogram(plane)) : threshold;
+  for (let p = 0; p < plane.length; p++) {
+    mask[p] = plane[p] > value ? 1 : 0;
+  }
+  return { mask, threshold: value };
+}
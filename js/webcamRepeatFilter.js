@@ -1,16 +1,62 @@
 import { ImageFilter } from "./imageFilter.js";
+import { FrameHistory, attachFrameHistory } from "./frameHistory.js";
 
 /**
  * @class WebcamRepeatFilter
  * @extends ImageFilter
  * @description A filter class that creates an exact copy of webcam frames without any image processing.
  * Useful as a base filter or for creating intermediate copies of the webcam stream.
+ * Every frame it shows is also recorded in a FrameHistory, which the temporal filters reading
+ * this canvas share (see getHistory). A source frame is recorded once, however often it is processed
+ * (see setSourceFrame).
  *
  * @param {string} canvasId - The ID of the canvas element where the webcam feed will be displayed
+ *
+ * @property {FrameHistory} history - The most recent frames, newest first
  */
 export class WebcamRepeatFilter extends ImageFilter {
   constructor(canvasId) {
     super(canvasId);
+    this.history = new FrameHistory();
+    attachFrameHistory(this.canvas, this.history);
+    // The source frame about to be drawn and the last one recorded, see setSourceFrame
+    this.sourceFrame = null;
+    this.recordedFrame = null;
+  }
+
+  /**
+   * @method setSourceFrame
+   * @description Identifies the source frame the next putImageData draws. Processing the same frame
+   * again, e.g. a paused frame after a parameter change, then redraws it without recording it twice.
+   * @param {Object} source - The input source
+   * @param {number} time - The source's current time (see InputSource.getCurrentTime)
+   */
+  setSourceFrame(source, time) {
+    this.sourceFrame = { source, time };
+  }
+
+  /**
+   * @method putImageData
+   * @description Draws the frame and records it in the history, unless it is the source frame recorded
+   * last. Frames from the worker backend arrive here too, so the history is kept whichever backend
+   * runs the filter.
+   * @param {ImageData} imageData - The frame
+   */
+  putImageData(imageData) {
+    super.putImageData(imageData);
+    const frame = this.sourceFrame;
+    const recorded = this.recordedFrame;
+    if (frame && recorded && frame.source === recorded.source && frame.time === recorded.time) return;
+    this.history.push(imageData.data, imageData.width, imageData.height);
+    this.recordedFrame = frame;
+  }
+
+  /**
+   * @method getHistory
+   * @returns {FrameHistory} The recorded frames
+   */
+  getHistory() {
+    return this.history;
   }
 
   /**
@@ -44,4 +90,13 @@ export class WebcamRepeatFilter extends ImageFilter {
   getCurrentImageData() {
     return this.context.getImageData(0, 0, this.canvas.width, this.canvas.height);
   }
+
+  /**
+   * @method getKernelSpec
+   * @description The copy needs no pixel work, so the worker backend runs the passthrough kernel
+   * @returns {{kernel: string, params: Array}}
+   */
+  getKernelSpec() {
+    return { kernel: "passthrough", params: [] };
+  }
 }
@@ -0,0 +1,156 @@
+import { DEFAULT_WORKER_COUNT } from "./constants.js";
+
+/**
+ * @class WorkerBackend
+ * @description Runs the pixel filter chain in a pool of Web Workers so large frames do not block the UI.
+ * The chain is split into independent branches (a root filter and everything that reads from it),
+ * the branches are spread over the workers, and each worker receives its own full-size ImageBitmap of
+ * the frame, which it fits into the processing resolution.
+ * Results come back as transferred RGBA buffers keyed by filter id.
+ *
+ * @param {number} [workerCount=DEFAULT_WORKER_COUNT] - Number of workers in the pool
+ *
+ * @example
+ * if (WorkerBackend.isSupported()) {
+ *   const backend = new WorkerBackend();
+ *   const outputs = await backend.process(video, chain, { width: 160, height: 120, fit: 'letterbox' });
+ * }
+ */
+export class WorkerBackend {
+  constructor(workerCount = DEFAULT_WORKER_COUNT) {
+    this.pendingFrames = new Map();
+    this.nextFrameId = 0;
+    this.workers = Array.from({ length: Math.max(1, workerCount) }, () => this.createWorker());
+  }
+
+  /**
+   * @method isSupported
+   * @static
+   * @description Checks whether the browser provides everything the worker backend relies on.
+   * @returns {boolean} True if Worker, OffscreenCanvas and createImageBitmap are available
+   */
+  static isSupported() {
+    return (
+      typeof Worker !== "undefined" &&
+      typeof OffscreenCanvas !== "undefined" &&
+      typeof createImageBitmap === "function"
+    );
+  }
+
+  /**
+   * @method createWorker
+   * @private
+   * @returns {Worker} A module worker wired to this backend's message handlers
+   */
+  createWorker() {
+    const worker = new Worker(new URL("./processingWorker.js", import.meta.url), { type: "module" });
+    worker.onmessage = (e) => this.handleMessage(e.data);
+    worker.onerror = (e) => this.failAll(new Error(e.message || "Worker failed to load"));
+    return worker;
+  }
+
+  /**
+   * @method process
+   * @async
+   * @description Processes one frame through the chain.
+   * @param {HTMLVideoElement|HTMLCanvasElement|HTMLImageElement} source - The frame to process
+   * @param {Array<{id: string, input: ?string, kernel: string, params: Array}>} chain - Steps in dependency order
+   * @param {Object} resolution
+   * @param {number} resolution.width - Processing width in pixels
+   * @param {number} resolution.height - Processing height in pixels
+   * @param {string} resolution.fit - How the frame is fitted, one of FIT_MODES
+   * @returns {Promise<Object<string, ArrayBuffer>>} RGBA output of every step keyed by step id; empty
+   * when the chain has no steps
+   * @throws {Error} If a worker fails or reports an error
+   */
+  async process(source, chain, { width, height, fit }) {
+    const parts = this.partitionChain(chain);
+    // No worker would reply to a frame without work, so it is done right away
+    if (parts.length === 0) return {};
+    const frameId = this.nextFrameId++;
+    const bitmaps = await Promise.all(parts.map(() => createImageBitmap(source)));
+
+    return new Promise((resolve, reject) => {
+      this.pendingFrames.set(frameId, { remaining: parts.length, outputs: {}, resolve, reject });
+      parts.forEach((part, index) => {
+        this.workers[index].postMessage(
+          { frameId, bitmap: bitmaps[index], width, height, fit, chain: part },
+          [bitmaps[index]]
+        );
+      });
+    });
+  }
+
+  /**
+   * @method partitionChain
+   * @private
+   * @description Groups the chain into independent branches and spreads them over the workers.
+   * Steps keep their relative order, so inputs are always computed before they are read.
+   * @param {Array<Object>} chain - Steps in dependency order
+   * @returns {Array<Array<Object>>} One non-empty sub-chain per worker that has work
+   */
+  partitionChain(chain) {
+    const rootOf = {};
+    const branches = new Map();
+    chain.forEach((step) => {
+      const root = step.input ? rootOf[step.input] : step.id;
+      rootOf[step.id] = root;
+      if (!branches.has(root)) branches.set(root, []);
+      branches.get(root).push(step);
+    });
+
+    const parts = this.workers.map(() => []);
+    [...branches.values()]
+      .sort((a, b) => b.length - a.length)
+      .forEach((branch) => {
+        const smallest = parts.reduce((min, part) => (part.length < min.length ? part : min));
+        smallest.push(...branch);
+      });
+    return parts.filter((part) => part.length > 0);
+  }
+
+  /**
+   * @method handleMessage
+   * @private
+   * @description Collects a worker's outputs and resolves the frame once every part has arrived.
+   * @param {Object} message - The message posted by processingWorker.js
+   */
+  handleMessage({ frameId, outputs, error }) {
+    const frame = this.pendingFrames.get(frameId);
+    if (!frame) return;
+
+    if (error) {
+      this.pendingFrames.delete(frameId);
+      frame.reject(new Error(error));
+      return;
+    }
+
+    Object.assign(frame.outputs, outputs);
+    frame.remaining--;
+    if (frame.remaining === 0) {
+      this.pendingFrames.delete(frameId);
+      frame.resolve(frame.outputs);
+    }
+  }
+
+  /**
+   * @method failAll
+   * @private
+   * @description Rejects every frame that is still waiting for results.
+   * @param {Error} error - The reason passed to the rejected promises
+   */
+  failAll(error) {
+    this.pendingFrames.forEach((frame) => frame.reject(error));
+    this.pendingFrames.clear();
+  }
+
+  /**
+   * @method terminate
+   * @description Stops all workers and rejects any frames still in flight.
+   */
+  terminate() {
+    this.workers.forEach((worker) => worker.terminate());
+    this.workers = [];
+    this.failAll(new Error("Worker backend terminated"));
+  }
+}
@@ -1,5 +1,5 @@
 import { ImageFilter } from "./imageFilter.js";
-import { RGB_TO_YCBCR } from "./constants.js";
+import { rgbToYCbCr } from "./pixelKernels.js";
 
 /**
  * A filter class that converts RGB color space to YCbCr color space.
@@ -13,9 +13,19 @@ import { RGB_TO_YCBCR } from "./constants.js";
  * @extends ImageFilter
  */
 export class YCbCrFilter extends ImageFilter {
+  /**
+   * Creates an instance of YCbCrFilter
+   * @param {string} canvasId - The ID of the canvas element to apply the filter to
+   */
+  constructor(canvasId) {
+    super(canvasId);
+    this.channelLabels = ["Y", "Cb", "Cr"];
+  }
+
   /**
    * Processes image data by converting RGB values to YCbCr color space
    * The conversion uses standard RGB to YCbCr transformation matrix coefficients
+   * and is performed by the rgbToYCbCr pixel kernel
    *
    * @param {ImageData} imageData - The image data to process, containing RGBA values
    * @returns {void}
@@ -32,20 +42,14 @@ export class YCbCrFilter extends ImageFilter {
    * Alpha channel remains unchanged
    */
   processImageData(imageData) {
-    const data = imageData.data;
-
-    for (let i = 0; i < data.length; i += 4) {
-      const r = data[i];
-      const g = data[i + 1];
-      const b = data[i + 2];
-
-      const y = RGB_TO_YCBCR.Y_R * r + RGB_TO_YCBCR.Y_G * g + RGB_TO_YCBCR.Y_B * b;
-      const cb = 128 + RGB_TO_YCBCR.CB_R * r + RGB_TO_YCBCR.CB_G * g + RGB_TO_YCBCR.CB_B * b;
-      const cr = 128 + RGB_TO_YCBCR.CR_R * r + RGB_TO_YCBCR.CR_G * g + RGB_TO_YCBCR.CR_B * b;
+    rgbToYCbCr(imageData.data, imageData.width, imageData.height);
+  }
 
-      data[i] = y; // Store Y in R channel
-      data[i + 1] = cb; // Store Cb in G channel
-      data[i + 2] = cr; // Store Cr in B channel
-    }
+  /**
+   * Names the rgbToYCbCr kernel so the worker backend can run the conversion
+   * @returns {{kernel: string, params: Array}}
+   */
+  getKernelSpec() {
+    return { kernel: "rgbToYCbCr", params: [] };
   }
 }
@@ -1,50 +1,98 @@
-import { ImageFilter } from "./imageFilter.js";
+import { ThresholdFilter } from "./thresholdFilter.js";
+import { THRESHOLD_METHODS, extractChannel, writeMask } from "./thresholding.js";
+import { lumaThreshold, chromaRangeMask } from "./pixelKernels.js";
+import { findLargestRegion } from "./regionAnalysis.js";
 
 /**
  * @class YCbCrThresholdFilter
- * @extends ImageFilter
- * @description A filter that applies threshold-based segmentation on the Y (luminance) component of YCbCr color space.
- * The filter converts pixels to black or white based on whether their luminance value exceeds the threshold.
+ * @extends ThresholdFilter
+ * @description A filter that segments YCbCr-encoded pixels in one of two modes:
+ * - `luma`: threshold on the Y (luminance) component, from the threshold slider or the selected threshold method
+ * - `skin`: classify pixels by Cb/Cr ranges, which default to common skin-tone limits
+ *
+ * Both modes produce a binary mask. In skin mode the largest connected region of the mask is also
+ * measured, so the filter can locate a face or hand without face-api models. The output stays a pure
+ * mask for the filters that read it; the region is available through getLargestRegion.
  *
  * @param {string} canvasId - The ID of the canvas element where the filter will be applied
  * @param {string} thresholdSliderId - The ID of the HTML input slider element that controls the threshold value
  *
  * @property {HTMLElement} thresholdSlider - Reference to the DOM slider element that controls threshold
+ * @property {('luma'|'skin')} mode - The segmentation mode
+ * @property {Array<number>} cbRange - [min, max] Cb accepted in skin mode
+ * @property {Array<number>} crRange - [min, max] Cr accepted in skin mode
+ * @property {?Object} largestRegion - Bounding box and pixelCount of the largest skin region of the last frame
  */
-export class YCbCrThresholdFilter extends ImageFilter {
+export class YCbCrThresholdFilter extends ThresholdFilter {
   constructor(canvasId, thresholdSliderId) {
     super(canvasId);
     this.thresholdSlider = document.getElementById(thresholdSliderId);
+    this.mode = "luma";
+    // Skin-tone chroma limits from Chai and Ngan, "Face segmentation using skin-color map" (1999)
+    this.cbRange = [77, 127];
+    this.crRange = [133, 173];
+    this.largestRegion = null;
   }
 
   /**
    * @method processImageData
-   * @description Processes the image data by applying a threshold to the Y (luminance) component.
-   * Pixels with luminance above the threshold become white (255), while those below become black (0).
-   * The same value is applied to all RGB channels, effectively creating a binary image.
+   * @description Processes the image data with the kernel of the current mode.
+   * In luma mode, pixels with luminance above the threshold become white (255), while those below
+   * become black (0), via the lumaThreshold pixel kernel. In skin mode, pixels inside the Cb/Cr
+   * ranges become white via chromaRangeMask, and the largest region of the result is stored.
    *
    * @param {ImageData} imageData - The image data to process, containing pixel values in RGBA format
    * @param {Uint8ClampedArray} imageData.data - The pixel array where each pixel is represented by 4 consecutive values (R,G,B,A)
    *
    * @example
    * // Assuming filter is an instance of YCbCrThresholdFilter
-   * const imageData = context.getImageData(0, 0, width, height);
-   * filter.processImageData(imageData);
+   * filter.setParams({ mode: 'skin' });
+   * filter.processImageData(context.getImageData(0, 0, width, height));
+   * console.log(filter.getLargestRegion());
    */
   processImageData(imageData) {
-    const data = imageData.data;
+    const { data, width, height } = imageData;
+    if (this.mode === "skin") {
+      chromaRangeMask(data, width, height, ...this.cbRange, ...this.crRange);
+      this.largestRegion = findLargestRegion(data, width, height);
+      return;
+    }
+
+    this.largestRegion = null;
     const threshold = parseInt(this.thresholdSlider.value);
+    if (this.thresholdMethod === THRESHOLD_METHODS.MANUAL) {
+      lumaThreshold(data, width, height, threshold);
+      this.appliedThreshold = threshold;
+    } else {
+      writeMask(this.thresholdPlane(extractChannel(data, 0), width, height, threshold), data);
+    }
+  }
 
-    for (let i = 0; i < data.length; i += 4) {
-      // Get Y component (stored in red channel)
-      const y = data[i];
+  /**
+   * @method getLargestRegion
+   * @returns {?{x: number, y: number, width: number, height: number, pixelCount: number}}
+   * The largest skin region of the last frame in canvas coordinates, or null in luma mode or when none was found
+   */
+  getLargestRegion() {
+    return this.largestRegion;
+  }
 
-      // Apply threshold to Y (luminance) component
-      const value = y > threshold ? 255 : 0;
-      data[i] = value; // R
-      data[i + 1] = value; // G
-      data[i + 2] = value; // B
-      data[i + 3] = 255; // A
-    }
+  /**
+   * @method getThresholdChannel
+   * @returns {?number} 0 (Y) in luma mode; null in skin mode, which uses ranges instead of a threshold
+   */
+  getThresholdChannel() {
+    return this.mode === "skin" ? null : 0;
+  }
+
+  /**
+   * @method getKernelSpec
+   * @description Returns the lumaThreshold kernel with the current slider value, for the worker backend.
+   * Skin mode and the threshold methods other than manual stay on the main thread because they need the whole image.
+   * @returns {?{kernel: string, params: Array}}
+   */
+  getKernelSpec() {
+    if (this.mode === "skin" || this.thresholdMethod !== THRESHOLD_METHODS.MANUAL) return null;
+    return { kernel: "lumaThreshold", params: [parseInt(this.thresholdSlider.value)] };
   }
 }
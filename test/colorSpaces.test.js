@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { rgbToHsvPixel, COLOR_SPACES } from "../js/colorSpaces.js";
+import { rgbToHsv, hsvValueThreshold } from "../js/pixelKernels.js";
+import { RgbHsvFilter } from "../js/rgbHsvFilter.js";
+
+/**
+ * @fileoverview Round-trip tests for the colour space conversions
+ *
+ * Colours are taken from RGB into a space and back, over a grid of RGB values that includes the
+ * primaries, greys and the magenta to red hues where the hue wraps around 360°. Run with
+ * `node --test test/`.
+ */
+
+const STEPS = [0, 1, 64, 127, 128, 200, 254, 255];
+const COLORS = STEPS.flatMap((r) => STEPS.flatMap((g) => STEPS.map((b) => [r, g, b])));
+
+/**
+ * Asserts that two RGB colours differ by at most a tolerance in every channel.
+ * @param {Array<number>} actual - The colour after the round-trip
+ * @param {Array<number>} expected - The original colour
+ * @param {number} tolerance - Largest accepted difference per channel
+ */
+function assertClose(actual, expected, tolerance) {
+  actual.forEach((value, i) => {
+    assert.ok(
+      Math.abs(value - expected[i]) <= tolerance,
+      `expected [${expected}] but got [${actual.map((v) => v.toFixed(2))}]`
+    );
+  });
+}
+
+test("RgbHsvFilter.hsvToRgb inverts rgbToHsvPixel exactly", () => {
+  COLORS.forEach(([r, g, b]) => {
+    const { h, s, v } = rgbToHsvPixel(r, g, b);
+    const rgb = RgbHsvFilter.hsvToRgb((h * 255) / 360, s * 255, v * 255);
+    assert.deepEqual([rgb.r, rgb.g, rgb.b], [r, g, b]);
+  });
+});
+
+test("RgbHsvFilter.hsvToRgb accepts the top of the hue range", () => {
+  assert.deepEqual(RgbHsvFilter.hsvToRgb(255, 255, 255), { r: 255, g: 0, b: 0 });
+});
+
+test("RgbHsvFilter.hsvToRgb maps primaries and greys", () => {
+  assert.deepEqual(RgbHsvFilter.hsvToRgb(0, 255, 255), { r: 255, g: 0, b: 0 });
+  assert.deepEqual(RgbHsvFilter.hsvToRgb(85, 255, 255), { r: 0, g: 255, b: 0 });
+  assert.deepEqual(RgbHsvFilter.hsvToRgb(170, 255, 255), { r: 0, g: 0, b: 255 });
+  assert.deepEqual(RgbHsvFilter.hsvToRgb(42, 0, 128), { r: 128, g: 128, b: 128 });
+});
+
+test("8-bit HSV pixels convert back close to the original colour", () => {
+  // Hue is quantised to 255 steps of about 1.4°, which moves a saturated channel by up to 3
+  const data = new Uint8ClampedArray(COLORS.flatMap(([r, g, b]) => [r, g, b, 255]));
+  rgbToHsv(data, COLORS.length, 1);
+  hsvValueThreshold(data, COLORS.length, 1, -1);
+  COLORS.forEach((color, index) => {
+    assertClose(Array.from(data.subarray(index * 4, index * 4 + 3)), color, 3);
+  });
+});
+
+test("rgbToHsvPixel keeps hues within 0-360", () => {
+  COLORS.forEach(([r, g, b]) => {
+    const { h } = rgbToHsvPixel(r, g, b);
+    assert.ok(h >= 0 && h < 360, `hue ${h} of [${r}, ${g}, ${b}]`);
+  });
+});
+
+Object.entries(COLOR_SPACES).forEach(([name, space]) => {
+  test(`${space.label} round-trips through toRgb(fromRgb())`, () => {
+    COLORS.forEach((color) => {
+      const values = space.fromRgb(...color);
+      assert.equal(values.length, space.channels.length, `${name} channel count`);
+      assertClose(space.toRgb(...values), color, 0.5);
+    });
+  });
+});
@@ -0,0 +1,97 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { BORDER_MODES, correlate, createKernel, gaussianKernel, parseKernel, separateKernel } from "../js/convolution.js";
+
+/**
+ * @fileoverview Fixture tests for the convolution kernels
+ *
+ * Run with `node --test test/`.
+ */
+
+const WIDTH = 5;
+const HEIGHT = 4;
+
+/**
+ * Builds RGBA data with a different value in every channel of every pixel.
+ * @returns {Uint8ClampedArray} The pixel data
+ */
+function gradientImage() {
+  const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+  for (let p = 0; p < WIDTH * HEIGHT; p++) {
+    data[p * 4] = (p * 37) % 256;
+    data[p * 4 + 1] = (p * 11 + 90) % 256;
+    data[p * 4 + 2] = 255 - p * 9;
+    data[p * 4 + 3] = 255;
+  }
+  return data;
+}
+
+/**
+ * Correlates with the whole kernel at once and clamped borders, the way the direct path works.
+ * @returns {Array<number>} Three values per pixel
+ */
+function correlateDirectly(data, width, height, kernel) {
+  const result = [];
+  const radiusX = (kernel.width - 1) / 2;
+  const radiusY = (kernel.height - 1) / 2;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      for (let c = 0; c < 3; c++) {
+        let total = 0;
+        for (let ky = 0; ky < kernel.height; ky++) {
+          for (let kx = 0; kx < kernel.width; kx++) {
+            const sx = Math.min(width - 1, Math.max(0, x + kx - radiusX));
+            const sy = Math.min(height - 1, Math.max(0, y + ky - radiusY));
+            total += data[(sy * width + sx) * 4 + c] * kernel.weights[ky * kernel.width + kx];
+          }
+        }
+        result.push(total);
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Asserts that two lists of values agree to within float precision.
+ */
+function assertClose(actual, expected) {
+  assert.equal(actual.length, expected.length);
+  for (let i = 0; i < expected.length; i++) {
+    assert.ok(Math.abs(actual[i] - expected[i]) < 1e-3, `value ${i}: ${actual[i]} is not ${expected[i]}`);
+  }
+}
+
+test("a separable kernel gives the same result as correlating with the whole kernel", () => {
+  const kernel = gaussianKernel(1);
+  assert.ok(separateKernel(kernel), "the Gaussian kernel is separable");
+  const data = gradientImage();
+  assertClose(Array.from(correlate(data, WIDTH, HEIGHT, kernel, BORDER_MODES.CLAMP)), correlateDirectly(data, WIDTH, HEIGHT, kernel));
+});
+
+test("a kernel that is not separable is correlated directly", () => {
+  const kernel = createKernel([
+    [0, 1, 0],
+    [1, -4, 1],
+    [0, 1, 0],
+  ]);
+  assert.equal(separateKernel(kernel), null);
+  const data = gradientImage();
+  assertClose(Array.from(correlate(data, WIDTH, HEIGHT, kernel, BORDER_MODES.CLAMP)), correlateDirectly(data, WIDTH, HEIGHT, kernel));
+});
+
+test("parseKernel reads rows, commas and fractions", () => {
+  const kernel = parseKernel("1/9, 1/9, 1/9; 1/9 1/9 1/9\n1/9 1/9 1/9");
+  assert.equal(kernel.width, 3);
+  assert.equal(kernel.height, 3);
+  assert.ok(kernel.weights.every((weight) => Math.abs(weight - 1 / 9) < 1e-12));
+});
+
+test("parseKernel rejects malformed kernels", () => {
+  assert.throws(() => parseKernel(""), /empty/);
+  assert.throws(() => parseKernel("1 2 3; 4 5"), /same number of weights/);
+  assert.throws(() => parseKernel("1 2; 3 4"), /odd width and height/);
+  assert.throws(() => parseKernel("1 a 1"), /"a" is not a number/);
+  assert.throws(() => parseKernel("1/ 2 3"), /"1\/" is not a number/);
+  assert.throws(() => parseKernel("1 1/0 1"), /"1\/0" is not a number/);
+});
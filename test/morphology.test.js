@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MORPHOLOGY_OPERATIONS, STRUCTURING_ELEMENTS, applyMorphology, createStructuringElement } from "../js/morphology.js";
+
+/**
+ * @fileoverview Fixture tests for the morphology operations on binary masks
+ *
+ * Masks are written out as rows of 0 and 1. Run with `node --test test/`.
+ */
+
+/**
+ * Builds a mask from rows of 0 and 1.
+ * @param {...string} rows - One string per row
+ * @returns {{mask: Uint8Array, width: number, height: number}} The mask and its size
+ */
+function mask(...rows) {
+  return { mask: Uint8Array.from(rows.join(""), Number), width: rows[0].length, height: rows.length };
+}
+
+/**
+ * Splits a mask back into rows for readable assertions.
+ * @returns {Array<string>} One string per row
+ */
+function rows(values, width) {
+  const list = [];
+  for (let i = 0; i < values.length; i += width) list.push(values.subarray(i, i + width).join(""));
+  return list;
+}
+
+const SQUARE = createStructuringElement(STRUCTURING_ELEMENTS.SQUARE, 1);
+
+test("opening removes a speck and keeps a square the size of the element", () => {
+  const { mask: input, width, height } = mask(
+    "1000000",
+    "0000000",
+    "0001110",
+    "0001110",
+    "0001110",
+    "0000000"
+  );
+  assert.deepEqual(rows(applyMorphology(input, width, height, MORPHOLOGY_OPERATIONS.OPEN, SQUARE), width), [
+    "0000000",
+    "0000000",
+    "0001110",
+    "0001110",
+    "0001110",
+    "0000000",
+  ]);
+});
+
+test("closing fills a one-pixel hole", () => {
+  const { mask: input, width, height } = mask(
+    "0000000",
+    "0000000",
+    "0011100",
+    "0010100",
+    "0011100",
+    "0000000",
+    "0000000"
+  );
+  assert.deepEqual(rows(applyMorphology(input, width, height, MORPHOLOGY_OPERATIONS.CLOSE, SQUARE), width), [
+    "0000000",
+    "0000000",
+    "0011100",
+    "0011100",
+    "0011100",
+    "0000000",
+    "0000000",
+  ]);
+});
+
+test("the cross element has the centre row and column only", () => {
+  assert.deepEqual(createStructuringElement(STRUCTURING_ELEMENTS.CROSS, 1), [
+    [0, -1],
+    [-1, 0],
+    [0, 0],
+    [1, 0],
+    [0, 1],
+  ]);
+});
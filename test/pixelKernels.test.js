@@ -0,0 +1,187 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  CHANNEL_INDEX,
+  grayscale,
+  isolateChannel,
+  channelThreshold,
+  rgbToHsv,
+  hsvValueThreshold,
+  hueInRange,
+  hsvRangeKey,
+  rgbToYCbCr,
+  lumaThreshold,
+  chromaRangeMask,
+} from "../js/pixelKernels.js";
+
+/**
+ * @fileoverview Pixel fixture tests for the DOM-free filter kernels
+ *
+ * Each fixture is a tiny RGBA image written out by hand, so the expected output of a kernel can be
+ * checked pixel by pixel. Run with `node --test test/`.
+ */
+
+/**
+ * Builds an RGBA pixel array from [r, g, b, a] pixels.
+ * @param {...Array<number>} pixels - The pixels, alpha defaulting to 255
+ * @returns {Uint8ClampedArray} The pixel data
+ */
+function pixels(...list) {
+  return new Uint8ClampedArray(list.flatMap(([r, g, b, a = 255]) => [r, g, b, a]));
+}
+
+/**
+ * Splits pixel data back into [r, g, b, a] pixels for readable assertions.
+ * @param {Uint8ClampedArray} data - The pixel data
+ * @returns {Array<Array<number>>} The pixels
+ */
+function unpack(data) {
+  const list = [];
+  for (let i = 0; i < data.length; i += 4) list.push(Array.from(data.subarray(i, i + 4)));
+  return list;
+}
+
+// Red, green, blue, white, black and a half-transparent grey-blue
+const FIXTURE = [
+  [255, 0, 0],
+  [0, 255, 0],
+  [0, 0, 255],
+  [255, 255, 255],
+  [0, 0, 0],
+  [90, 120, 150, 128],
+];
+
+test("grayscale averages the channels and keeps alpha", () => {
+  const data = pixels(...FIXTURE);
+  grayscale(data, 6, 1);
+  assert.deepEqual(unpack(data), [
+    [85, 85, 85, 255],
+    [85, 85, 85, 255],
+    [85, 85, 85, 255],
+    [255, 255, 255, 255],
+    [0, 0, 0, 255],
+    [120, 120, 120, 128],
+  ]);
+});
+
+test("grayscale brightens and clamps at 255", () => {
+  const data = pixels([30, 60, 90], [200, 200, 200]);
+  grayscale(data, 2, 1, 2);
+  assert.deepEqual(unpack(data), [
+    [120, 120, 120, 255],
+    [255, 255, 255, 255],
+  ]);
+});
+
+test("isolateChannel keeps one channel and zeroes the others", () => {
+  const data = pixels([10, 20, 30], [90, 120, 150, 128]);
+  isolateChannel(data, 2, 1, CHANNEL_INDEX.green);
+  assert.deepEqual(unpack(data), [
+    [0, 20, 0, 255],
+    [0, 120, 0, 128],
+  ]);
+});
+
+test("channelThreshold is strict and makes pixels opaque", () => {
+  const data = pixels([100, 0, 0, 0], [101, 0, 0, 10], [255, 255, 255]);
+  channelThreshold(data, 3, 1, CHANNEL_INDEX.red, 100);
+  assert.deepEqual(unpack(data), [
+    [0, 0, 0, 255],
+    [255, 0, 0, 255],
+    [255, 0, 0, 255],
+  ]);
+});
+
+test("rgbToHsv encodes H, S and V in the colour channels", () => {
+  const data = pixels([255, 0, 0], [0, 255, 0], [0, 0, 255], [255, 0, 255], [128, 128, 128], [0, 0, 0]);
+  rgbToHsv(data, 6, 1);
+  assert.deepEqual(unpack(data), [
+    [0, 255, 255, 255],
+    [85, 255, 255, 255],
+    [170, 255, 255, 255],
+    [212, 255, 255, 255],
+    [0, 0, 128, 255],
+    [0, 0, 0, 255],
+  ]);
+});
+
+test("hsvValueThreshold converts bright pixels back and blackens dark ones", () => {
+  const data = pixels([255, 0, 0], [0, 255, 0], [0, 0, 255], [128, 128, 128], [30, 60, 90, 0]);
+  rgbToHsv(data, 5, 1);
+  hsvValueThreshold(data, 5, 1, 128);
+  assert.deepEqual(unpack(data), [
+    [255, 0, 0, 255],
+    [0, 255, 0, 255],
+    [0, 0, 255, 255],
+    [0, 0, 0, 255],
+    [0, 0, 0, 255],
+  ]);
+});
+
+test("hueInRange handles plain and wrapping ranges", () => {
+  assert.equal(hueInRange(90, 60, 120), true);
+  assert.equal(hueInRange(120, 60, 120), true);
+  assert.equal(hueInRange(121, 60, 120), false);
+  assert.equal(hueInRange(350, 300, 30), true);
+  assert.equal(hueInRange(10, 300, 30), true);
+  assert.equal(hueInRange(180, 300, 30), false);
+});
+
+test("hsvRangeKey keeps pixels inside every range", () => {
+  const data = pixels([255, 0, 0], [0, 255, 0], [255, 0, 255], [128, 128, 128]);
+  rgbToHsv(data, 4, 1);
+  hsvRangeKey(data, 4, 1, 290, 30, 100, 255, 100, 255);
+  // Magenta's hue is stored as 212 (299.3°), so it comes back slightly red-shifted
+  assert.deepEqual(unpack(data), [
+    [255, 0, 0, 255],
+    [0, 0, 0, 255],
+    [252, 0, 255, 255],
+    [0, 0, 0, 255],
+  ]);
+});
+
+test("hsvRangeKey outputs a binary mask when asked", () => {
+  const data = pixels([255, 0, 0], [0, 255, 0]);
+  rgbToHsv(data, 2, 1);
+  hsvRangeKey(data, 2, 1, 0, 30, 0, 255, 0, 255, true);
+  assert.deepEqual(unpack(data), [
+    [255, 255, 255, 255],
+    [0, 0, 0, 255],
+  ]);
+});
+
+test("rgbToYCbCr encodes Y, Cb and Cr and keeps alpha", () => {
+  const data = pixels([255, 255, 255], [0, 0, 0], [255, 0, 0], [0, 0, 255, 128]);
+  rgbToYCbCr(data, 4, 1);
+  assert.deepEqual(unpack(data), [
+    [255, 128, 128, 255],
+    [0, 128, 128, 255],
+    [76, 85, 255, 255],
+    [29, 255, 107, 128],
+  ]);
+});
+
+test("lumaThreshold turns Y into black and white", () => {
+  const data = pixels([255, 255, 255], [0, 0, 0], [255, 0, 0], [0, 0, 255, 0]);
+  rgbToYCbCr(data, 4, 1);
+  lumaThreshold(data, 4, 1, 50);
+  assert.deepEqual(unpack(data), [
+    [255, 255, 255, 255],
+    [0, 0, 0, 255],
+    [255, 255, 255, 255],
+    [0, 0, 0, 255],
+  ]);
+});
+
+test("chromaRangeMask keeps pixels whose Cb and Cr are in range, inclusive", () => {
+  // Already YCbCr-encoded: Y in R, Cb in G, Cr in B
+  const data = pixels([200, 77, 133], [200, 127, 173], [200, 76, 150], [200, 100, 174], [10, 100, 150]);
+  chromaRangeMask(data, 5, 1, 77, 127, 133, 173);
+  assert.deepEqual(unpack(data), [
+    [255, 255, 255, 255],
+    [255, 255, 255, 255],
+    [0, 0, 0, 255],
+    [0, 0, 0, 255],
+    [255, 255, 255, 255],
+  ]);
+});
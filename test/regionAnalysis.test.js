@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { labelComponents } from "../js/regionAnalysis.js";
+
+/**
+ * @fileoverview Fixture tests for blob labelling
+ *
+ * Run with `node --test test/`.
+ */
+
+// Two pixels touching only at a corner, and a separate bar of three
+const WIDTH = 5;
+const HEIGHT = 3;
+const MASK = Uint8Array.from("10000" + "01011" + "00000", Number);
+
+test("4-connected labelling keeps diagonal neighbours apart", () => {
+  const { labels, components } = labelComponents(MASK, WIDTH, HEIGHT, { connectivity: 4 });
+  assert.deepEqual(
+    components.map(({ area }) => area),
+    [1, 1, 2]
+  );
+  assert.notEqual(labels[0], labels[WIDTH + 1]);
+});
+
+test("8-connected labelling joins diagonal neighbours", () => {
+  const { labels, components } = labelComponents(MASK, WIDTH, HEIGHT, { connectivity: 8 });
+  assert.equal(components.length, 2);
+  assert.equal(labels[0], labels[WIDTH + 1]);
+  assert.deepEqual(components[0], { label: 1, area: 2, centroid: { x: 0.5, y: 0.5 }, x: 0, y: 0, width: 2, height: 2 });
+});
+
+test("blobs below the minimum area are left unlabelled", () => {
+  const { labels, components } = labelComponents(MASK, WIDTH, HEIGHT, { connectivity: 4, minArea: 2 });
+  assert.equal(components.length, 1);
+  assert.equal(components[0].label, 1);
+  assert.equal(labels[0], 0);
+});
@@ -0,0 +1,23 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computeHistogram, otsuThreshold } from "../js/thresholding.js";
+
+/**
+ * @fileoverview Fixture tests for the automatic thresholds
+ *
+ * Run with `node --test test/`.
+ */
+
+test("otsuThreshold splits a bimodal histogram between its peaks", () => {
+  const plane = new Uint8Array([40, 40, 40, 50, 50, 60, 190, 200, 200, 210, 210, 210]);
+  const threshold = otsuThreshold(computeHistogram(plane));
+  assert.ok(threshold >= 60 && threshold < 190, `threshold ${threshold} is not between the peaks`);
+  // The background class ends at its brightest value
+  assert.equal(threshold, 60);
+});
+
+test("otsuThreshold keeps everything in the background for a flat histogram", () => {
+  const histogram = new Uint32Array(256);
+  histogram[128] = 10;
+  assert.equal(otsuThreshold(histogram), 0);
+});